@@ -8,6 +8,13 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// req.ip (used for login lockouts) comes from X-Forwarded-For only when the
+// request arrives through a trusted proxy. By default that's a proxy on a
+// private network, e.g. nginx in the same Docker network. TRUST_PROXY takes a
+// hop count or a list of addresses/subnets.
+const trustProxy = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+
 // Database connection (from shared module)
 const db = require('./src/shared/db');
 
@@ -36,6 +43,43 @@ app.use('/api/streakfit', workoutRoutes);
 app.use('/api/streakfit/trivia', triviaRoutes);
 app.use('/api/streakfit/popup', popupRoutes);
 
+// ============================================================================
+// SWITCHLINE ROUTES
+// ============================================================================
+
+const switchlineAuthRoutes = require('./src/switchline/routes/auth');
+const numbersRoutes = require('./src/switchline/routes/numbers');
+const smsRoutes = require('./src/switchline/routes/sms');
+const mediaRoutes = require('./src/switchline/routes/media');
+const verifiedPhonesRoutes = require('./src/switchline/routes/verifiedPhones');
+const callsRoutes = require('./src/switchline/routes/calls');
+const voicemailsRoutes = require('./src/switchline/routes/voicemails');
+const usageRoutes = require('./src/switchline/routes/usage');
+const retentionRoutes = require('./src/switchline/routes/retention');
+const eventsRoutes = require('./src/switchline/routes/events');
+const adminRoutes = require('./src/switchline/routes/admin');
+const apiKeysRoutes = require('./src/switchline/routes/apiKeys');
+const twilioWebhookRoutes = require('./src/switchline/routes/webhooks');
+const authService = require('./src/switchline/services/authService');
+const { startKeyCacheInvalidation } = require('./src/switchline/services/encryptionService');
+
+app.use('/api/auth', switchlineAuthRoutes);
+app.use('/api/numbers', numbersRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/verified-phones', verifiedPhonesRoutes);
+app.use('/api/calls', callsRoutes);
+app.use('/api/voicemails', voicemailsRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeysRoutes);
+app.use('/webhook', twilioWebhookRoutes); // Twilio: /webhook/sms/*, /webhook/voice/*; inbound email: /webhook/email/*
+
+const { startExpirySweeper } = require('./src/switchline/jobs/expirySweeper');
+const { startRetentionPurge } = require('./src/switchline/jobs/retentionPurge');
+
 // ============================================================================
 // HEALTH CHECK ENDPOINTS
 // ============================================================================
@@ -131,6 +175,19 @@ app.post('/webhook', async (req, res) => {
 });
 
 // Webhook helper functions
+
+// Stripe statuses the subscription_status enum has no value for
+const STRIPE_STATUS_MAP = {
+  incomplete: 'inactive',
+  incomplete_expired: 'inactive',
+  paused: 'inactive',
+  unpaid: 'past_due'
+};
+
+function subscriptionStatus(stripeStatus) {
+  return STRIPE_STATUS_MAP[stripeStatus] || stripeStatus;
+}
+
 async function handleCheckoutCompleted(session) {
   console.log('🎉 Checkout completed:', session.id);
   
@@ -147,6 +204,13 @@ async function handleCheckoutCompleted(session) {
         RETURNING *
       `, [customer.email, customer.id]);
       user = newUser;
+      
+      // Send the new subscriber a link to set their password
+      try {
+        await authService.requestClaim(customer.email);
+      } catch (error) {
+        console.error('❌ Failed to send account claim email:', error);
+      }
     } else {
       await db.query(`
         UPDATE users 
@@ -166,18 +230,21 @@ async function handleSubscriptionUpdated(subscription) {
   console.log('🔄 Subscription updated:', subscription.id);
   
   try {
+    // Usage counters roll over when current_period_start moves (usageService)
     await db.query(`
-      UPDATE user_subscriptions 
+      UPDATE subscriptions 
       SET 
         status = $1,
         current_period_start = $2,
         current_period_end = $3,
+        cancel_at_period_end = $4,
         updated_at = NOW()
-      WHERE stripe_subscription_id = $4
+      WHERE stripe_subscription_id = $5
     `, [
-      subscription.status,
+      subscriptionStatus(subscription.status),
       new Date(subscription.current_period_start * 1000),
       new Date(subscription.current_period_end * 1000),
+      Boolean(subscription.cancel_at_period_end),
       subscription.id
     ]);
   } catch (error) {
@@ -190,10 +257,17 @@ async function handleSubscriptionDeleted(subscription) {
   
   try {
     await db.query(`
-      UPDATE user_subscriptions 
-      SET status = 'canceled', updated_at = NOW() 
+      UPDATE subscriptions 
+      SET status = 'canceled', canceled_at = NOW(), updated_at = NOW() 
       WHERE stripe_subscription_id = $1
     `, [subscription.id]);
+
+    // Fall back to the free per-user limits
+    await db.query(`
+      UPDATE users 
+      SET subscription_plan_id = NULL, updated_at = NOW() 
+      WHERE stripe_customer_id = $1
+    `, [subscription.customer]);
   } catch (error) {
     console.error('❌ Error canceling subscription:', error);
   }
@@ -275,52 +349,44 @@ async function createUserSubscription(subscription, userEmail) {
     }
     const userId = userResult.rows[0].id;
     
-    const existingSubscription = await db.query(
-      'SELECT id FROM user_subscriptions WHERE user_id = $1', 
-      [userId]
-    );
+    // One row per Stripe subscription; it also holds the period's usage counters
+    await db.query(`
+      INSERT INTO subscriptions (
+        user_id,
+        subscription_plan_id,
+        stripe_subscription_id,
+        stripe_customer_id,
+        stripe_price_id,
+        status,
+        current_period_start,
+        current_period_end,
+        created_at,
+        updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+      ON CONFLICT (stripe_subscription_id) DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        subscription_plan_id = EXCLUDED.subscription_plan_id,
+        stripe_price_id = EXCLUDED.stripe_price_id,
+        status = EXCLUDED.status,
+        current_period_start = EXCLUDED.current_period_start,
+        current_period_end = EXCLUDED.current_period_end,
+        updated_at = NOW()
+    `, [
+      userId,
+      planId,
+      subscription.id,
+      subscription.customer,
+      price.id,
+      subscriptionStatus(subscription.status),
+      new Date(subscription.current_period_start * 1000),
+      new Date(subscription.current_period_end * 1000)
+    ]);
     
-    if (existingSubscription.rows.length === 0) {
-      await db.query(`
-        INSERT INTO user_subscriptions (
-          user_id,
-          plan_id,
-          stripe_subscription_id,
-          stripe_customer_id,
-          status,
-          current_period_start,
-          current_period_end,
-          created_at,
-          updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
-      `, [
-        userId,
-        planId,
-        subscription.id,
-        subscription.customer,
-        subscription.status,
-        new Date(subscription.current_period_start * 1000),
-        new Date(subscription.current_period_end * 1000)
-      ]);
-    } else {
-      await db.query(`
-        UPDATE user_subscriptions SET
-          plan_id = $1,
-          stripe_subscription_id = $2,
-          status = $3,
-          current_period_start = $4,
-          current_period_end = $5,
-          updated_at = NOW()
-        WHERE user_id = $6
-      `, [
-        planId,
-        subscription.id,
-        subscription.status,
-        new Date(subscription.current_period_start * 1000),
-        new Date(subscription.current_period_end * 1000),
-        userId
-      ]);
-    }
+    // Plan limits (numbers, minutes, SMS) are read from the user's plan
+    await db.query(
+      'UPDATE users SET subscription_plan_id = $1, updated_at = NOW() WHERE id = $2',
+      [planId, userId]
+    );
     
     console.log(`✅ User subscription created/updated: ${userEmail} -> ${planName}`);
   } catch (error) {
@@ -411,8 +477,13 @@ app.get('/api/subscription-status/:email', async (req, res) => {
         sp.price_cents,
         sp.features
       FROM users u
-      LEFT JOIN user_subscriptions us ON u.id = us.user_id
-      LEFT JOIN subscription_plans sp ON us.plan_id = sp.id
+      LEFT JOIN LATERAL (
+        SELECT * FROM subscriptions s
+        WHERE s.user_id = u.id
+        ORDER BY s.current_period_start DESC NULLS LAST
+        LIMIT 1
+      ) us ON TRUE
+      LEFT JOIN subscription_plans sp ON us.subscription_plan_id = sp.id
       WHERE u.email = $1
     `, [email]);
     
@@ -472,6 +543,12 @@ app.listen(PORT, () => {
   console.log(`🔥 StreakFit API: Modularized and refactored`);
   console.log(`🔐 Auth: HttpOnly cookies enabled`);
   console.log(`📊 Database: Connected`);
+
+  startExpirySweeper();
+  startRetentionPurge();
+  startKeyCacheInvalidation().catch(error => {
+    console.error('❌ Failed to start key cache invalidation:', error);
+  });
 });
 
 // Graceful shutdown
@@ -57,6 +57,11 @@ const setupDatabase = async () => {
       END $$;
     `);
     
+    // Call states while a call is in flight (ADD VALUE can't share a transaction)
+    await client.query(`ALTER TYPE call_status ADD VALUE IF NOT EXISTS 'queued'`);
+    await client.query(`ALTER TYPE call_status ADD VALUE IF NOT EXISTS 'ringing'`);
+    await client.query(`ALTER TYPE call_status ADD VALUE IF NOT EXISTS 'in-progress'`);
+    
     // Create subscription_plans table first (referenced by users)
     await client.query(`
       CREATE TABLE IF NOT EXISTS subscription_plans (
@@ -111,7 +116,7 @@ const setupDatabase = async () => {
         -- Account status and security
         status user_status DEFAULT 'pending_verification',
         two_factor_enabled BOOLEAN DEFAULT FALSE,
-        two_factor_secret VARCHAR(32),
+        two_factor_secret TEXT,
         backup_codes TEXT[],
         
         -- Security tracking
@@ -361,6 +366,267 @@ const setupDatabase = async () => {
       END $$;
     `);
     
+    // Create conversation_reads table (read marker per conversation thread)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS conversation_reads (
+        phone_number_id UUID NOT NULL REFERENCES phone_numbers(id) ON DELETE CASCADE,
+        peer_number VARCHAR(20) NOT NULL,
+        last_read_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        
+        PRIMARY KEY (phone_number_id, peer_number)
+      );
+    `);
+    
+    // Create verified_phones table (users' real phones, proven by SMS code)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS verified_phones (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        phone_number VARCHAR(20) NOT NULL,
+        
+        -- Verification
+        verification_code_hash VARCHAR(64),
+        verification_expires_at TIMESTAMP,
+        verification_attempts INTEGER DEFAULT 0,
+        verified_at TIMESTAMP,
+        
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        
+        UNIQUE (user_id, phone_number),
+        CONSTRAINT phone_format CHECK (phone_number ~ '^\\+[1-9]\\d{1,14}$')
+      );
+    `);
+    
+    // Create number_filters table (per-number block/allow entries, exact or prefix*)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS number_filters (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        phone_number_id UUID NOT NULL REFERENCES phone_numbers(id) ON DELETE CASCADE,
+        pattern VARCHAR(20) NOT NULL,
+        filter_type VARCHAR(10) NOT NULL,
+        label VARCHAR(100),
+        
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        
+        UNIQUE (phone_number_id, pattern),
+        CONSTRAINT filter_type_check CHECK (filter_type IN ('block', 'allow')),
+        CONSTRAINT pattern_format CHECK (pattern ~ '^\\+[0-9]{1,15}\\*?$')
+      );
+    `);
+    
+    // Create auto_reply_rules table (per-number automatic SMS replies)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auto_reply_rules (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        phone_number_id UUID NOT NULL REFERENCES phone_numbers(id) ON DELETE CASCADE,
+        name VARCHAR(100),
+        reply_body TEXT NOT NULL,
+        
+        -- Conditions; a NULL condition always matches
+        keywords TEXT[],
+        days_of_week INTEGER[],
+        start_time TIME,
+        end_time TIME,
+        timezone VARCHAR(50) DEFAULT 'UTC',
+        first_time_only BOOLEAN DEFAULT FALSE,
+        
+        priority INTEGER DEFAULT 0,
+        enabled BOOLEAN DEFAULT TRUE,
+        
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        
+        CONSTRAINT schedule_check CHECK ((start_time IS NULL) = (end_time IS NULL))
+      );
+    `);
+    
+    // Create purge_reports table (one row per retention purge run)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS purge_reports (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        status VARCHAR(20) NOT NULL,
+        users_affected INTEGER DEFAULT 0,
+        messages_deleted INTEGER DEFAULT 0,
+        calls_deleted INTEGER DEFAULT 0,
+        files_deleted INTEGER DEFAULT 0,
+        error TEXT,
+        
+        started_at TIMESTAMP NOT NULL,
+        finished_at TIMESTAMP,
+        
+        CONSTRAINT purge_status_check CHECK (status IN ('running', 'completed', 'failed'))
+      );
+    `);
+    
+    // Create events table (real-time event stream, kept briefly for resuming)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS events (
+        id BIGSERIAL PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(50) NOT NULL,
+        data JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    
+    // Create email_reply_threads table (reply-by-email addresses for forwarded SMS)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_reply_threads (
+        token VARCHAR(32) PRIMARY KEY,
+        phone_number_id UUID NOT NULL REFERENCES phone_numbers(id) ON DELETE CASCADE,
+        peer_number VARCHAR(20) NOT NULL,
+        
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        
+        UNIQUE (phone_number_id, peer_number)
+      );
+    `);
+    
+    // Create data_keys table (per-number and per-user data keys, wrapped by the
+    // master key; deleting a row crypto-shreds what was encrypted with it)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS data_keys (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        phone_number_id UUID REFERENCES phone_numbers(id) ON DELETE CASCADE,
+        wrapped_key TEXT NOT NULL,
+        
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_data_keys_phone_number_id ON data_keys(phone_number_id)
+        WHERE phone_number_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_data_keys_user_id ON data_keys(user_id)
+        WHERE phone_number_id IS NULL;
+    `);
+    
+    // Create email_tokens table (single-use email verification and account claim links;
+    // only a SHA-256 of the token is stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_tokens (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(20) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        
+        CONSTRAINT email_token_purpose_check CHECK (purpose IN ('verify_email', 'claim_account'))
+      );
+    `);
+    
+    // Create login_ip_failures table (failed logins per client IP, for brute-force lockout;
+    // shared by Switchline and StreakFit)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_ip_failures (
+        app VARCHAR(20) NOT NULL,
+        ip_address VARCHAR(45) NOT NULL,
+        failed_attempts INTEGER DEFAULT 0,
+        lockout_count INTEGER DEFAULT 0,
+        locked_until TIMESTAMP,
+        last_failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        
+        PRIMARY KEY (app, ip_address)
+      );
+    `);
+    
+    // Create api_keys table (developer API keys; only a SHA-256 of each key is
+    // stored. Replaces the single users.api_key_hash/api_calls_remaining pair
+    // so a user can hold several named, scoped keys.)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash VARCHAR(64) UNIQUE NOT NULL,
+        scopes TEXT[] NOT NULL DEFAULT '{}',
+        
+        -- Requests allowed per UTC day
+        daily_quota INTEGER NOT NULL,
+        quota_remaining INTEGER NOT NULL,
+        quota_resets_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        
+        CONSTRAINT api_key_scopes_check CHECK (scopes <@ ARRAY['messages:read', 'sms:send', 'numbers:manage']::TEXT[]),
+        CONSTRAINT api_key_quota_check CHECK (daily_quota > 0 AND quota_remaining >= 0)
+      );
+    `);
+    
+    // Create verification_sends table (one row per verification code texted,
+    // for limiting sends per user and per destination)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS verification_sends (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        phone_number VARCHAR(20) NOT NULL,
+        sent_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    
+    // Columns added after the initial schema (safe to re-run on existing databases)
+    await client.query(`
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS expiry_warning_sent_at TIMESTAMP;
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS forwarding_enabled BOOLEAN DEFAULT FALSE;
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS forwarding_number VARCHAR(20);
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS voicemail_enabled BOOLEAN DEFAULT TRUE;
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS voicemail_greeting TEXT;
+      ALTER TABLE calls ADD COLUMN IF NOT EXISTS voicemail_transcription TEXT;
+      ALTER TABLE calls ADD COLUMN IF NOT EXISTS voicemail_heard_at TIMESTAMP;
+      ALTER TABLE calls ADD COLUMN IF NOT EXISTS twilio_recording_sid VARCHAR(255);
+      ALTER TABLE calls ADD COLUMN IF NOT EXISTS twilio_recording_stored_at TIMESTAMP;
+      ALTER TABLE purge_reports ADD COLUMN IF NOT EXISTS housekeeping_error TEXT;
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS filter_mode VARCHAR(20) DEFAULT 'open';
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS blocked_sms_action VARCHAR(20) DEFAULT 'drop';
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS quarantined BOOLEAN DEFAULT FALSE;
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS spam_score INTEGER;
+      ALTER TABLE calls ADD COLUMN IF NOT EXISTS spam_score INTEGER;
+      -- Minutes counted against the plan when a bridged call started
+      ALTER TABLE calls ADD COLUMN IF NOT EXISTS reserved_minutes INTEGER DEFAULT 0;
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS auto_reply_enabled BOOLEAN DEFAULT FALSE;
+      ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS usage_period_start TIMESTAMP;
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS email_forward_sms BOOLEAN DEFAULT FALSE;
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS email_forward_voicemail BOOLEAN DEFAULT FALSE;
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS email_forward_address VARCHAR(255);
+      -- An alias only gets forwards once confirmed from an emailed link (only a SHA-256 of its token is stored)
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS email_forward_verified_at TIMESTAMP;
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS email_forward_token_hash VARCHAR(64);
+      ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS email_forward_token_expires_at TIMESTAMP;
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS otp_code TEXT;
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS otp_service VARCHAR(100);
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS otp_expires_at TIMESTAMP;
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS body_hash VARCHAR(64);
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS auto_reply_rule_id UUID REFERENCES auto_reply_rules(id) ON DELETE SET NULL;
+      -- bcrypt keeps its salt in the hash; checkout-created accounts have no password yet
+      ALTER TABLE users ALTER COLUMN salt DROP NOT NULL;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_counter BIGINT;
+      -- Was VARCHAR(32) for the plaintext secret; now holds it encrypted
+      ALTER TABLE users ALTER COLUMN two_factor_secret TYPE TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS lockout_count INTEGER DEFAULT 0;
+      -- Developer API requests today across all of the user's keys (plan quota)
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS api_requests_used INTEGER DEFAULT 0;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS api_quota_resets_at TIMESTAMP;
+      -- Usage counters for accounts without a subscription (reset monthly)
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS usage_period_start TIMESTAMP;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_numbers_used INTEGER DEFAULT 0;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS minutes_used INTEGER DEFAULT 0;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS sms_used INTEGER DEFAULT 0;
+      -- StreakFit shares this database; its users need the same lockout columns
+      ALTER TABLE IF EXISTS streakfit_users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0;
+      ALTER TABLE IF EXISTS streakfit_users ADD COLUMN IF NOT EXISTS account_locked_until TIMESTAMP;
+      ALTER TABLE IF EXISTS streakfit_users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+      ALTER TABLE IF EXISTS streakfit_users ADD COLUMN IF NOT EXISTS lockout_count INTEGER DEFAULT 0;
+    `);
+    
     // Create indexes for performance
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
@@ -370,14 +636,31 @@ const setupDatabase = async () => {
       CREATE INDEX IF NOT EXISTS idx_phone_numbers_status ON phone_numbers(status);
       CREATE INDEX IF NOT EXISTS idx_phone_numbers_phone_number ON phone_numbers(phone_number);
       CREATE INDEX IF NOT EXISTS idx_phone_numbers_twilio_sid ON phone_numbers(twilio_sid);
+      CREATE INDEX IF NOT EXISTS idx_phone_numbers_expires_at ON phone_numbers(expires_at) WHERE expires_at IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_phone_numbers_email_forward_token_hash ON phone_numbers(email_forward_token_hash) WHERE email_forward_token_hash IS NOT NULL;
       CREATE INDEX IF NOT EXISTS idx_calls_user_id ON calls(user_id);
       CREATE INDEX IF NOT EXISTS idx_calls_phone_number_id ON calls(phone_number_id);
       CREATE INDEX IF NOT EXISTS idx_calls_started_at ON calls(started_at);
       CREATE INDEX IF NOT EXISTS idx_calls_twilio_sid ON calls(twilio_sid);
+      CREATE INDEX IF NOT EXISTS idx_calls_twilio_recording_stored_at ON calls(twilio_recording_stored_at) WHERE twilio_recording_sid IS NOT NULL;
       CREATE INDEX IF NOT EXISTS idx_messages_user_id ON messages(user_id);
       CREATE INDEX IF NOT EXISTS idx_messages_phone_number_id ON messages(phone_number_id);
       CREATE INDEX IF NOT EXISTS idx_messages_sent_at ON messages(sent_at);
       CREATE INDEX IF NOT EXISTS idx_messages_twilio_sid ON messages(twilio_sid);
+      CREATE INDEX IF NOT EXISTS idx_messages_from_number_sent_at ON messages(from_number, sent_at);
+      CREATE INDEX IF NOT EXISTS idx_messages_body_hash_sent_at ON messages(body_hash, sent_at) WHERE body_hash IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_calls_from_number_started_at ON calls(from_number, started_at);
+      CREATE INDEX IF NOT EXISTS idx_number_filters_phone_number_id ON number_filters(phone_number_id);
+      CREATE INDEX IF NOT EXISTS idx_auto_reply_rules_phone_number_id ON auto_reply_rules(phone_number_id);
+      CREATE INDEX IF NOT EXISTS idx_purge_reports_started_at ON purge_reports(started_at);
+      CREATE INDEX IF NOT EXISTS idx_events_user_id_id ON events(user_id, id);
+      CREATE INDEX IF NOT EXISTS idx_events_created_at ON events(created_at);
+      CREATE INDEX IF NOT EXISTS idx_messages_otp ON messages(phone_number_id, otp_expires_at) WHERE otp_code IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_email_tokens_user_id_purpose ON email_tokens(user_id, purpose);
+      CREATE INDEX IF NOT EXISTS idx_login_ip_failures_last_failed_at ON login_ip_failures(last_failed_at);
+      CREATE INDEX IF NOT EXISTS idx_verification_sends_user_id_sent_at ON verification_sends(user_id, sent_at);
+      CREATE INDEX IF NOT EXISTS idx_verification_sends_phone_number_sent_at ON verification_sends(phone_number, sent_at);
+      CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
       CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
       CREATE INDEX IF NOT EXISTS idx_subscriptions_status ON subscriptions(status);
       CREATE INDEX IF NOT EXISTS idx_subscriptions_stripe_subscription_id ON subscriptions(stripe_subscription_id);
@@ -412,6 +695,18 @@ const setupDatabase = async () => {
       CREATE TRIGGER update_messages_updated_at BEFORE UPDATE ON messages 
         FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
       
+      DROP TRIGGER IF EXISTS update_verified_phones_updated_at ON verified_phones;
+      CREATE TRIGGER update_verified_phones_updated_at BEFORE UPDATE ON verified_phones 
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+      
+      DROP TRIGGER IF EXISTS update_auto_reply_rules_updated_at ON auto_reply_rules;
+      CREATE TRIGGER update_auto_reply_rules_updated_at BEFORE UPDATE ON auto_reply_rules 
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+      
+      DROP TRIGGER IF EXISTS update_api_keys_updated_at ON api_keys;
+      CREATE TRIGGER update_api_keys_updated_at BEFORE UPDATE ON api_keys 
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+      
       DROP TRIGGER IF EXISTS update_subscriptions_updated_at ON subscriptions;
       CREATE TRIGGER update_subscriptions_updated_at BEFORE UPDATE ON subscriptions 
         FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -425,10 +720,14 @@ const setupDatabase = async () => {
         ('Pro', 'Great for power users', 999, 3, 2000, 1000, 2),
         ('Business', 'For teams and enterprises', 2999, 10, 10000, 5000, 3)
       ON CONFLICT (name) DO NOTHING;
+      
+      UPDATE subscription_plans
+      SET features = COALESCE(features, '{}'::jsonb) || '{"auto_reply": true, "api_access": true, "api_daily_quota": 10000}'::jsonb
+      WHERE name = 'Business';
     `);
     
     console.log('✅ Database setup completed successfully!');
-    console.log('📋 Created tables: users, phone_numbers, calls, messages, subscriptions, invoices, subscription_plans');
+    console.log('📋 Created tables: users, phone_numbers, calls, messages, subscriptions, invoices, subscription_plans, conversation_reads, verified_phones, number_filters, auto_reply_rules, purge_reports, events, email_reply_threads, data_keys, email_tokens, login_ip_failures, api_keys, verification_sends');
     console.log('🔍 Created indexes for performance optimization');
     console.log('⚡ Created triggers for automatic timestamp updates');
     console.log('📦 Inserted default subscription plans');
@@ -0,0 +1,126 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+jest.mock('../mailer', () => ({ isConfigured: jest.fn(), sendMail: jest.fn() }));
+
+const db = require('../db');
+const mailer = require('../mailer');
+const { checkLocked, recordFailure, recordSuccess, unlock } = require('../loginProtection');
+
+const IP = '203.0.113.5';
+const LOCKED_UNTIL = new Date('2024-01-01T12:15:00Z');
+
+// Failure counts the next UPDATEs return, for the IP and the account
+function failures({ ip = 1, account = 1 } = {}) {
+  db.query.mockImplementation(async (sql) => {
+    if (/INSERT INTO login_ip_failures/.test(sql)) return { rows: [{ failed_attempts: ip }] };
+    if (/UPDATE login_ip_failures/.test(sql)) return { rows: [{ locked_until: LOCKED_UNTIL }] };
+    if (/RETURNING failed_login_attempts/.test(sql)) return { rows: [{ failed_login_attempts: account }] };
+    if (/RETURNING email, account_locked_until/.test(sql)) {
+      return { rows: [{ email: 'owner@example.com', account_locked_until: LOCKED_UNTIL }] };
+    }
+    return { rows: [] };
+  });
+}
+
+describe('recordFailure', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mailer.isConfigured.mockReturnValue(true);
+    mailer.sendMail.mockResolvedValue({});
+  });
+
+  it('counts the failure against the account and the IP', async () => {
+    failures();
+
+    expect(await recordFailure('switchline', { userId: 'user-1', ip: IP })).toEqual({ locked: false });
+    expect(db.query.mock.calls[0][1]).toEqual(['switchline', IP]);
+    expect(db.query.mock.calls[1][0]).toMatch(/UPDATE users/);
+    expect(db.query.mock.calls[1][1]).toEqual(['user-1']);
+  });
+
+  it('locks the account on the fifth failure, doubling each lock, and emails the owner', async () => {
+    failures({ account: 5 });
+
+    expect(await recordFailure('switchline', { userId: 'user-1', ip: IP }))
+      .toEqual({ locked: true, lockedUntil: LOCKED_UNTIL });
+
+    const lock = db.query.mock.calls[2][0];
+    expect(lock).toMatch(/account_locked_until = NOW\(\) \+ make_interval\(mins => LEAST\(15 \* POWER\(2, LEAST\(lockout_count, 16\)\)::int, 1440\)\)/);
+    expect(lock).toMatch(/lockout_count = lockout_count \+ 1/);
+    expect(mailer.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'owner@example.com',
+      subject: 'Your Switchline account has been locked',
+      text: expect.stringContaining(IP)
+    }));
+  });
+
+  it('still reports the lock when the email fails', async () => {
+    failures({ account: 5 });
+    mailer.sendMail.mockRejectedValue(new Error('SMTP down'));
+
+    expect(await recordFailure('switchline', { userId: 'user-1', ip: IP })).toMatchObject({ locked: true });
+  });
+
+  it('counts unknown emails against the IP only, which gets more room', async () => {
+    failures({ ip: 19 });
+    expect(await recordFailure('switchline', { userId: null, ip: IP })).toEqual({ locked: false });
+    expect(db.query).toHaveBeenCalledTimes(1);
+
+    failures({ ip: 20 });
+    expect(await recordFailure('switchline', { userId: null, ip: IP }))
+      .toEqual({ locked: true, lockedUntil: LOCKED_UNTIL });
+  });
+
+  it('uses the app\'s own accounts table', async () => {
+    failures();
+
+    await recordFailure('streakfit', { userId: 'user-1', ip: IP });
+
+    expect(db.query.mock.calls[1][0]).toMatch(/UPDATE streakfit_users/);
+    await expect(recordFailure('other', { userId: 'user-1', ip: IP })).rejects.toThrow('Unknown app');
+  });
+});
+
+describe('checkLocked', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reports the later of the account and IP locks', async () => {
+    db.query.mockResolvedValue({ rows: [{ locked_until: LOCKED_UNTIL }] });
+
+    expect(await checkLocked('switchline', { userId: 'user-1', ip: IP })).toEqual({ locked: true, lockedUntil: LOCKED_UNTIL });
+    expect(db.query.mock.calls[0][0]).toMatch(/MAX\(locked_until\)[\s\S]*WHERE locked_until > NOW\(\)/);
+    expect(db.query.mock.calls[0][1]).toEqual(['user-1', 'switchline', IP]);
+  });
+
+  it('allows logins with no current lock', async () => {
+    db.query.mockResolvedValue({ rows: [{ locked_until: null }] });
+
+    expect(await checkLocked('switchline', { userId: null, ip: IP })).toEqual({ locked: false });
+  });
+});
+
+describe('recordSuccess and unlock', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('clears the account\'s failures and lock history after a login', async () => {
+    db.query.mockResolvedValue({ rowCount: 1 });
+
+    await recordSuccess('switchline', 'user-1');
+
+    expect(db.query.mock.calls[0][0]).toMatch(/failed_login_attempts = 0, lockout_count = 0/);
+  });
+
+  it('lets an admin clear an account and an IP', async () => {
+    db.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+    expect(await unlock('switchline', { email: 'Owner@Example.com', ip: IP })).toEqual({ account: true, ip: false });
+    expect(db.query.mock.calls[0][1]).toEqual(['Owner@Example.com']);
+    expect(db.query.mock.calls[1][0]).toMatch(/DELETE FROM login_ip_failures/);
+  });
+});
@@ -0,0 +1,216 @@
+const db = require('./db');
+const mailer = require('./mailer');
+
+// Brute-force protection for password logins. Failures are counted per
+// account and per client IP; reaching the limit locks that account or IP,
+// and each further lock lasts twice as long as the one before.
+
+const MAX_ATTEMPTS = parseInt(process.env.AUTH_RATE_LIMIT_MAX_ATTEMPTS) || 5;
+// An IP may be shared (offices, carrier NAT), so it gets more room
+const IP_MAX_ATTEMPTS = parseInt(process.env.AUTH_IP_MAX_ATTEMPTS) || MAX_ATTEMPTS * 4;
+// Failures further apart than this don't add up
+const FAILURE_WINDOW_MINUTES = 15;
+const BASE_LOCK_MINUTES = parseInt(process.env.AUTH_LOCKOUT_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+// A quiet day resets how long the next IP lock lasts
+const IP_HISTORY_HOURS = 24;
+
+// Each app keeps its accounts in its own table
+const APPS = {
+  switchline: { table: 'users', name: 'Switchline' },
+  streakfit: { table: 'streakfit_users', name: 'StreakFit' }
+};
+
+function appConfig(app) {
+  const config = APPS[app];
+  if (!config) throw new Error(`Unknown app for login protection: ${app}`);
+  return config;
+}
+
+// SQL for the length of lock number lock_count + 1 (15, 30, 60... minutes, capped)
+function lockIntervalSql(countColumn) {
+  return `make_interval(mins => LEAST(${BASE_LOCK_MINUTES} * POWER(2, LEAST(${countColumn}, 16))::int, ${MAX_LOCK_MINUTES}))`;
+}
+
+// Whether the account or IP may try to log in right now.
+// Returns { locked: false } or { locked: true, lockedUntil }.
+async function checkLocked(app, { userId, ip }) {
+  const { table } = appConfig(app);
+
+  const result = await db.query(`
+    SELECT MAX(locked_until) AS locked_until FROM (
+      SELECT account_locked_until AS locked_until FROM ${table} WHERE id = $1
+      UNION ALL
+      SELECT locked_until FROM login_ip_failures WHERE app = $2 AND ip_address = $3
+    ) locks
+    WHERE locked_until > NOW()
+  `, [userId || null, app, ip]);
+
+  const lockedUntil = result.rows[0].locked_until;
+  return lockedUntil ? { locked: true, lockedUntil } : { locked: false };
+}
+
+async function recordIpFailure(app, ip) {
+  const result = await db.query(`
+    INSERT INTO login_ip_failures (app, ip_address, failed_attempts, last_failed_at)
+    VALUES ($1, $2, 1, NOW())
+    ON CONFLICT (app, ip_address) DO UPDATE SET
+      failed_attempts = CASE
+        WHEN login_ip_failures.last_failed_at < NOW() - make_interval(mins => ${FAILURE_WINDOW_MINUTES}) THEN 1
+        ELSE login_ip_failures.failed_attempts + 1
+      END,
+      lockout_count = CASE
+        WHEN login_ip_failures.last_failed_at < NOW() - make_interval(hours => ${IP_HISTORY_HOURS}) THEN 0
+        ELSE login_ip_failures.lockout_count
+      END,
+      last_failed_at = NOW()
+    RETURNING failed_attempts
+  `, [app, ip]);
+
+  if (result.rows[0].failed_attempts < IP_MAX_ATTEMPTS) return null;
+
+  const locked = await db.query(`
+    UPDATE login_ip_failures
+    SET locked_until = NOW() + ${lockIntervalSql('lockout_count')},
+        lockout_count = lockout_count + 1,
+        failed_attempts = 0
+    WHERE app = $1 AND ip_address = $2
+    RETURNING locked_until
+  `, [app, ip]);
+
+  console.warn(`🔒 ${APPS[app].name} logins from ${ip} locked until ${locked.rows[0].locked_until.toISOString()}`);
+  return locked.rows[0].locked_until;
+}
+
+// Returns the new lock's end time when this failure locked the account
+async function recordAccountFailure(app, userId) {
+  const { table } = appConfig(app);
+
+  const result = await db.query(`
+    UPDATE ${table}
+    SET failed_login_attempts = CASE
+          WHEN last_failed_login_at < NOW() - make_interval(mins => ${FAILURE_WINDOW_MINUTES}) THEN 1
+          ELSE failed_login_attempts + 1
+        END,
+        last_failed_login_at = NOW()
+    WHERE id = $1
+    RETURNING failed_login_attempts
+  `, [userId]);
+
+  if (!result.rows[0] || result.rows[0].failed_login_attempts < MAX_ATTEMPTS) return null;
+
+  const locked = await db.query(`
+    UPDATE ${table}
+    SET account_locked_until = NOW() + ${lockIntervalSql('lockout_count')},
+        lockout_count = lockout_count + 1,
+        failed_login_attempts = 0
+    WHERE id = $1
+    RETURNING email, account_locked_until
+  `, [userId]);
+
+  return locked.rows[0];
+}
+
+async function sendLockedEmail(app, email, lockedUntil, ip) {
+  if (!mailer.isConfigured()) return;
+
+  const { name } = APPS[app];
+  const until = new Date(lockedUntil).toUTCString();
+  const text = [
+    `Your ${name} account was locked after too many failed login attempts.`,
+    `The latest attempt came from ${ip}.`,
+    '',
+    `You can log in again after ${until}.`,
+    '',
+    'If this wasn\'t you, consider changing your password once the lock ends.'
+  ].join('\n');
+
+  await mailer.sendMail({
+    to: email,
+    subject: `Your ${name} account has been locked`,
+    text
+  });
+}
+
+// Count a failed login (wrong password or 2FA code). userId is null for
+// unknown emails, which still count against the IP. Returns the same shape
+// as checkLocked.
+async function recordFailure(app, { userId, ip }) {
+  const ipLockedUntil = await recordIpFailure(app, ip);
+  const account = userId ? await recordAccountFailure(app, userId) : null;
+
+  if (account) {
+    console.warn(`🔒 ${APPS[app].name} account ${userId} locked until ${account.account_locked_until.toISOString()}`);
+
+    // A failed email must not turn a failed login into a 500
+    try {
+      await sendLockedEmail(app, account.email, account.account_locked_until, ip);
+    } catch (error) {
+      console.error(`❌ Failed to send lockout email for ${app} account ${userId}:`, error);
+    }
+  }
+
+  const lockedUntil = [ipLockedUntil, account && account.account_locked_until]
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0];
+
+  return lockedUntil ? { locked: true, lockedUntil } : { locked: false };
+}
+
+// A successful login clears the account's failures and lock history
+async function recordSuccess(app, userId) {
+  const { table } = appConfig(app);
+
+  await db.query(`
+    UPDATE ${table}
+    SET failed_login_attempts = 0, lockout_count = 0,
+        last_failed_login_at = NULL, account_locked_until = NULL
+    WHERE id = $1
+  `, [userId]);
+}
+
+// Admin override: clear an account's and/or an IP's lock and history.
+// Returns { account, ip } telling which were found.
+async function unlock(app, { email, ip }) {
+  const { table } = appConfig(app);
+  const found = { account: false, ip: false };
+
+  if (email) {
+    const result = await db.query(`
+      UPDATE ${table}
+      SET failed_login_attempts = 0, lockout_count = 0,
+          last_failed_login_at = NULL, account_locked_until = NULL
+      WHERE LOWER(email) = LOWER($1)
+    `, [email]);
+    found.account = result.rowCount > 0;
+  }
+
+  if (ip) {
+    const result = await db.query(
+      'DELETE FROM login_ip_failures WHERE app = $1 AND ip_address = $2',
+      [app, ip]
+    );
+    found.ip = result.rowCount > 0;
+  }
+
+  return found;
+}
+
+// Drop IP records with nothing left to enforce or remember
+async function pruneIpFailures() {
+  const result = await db.query(`
+    DELETE FROM login_ip_failures
+    WHERE last_failed_at < NOW() - make_interval(hours => ${IP_HISTORY_HOURS})
+      AND (locked_until IS NULL OR locked_until < NOW())
+  `);
+  return result.rowCount;
+}
+
+module.exports = {
+  APPS,
+  checkLocked,
+  recordFailure,
+  recordSuccess,
+  unlock,
+  pruneIpFailures
+};
@@ -0,0 +1,49 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+function isConfigured() {
+  return Boolean(process.env.SMTP_HOST && process.env.SMTP_FROM_EMAIL);
+}
+
+// Lazily create the SMTP transport. SMTP_USER is optional so a local
+// catcher (MailHog, Mailpit) works without credentials.
+function getTransporter() {
+  if (!transporter) {
+    if (!isConfigured()) {
+      throw new Error('SMTP not configured');
+    }
+
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+}
+
+// Send an email from the configured sender address
+async function sendMail({ to, subject, text, html, replyTo, headers }) {
+  const fromName = process.env.SMTP_FROM_NAME || 'Switchline';
+
+  return getTransporter().sendMail({
+    from: `"${fromName}" <${process.env.SMTP_FROM_EMAIL}>`,
+    to,
+    subject,
+    text,
+    html,
+    replyTo,
+    headers
+  });
+}
+
+module.exports = {
+  isConfigured,
+  sendMail
+};
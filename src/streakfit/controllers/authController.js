@@ -1,5 +1,6 @@
 const bcrypt = require('bcrypt');
 const db = require('../../shared/db');
+const loginProtection = require('../../shared/loginProtection');
 const { generateToken, setAuthCookie, clearAuthCookie } = require('../middleware/auth');
 
 // User signup
@@ -99,6 +100,18 @@ async function signup(req, res) {
   }
 }
 
+// Too many failed logins; tell the client when it can try again
+function sendLocked(res, lockedUntil) {
+  const seconds = Math.ceil((new Date(lockedUntil) - Date.now()) / 1000);
+  res.set('Retry-After', String(Math.max(seconds, 1)));
+
+  return res.status(429).json({
+    success: false,
+    error: 'Too many failed login attempts. Try again later.',
+    lockedUntil: lockedUntil
+  });
+}
+
 // User login
 async function login(req, res) {
   try {
@@ -117,25 +130,33 @@ async function login(req, res) {
       [email.trim()]
     );
 
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid email or password'
-      });
-    }
-
     const user = userResult.rows[0];
 
+    // Refuse while the account or this IP is locked out
+    const lock = await loginProtection.checkLocked('streakfit', { userId: user ? user.id : null, ip: req.ip });
+
+    if (lock.locked) {
+      return sendLocked(res, lock.lockedUntil);
+    }
+
     // Verify password
-    const validPassword = await bcrypt.compare(password, user.password_hash);
+    const validPassword = user ? await bcrypt.compare(password, user.password_hash) : false;
 
     if (!validPassword) {
+      const failure = await loginProtection.recordFailure('streakfit', { userId: user ? user.id : null, ip: req.ip });
+
+      if (failure.locked) {
+        return sendLocked(res, failure.lockedUntil);
+      }
+
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
       });
     }
 
+    await loginProtection.recordSuccess('streakfit', user.id);
+
     // Get user's streak data
     const streakResult = await db.query(
       'SELECT current_streak, longest_streak, total_calories, total_gold, total_xp FROM streakfit_streaks WHERE user_id = $1',
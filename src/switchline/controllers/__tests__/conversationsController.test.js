@@ -0,0 +1,60 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+jest.mock('../../services/numberService', () => ({ getUserNumber: jest.fn() }));
+jest.mock('../../services/conversationService', () => ({ listConversations: jest.fn() }));
+
+const db = require('../../../shared/db');
+const numberService = require('../../services/numberService');
+const conversationService = require('../../services/conversationService');
+const encryptionService = require('../../services/encryptionService');
+const { listConversations } = require('../conversationsController');
+
+const NUMBER_ID = '2b6f0cc9-0f4a-4d3e-9a44-7c1d1a2b3c4d';
+const KEY_ID = '9d1e7f3a-5b2c-4e8d-a6f1-0c3b5d7e9f11';
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('listConversations', () => {
+  let dataKey;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // getDataKey creates (and caches) a key, so decrypting needs no further queries
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: KEY_ID }] });
+    dataKey = await encryptionService.getDataKey('user-1', NUMBER_ID);
+  });
+
+  it('returns the last message body as plaintext', async () => {
+    numberService.getUserNumber.mockResolvedValue({ id: NUMBER_ID });
+    conversationService.listConversations.mockResolvedValue([{
+      peer: '+15550001111',
+      lastMessage: {
+        id: 'message-1',
+        body: encryptionService.encryptText(dataKey, 'See you at 6'),
+        direction: 'inbound',
+        status: 'received',
+        numMedia: 0,
+        sentAt: new Date('2024-01-01T12:00:00Z')
+      },
+      messageCount: 3,
+      unreadCount: 1
+    }]);
+
+    const res = mockResponse();
+    await listConversations({ params: { id: NUMBER_ID }, query: {}, user: { userId: 'user-1' } }, res);
+
+    const { conversations } = res.json.mock.calls[0][0];
+    expect(conversations).toHaveLength(1);
+    expect(conversations[0].lastMessage.body).toBe('See you at 6');
+    expect(conversations[0]).not.toHaveProperty('last_message_body');
+    expect(conversations[0].unreadCount).toBe(1);
+  });
+});
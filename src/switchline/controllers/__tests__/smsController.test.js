@@ -0,0 +1,58 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+jest.mock('../../services/messageService', () => ({ sendMessage: jest.fn() }));
+
+const messageService = require('../../services/messageService');
+const { sendSms } = require('../smsController');
+
+const USER_ID = '0b7c3f2e-1d4a-4b6c-8e9f-a1b2c3d4e5f6';
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+function sendRequest(body) {
+  return { body: { from: '+14155550100', to: '+15550001111', ...body }, user: { userId: USER_ID } };
+}
+
+describe('sendSms media', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it.each([
+    ['null', null],
+    ['a string', 'user/photo.jpg'],
+    ['an object', { 0: 'user/photo.jpg' }]
+  ])('rejects mediaKeys given as %s', async (description, mediaKeys) => {
+    const res = mockResponse();
+
+    await sendSms(sendRequest({ body: 'Hi', mediaKeys }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(messageService.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('rejects more attachments than an MMS can carry', async () => {
+    const res = mockResponse();
+    const mediaKeys = Array.from({ length: 11 }, (_, i) => `${USER_ID}/file-${i}.jpg`);
+
+    await sendSms(sendRequest({ mediaKeys }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it("rejects another user's upload", async () => {
+    const res = mockResponse();
+
+    await sendSms(sendRequest({
+      mediaKeys: ['1a2b3c4d-1d4a-4b6c-8e9f-a1b2c3d4e5f6/5f0c2a4e-8b1d-4c3a-9e7f-6a2b1c0d9e8f.jpg']
+    }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toMatch(/^Unknown media/);
+    expect(messageService.sendMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+jest.mock('../../services/numberService', () => ({ findNumberByPhone: jest.fn() }));
+jest.mock('../../services/messageService', () => ({
+  parseTwilioMedia: jest.requireActual('../../services/messageService').parseTwilioMedia,
+  inboundExists: jest.fn(),
+  recordInboundMessage: jest.fn(),
+  applyStatusCallback: jest.fn()
+}));
+jest.mock('../../services/filterService', () => ({ evaluateSender: jest.fn() }));
+jest.mock('../../services/mediaService', () => ({ storeTwilioMedia: jest.fn(), deleteMedia: jest.fn() }));
+jest.mock('../../services/encryptionService', () => ({ getDataKey: jest.fn() }));
+jest.mock('../../services/eventService', () => ({ publish: jest.fn() }));
+jest.mock('../../services/autoReplyService', () => ({ handleInboundMessage: jest.fn() }));
+jest.mock('../../services/emailForwardService', () => ({ forwardMessage: jest.fn() }));
+
+const numberService = require('../../services/numberService');
+const messageService = require('../../services/messageService');
+const filterService = require('../../services/filterService');
+const mediaService = require('../../services/mediaService');
+const { getDataKey } = require('../../services/encryptionService');
+const { handleInboundSms } = require('../webhookController');
+
+const NUMBER = { id: 'number-1', user_id: 'user-1', status: 'active' };
+const DATA_KEY = { id: 'key-1', key: Buffer.alloc(32) };
+
+const MMS = {
+  MessageSid: 'MM123',
+  AccountSid: 'AC123',
+  From: '+15550001111',
+  To: '+14155550100',
+  Body: 'Look at this',
+  NumMedia: '1',
+  MediaUrl0: 'https://api.twilio.com/media/ME1',
+  MediaContentType0: 'image/jpeg'
+};
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.type = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+}
+
+describe('handleInboundSms', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    numberService.findNumberByPhone.mockResolvedValue(NUMBER);
+    filterService.evaluateSender.mockResolvedValue({ action: 'allow', spamScore: 0 });
+    messageService.inboundExists.mockResolvedValue(false);
+    getDataKey.mockResolvedValue(DATA_KEY);
+    mediaService.storeTwilioMedia.mockResolvedValue(['user-1/photo.jpg']);
+    messageService.recordInboundMessage.mockResolvedValue({ id: 'message-1', quarantined: false });
+  });
+
+  it('stores the media and the message with one data key', async () => {
+    const res = mockResponse();
+
+    await handleInboundSms({ body: MMS }, res);
+
+    expect(mediaService.storeTwilioMedia).toHaveBeenCalledWith('user-1', [
+      { url: 'https://api.twilio.com/media/ME1', contentType: 'image/jpeg' }
+    ], DATA_KEY);
+    expect(messageService.recordInboundMessage).toHaveBeenCalledWith(NUMBER, expect.objectContaining({
+      twilioSid: 'MM123',
+      mediaUrls: ['user-1/photo.jpg'],
+      dataKey: DATA_KEY
+    }));
+    expect(getDataKey).toHaveBeenCalledTimes(1);
+    expect(res.type).toHaveBeenCalledWith('text/xml');
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('answers a Twilio retry without downloading the media again', async () => {
+    messageService.inboundExists.mockResolvedValue(true);
+    const res = mockResponse();
+
+    await handleInboundSms({ body: MMS }, res);
+
+    expect(mediaService.storeTwilioMedia).not.toHaveBeenCalled();
+    expect(messageService.recordInboundMessage).not.toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('deletes its copy of the media when a concurrent retry stored the message first', async () => {
+    messageService.recordInboundMessage.mockResolvedValue(null);
+
+    await handleInboundSms({ body: MMS }, mockResponse());
+
+    expect(mediaService.deleteMedia).toHaveBeenCalledWith(['user-1/photo.jpg']);
+  });
+
+  it('drops a blocked sender\'s message by default', async () => {
+    filterService.evaluateSender.mockResolvedValue({ action: 'block', reason: 'blocklist', spamScore: null });
+
+    await handleInboundSms({ body: MMS }, mockResponse());
+
+    expect(mediaService.storeTwilioMedia).not.toHaveBeenCalled();
+    expect(messageService.recordInboundMessage).not.toHaveBeenCalled();
+  });
+
+  it('quarantines a blocked sender\'s message when the number asks for it', async () => {
+    numberService.findNumberByPhone.mockResolvedValue({ ...NUMBER, blocked_sms_action: 'quarantine' });
+    filterService.evaluateSender.mockResolvedValue({ action: 'block', reason: 'blocklist', spamScore: null });
+
+    await handleInboundSms({ body: MMS }, mockResponse());
+
+    expect(messageService.recordInboundMessage).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      quarantined: true,
+      otp: null
+    }));
+  });
+
+  it('quarantines likely spam with its score', async () => {
+    filterService.evaluateSender.mockResolvedValue({ action: 'spam', reason: 'reputation', spamScore: 70 });
+
+    await handleInboundSms({ body: MMS }, mockResponse());
+
+    expect(messageService.recordInboundMessage).toHaveBeenCalledWith(NUMBER, expect.objectContaining({
+      quarantined: true,
+      spamScore: 70
+    }));
+  });
+});
@@ -0,0 +1,65 @@
+const net = require('net');
+const loginProtection = require('../../shared/loginProtection');
+
+// Lift a login lockout for an account (by email) and/or a client IP, in
+// Switchline or StreakFit
+async function unlockLogin(req, res) {
+  try {
+    const { app = 'switchline', email, ip } = req.body;
+
+    if (!Object.keys(loginProtection.APPS).includes(app)) {
+      return res.status(400).json({
+        success: false,
+        error: `app must be one of: ${Object.keys(loginProtection.APPS).join(', ')}`
+      });
+    }
+
+    if (!email && !ip) {
+      return res.status(400).json({
+        success: false,
+        error: 'An email or ip is required'
+      });
+    }
+
+    if (email !== undefined && typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email'
+      });
+    }
+
+    if (ip !== undefined && !net.isIP(String(ip))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ip'
+      });
+    }
+
+    const found = await loginProtection.unlock(app, { email: email && email.trim(), ip });
+
+    if (!found.account && !found.ip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Nothing to unlock'
+      });
+    }
+
+    console.log(`🔓 ${req.user.email} unlocked ${app} login for ${[email, ip].filter(Boolean).join(' / ')}`);
+
+    res.json({
+      success: true,
+      unlocked: found
+    });
+
+  } catch (error) {
+    console.error('Unlock login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock login'
+    });
+  }
+}
+
+module.exports = {
+  unlockLogin
+};
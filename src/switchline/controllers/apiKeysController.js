@@ -0,0 +1,219 @@
+const apiKeyService = require('../services/apiKeyService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_NAME_LENGTH = 100;
+
+// API key as returned by the API (the secret itself only on create/rotate)
+function formatKey(apiKey) {
+  // Past the reset time the next request starts a fresh day
+  const reset = apiKey.quota_resets_at <= new Date();
+
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+    dailyQuota: apiKey.daily_quota,
+    quotaRemaining: reset ? apiKey.daily_quota : apiKey.quota_remaining,
+    quotaResetsAt: reset ? null : apiKey.quota_resets_at,
+    lastUsedAt: apiKey.last_used_at,
+    createdAt: apiKey.created_at
+  };
+}
+
+// Turn a request body into key fields. Returns { fields } or { error }.
+// With partial=true only the fields present are validated (updates).
+function parseKeyFields(body, partial) {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_NAME_LENGTH) {
+      return { error: `Name is required (at most ${MAX_NAME_LENGTH} characters)` };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.scopes !== undefined || !partial) {
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0 ||
+        !body.scopes.every(scope => apiKeyService.SCOPES.includes(scope))) {
+      return { error: `scopes must be a non-empty list of: ${apiKeyService.SCOPES.join(', ')}` };
+    }
+    fields.scopes = [...new Set(body.scopes)];
+  }
+
+  if (body.dailyQuota !== undefined) {
+    if (!Number.isInteger(body.dailyQuota) || body.dailyQuota < 1) {
+      return { error: 'dailyQuota must be a positive integer' };
+    }
+    fields.dailyQuota = body.dailyQuota;
+  }
+
+  return { fields };
+}
+
+// Send a failed service result as the response
+function sendFailure(res, result) {
+  return res.status(result.status).json({
+    success: false,
+    error: result.error
+  });
+}
+
+async function listKeys(req, res) {
+  try {
+    const keys = await apiKeyService.listKeys(req.user.userId);
+
+    res.json({
+      success: true,
+      apiKeys: keys.map(formatKey)
+    });
+
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys'
+    });
+  }
+}
+
+// The response holds the only copy of the key; it can't be shown again
+async function createKey(req, res) {
+  try {
+    const { fields, error } = parseKeyFields(req.body, false);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const result = await apiKeyService.createKey(req.user.userId, fields);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      key: result.key,
+      apiKey: formatKey(result.apiKey)
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+}
+
+async function updateKey(req, res) {
+  try {
+    const { keyId } = req.params;
+
+    if (!UUID_REGEX.test(keyId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const { fields, error } = parseKeyFields(req.body, true);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const result = await apiKeyService.updateKey(req.user.userId, keyId, fields);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      apiKey: formatKey(result.apiKey)
+    });
+
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key'
+    });
+  }
+}
+
+// New secret for an existing key; the old one stops working now
+async function rotateKey(req, res) {
+  try {
+    const { keyId } = req.params;
+
+    if (!UUID_REGEX.test(keyId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const result = await apiKeyService.rotateKey(req.user.userId, keyId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      key: result.key,
+      apiKey: formatKey(result.apiKey)
+    });
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+}
+
+async function revokeKey(req, res) {
+  try {
+    const { keyId } = req.params;
+    const revoked = UUID_REGEX.test(keyId)
+      ? await apiKeyService.revokeKey(req.user.userId, keyId)
+      : false;
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+}
+
+module.exports = {
+  listKeys,
+  createKey,
+  updateKey,
+  rotateKey,
+  revokeKey
+};
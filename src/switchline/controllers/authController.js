@@ -0,0 +1,427 @@
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const {
+  generateToken,
+  setAuthCookie,
+  clearAuthCookie,
+  setTwoFactorCookie,
+  readTwoFactorCookie,
+  clearTwoFactorCookie
+} = require('../middleware/auth');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TOKEN_REGEX = /^[0-9a-f]{64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything longer
+const MAX_NAME_LENGTH = 100;
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// Error message for an unacceptable password, or null
+function passwordError(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+    return `Password must be at most ${MAX_PASSWORD_LENGTH} bytes`;
+  }
+  return null;
+}
+
+// Error message for optional first/last names, or null
+function nameError(...names) {
+  const invalid = names.some(name =>
+    name !== undefined && name !== null &&
+    (typeof name !== 'string' || name.trim().length > MAX_NAME_LENGTH)
+  );
+  return invalid ? `Names must be text of at most ${MAX_NAME_LENGTH} characters` : null;
+}
+
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function trimmed(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function startSession(res, user) {
+  setAuthCookie(res, generateToken(user.id, user.email));
+}
+
+// Send a failed service result as the response
+function sendFailure(res, result) {
+  const { success, status, ...body } = result;
+
+  if (body.lockedUntil) {
+    const seconds = Math.ceil((new Date(body.lockedUntil) - Date.now()) / 1000);
+    res.set('Retry-After', String(Math.max(seconds, 1)));
+  }
+
+  return res.status(status).json({ success: false, ...body });
+}
+
+// Create an account; it can log in once the emailed link is followed
+async function signup(req, res) {
+  try {
+    const { password, firstName, lastName, timezone } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required'
+      });
+    }
+
+    const invalid = passwordError(password) || nameError(firstName, lastName);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone'
+      });
+    }
+
+    const result = await authService.createAccount({
+      email,
+      password,
+      firstName: trimmed(firstName),
+      lastName: trimmed(lastName),
+      timezone
+    });
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      user: authService.publicUser(result.user),
+      verificationSent: result.verificationSent,
+      message: 'Check your email to verify your account'
+    });
+
+  } catch (error) {
+    console.error('Signup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create account'
+    });
+  }
+}
+
+async function login(req, res) {
+  try {
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!email || typeof password !== 'string' || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    const result = await authService.authenticate(email, password, req.ip);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    // The session is only issued once the 2FA code checks out (POST /login/2fa)
+    if (result.user.two_factor_enabled) {
+      setTwoFactorCookie(res, result.user.id);
+      return res.json({
+        success: true,
+        twoFactorRequired: true
+      });
+    }
+
+    await authService.recordLogin(result.user.id);
+    startSession(res, result.user);
+
+    res.json({
+      success: true,
+      user: authService.publicUser(result.user)
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed'
+    });
+  }
+}
+
+// Second login step: a TOTP code, or a backup code in place of one
+async function completeTwoFactorLogin(req, res) {
+  try {
+    const { code, backupCode } = req.body;
+    const userId = readTwoFactorCookie(req);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login expired. Please log in again.'
+      });
+    }
+
+    if (typeof code !== 'string' && typeof backupCode !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'A code or backup code is required'
+      });
+    }
+
+    const refused = await authService.checkLoginAllowed(userId, req.ip);
+    if (refused) {
+      return sendFailure(res, refused);
+    }
+
+    const user = await authService.findUserById(userId);
+
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        error: 'Login expired. Please log in again.'
+      });
+    }
+
+    // Code guesses count toward the same lockout as password guesses
+    if (!await twoFactorService.verifyCode(user, { code, backupCode })) {
+      return sendFailure(res, await authService.loginFailed(user.id, req.ip, {
+        status: 401,
+        error: 'Invalid code'
+      }));
+    }
+
+    clearTwoFactorCookie(res);
+    await authService.recordLogin(user.id);
+    startSession(res, user);
+
+    res.json({
+      success: true,
+      user: authService.publicUser(user)
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed'
+    });
+  }
+}
+
+// Public, so an expired session can still clear its cookie
+async function logout(req, res) {
+  try {
+    clearAuthCookie(res);
+    clearTwoFactorCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+}
+
+async function getCurrentUser(req, res) {
+  try {
+    const user = await authService.findUserById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: authService.publicUser(user)
+    });
+
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user data'
+    });
+  }
+}
+
+// Follow a verification link; logs the user in
+async function verifyEmail(req, res) {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || !TOKEN_REGEX.test(token)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const result = await authService.verifyEmail(token);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    if (result.user.status === 'active') {
+      startSession(res, result.user);
+    }
+
+    res.json({
+      success: true,
+      user: authService.publicUser(result.user)
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify email'
+    });
+  }
+}
+
+// Same response whether or not the address has an unverified account
+async function resendVerification(req, res) {
+  try {
+    const email = normalizeEmail(req.body.email);
+
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required'
+      });
+    }
+
+    await authService.resendVerification(email);
+
+    res.json({
+      success: true,
+      message: 'If that account is awaiting verification, a new link is on its way'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification email'
+    });
+  }
+}
+
+// Ask for a link to set a password on an account created at checkout.
+// Same response whether or not there is one to claim.
+async function requestClaim(req, res) {
+  try {
+    const email = normalizeEmail(req.body.email);
+
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required'
+      });
+    }
+
+    await authService.requestClaim(email);
+
+    res.json({
+      success: true,
+      message: 'If that email has an unclaimed subscription, a link to set a password is on its way'
+    });
+
+  } catch (error) {
+    console.error('Request claim error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send claim email'
+    });
+  }
+}
+
+// Set the password from a claim link; logs the user in
+async function claimAccount(req, res) {
+  try {
+    const { token, password, firstName, lastName } = req.body;
+
+    if (typeof token !== 'string' || !TOKEN_REGEX.test(token)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Claim link is invalid or has expired'
+      });
+    }
+
+    const invalid = passwordError(password) || nameError(firstName, lastName);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const result = await authService.claimAccount(token, {
+      password,
+      firstName: trimmed(firstName),
+      lastName: trimmed(lastName)
+    });
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    startSession(res, result.user);
+
+    res.json({
+      success: true,
+      user: authService.publicUser(result.user)
+    });
+
+  } catch (error) {
+    console.error('Claim account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to claim account'
+    });
+  }
+}
+
+module.exports = {
+  signup,
+  login,
+  completeTwoFactorLogin,
+  logout,
+  getCurrentUser,
+  verifyEmail,
+  resendVerification,
+  requestClaim,
+  claimAccount
+};
@@ -0,0 +1,305 @@
+const numberService = require('../services/numberService');
+const autoReplyService = require('../services/autoReplyService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_REPLY_LENGTH = 1600;
+const MAX_KEYWORDS = 20;
+
+// Resolve :id to a number the current user owns, or send a 404
+async function findOwnedNumber(req, res) {
+  const { id } = req.params;
+  const number = UUID_REGEX.test(id)
+    ? await numberService.getUserNumber(req.user.userId, id)
+    : null;
+
+  if (!number) {
+    res.status(404).json({
+      success: false,
+      error: 'Number not found'
+    });
+  }
+
+  return number;
+}
+
+// Auto-replies are a Business plan feature
+async function requireFeature(req, res) {
+  const available = await autoReplyService.isAvailable(req.user.userId);
+
+  if (!available) {
+    res.status(403).json({
+      success: false,
+      error: 'Auto-replies are available on the Business plan'
+    });
+  }
+
+  return available;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Turn a request body into rule columns. Returns { fields } or { error }.
+// With partial=true only the fields present are validated (updates).
+function parseRule(body, partial) {
+  const fields = {};
+
+  if (body.reply !== undefined || !partial) {
+    if (typeof body.reply !== 'string' || !body.reply.trim() || body.reply.length > MAX_REPLY_LENGTH) {
+      return { error: `Reply must be 1-${MAX_REPLY_LENGTH} characters` };
+    }
+    fields.reply_body = body.reply;
+  }
+
+  if (body.name !== undefined) {
+    if (body.name !== null && (typeof body.name !== 'string' || body.name.length > 100)) {
+      return { error: 'Name must be at most 100 characters' };
+    }
+    fields.name = body.name;
+  }
+
+  if (body.keywords !== undefined) {
+    const keywords = body.keywords;
+    if (keywords !== null && (!Array.isArray(keywords) || keywords.length > MAX_KEYWORDS ||
+        !keywords.every(k => typeof k === 'string' && /^[\p{L}\p{N}]{1,30}$/u.test(k)))) {
+      return { error: `Keywords must be a list of up to ${MAX_KEYWORDS} single words` };
+    }
+    fields.keywords = keywords && keywords.length > 0 ? keywords : null;
+  }
+
+  if (body.days !== undefined) {
+    const days = body.days;
+    if (days !== null && (!Array.isArray(days) || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+      return { error: 'Days must be a list of weekday numbers (0 = Sunday to 6 = Saturday)' };
+    }
+    fields.days_of_week = days && days.length > 0 ? [...new Set(days)] : null;
+  }
+
+  if (body.startTime !== undefined || body.endTime !== undefined) {
+    const { startTime = null, endTime = null } = body;
+    if ((startTime === null) !== (endTime === null) ||
+        (startTime !== null && (!TIME_REGEX.test(startTime) || !TIME_REGEX.test(endTime)))) {
+      return { error: 'Start and end times must both be set as HH:MM, or both be null' };
+    }
+    fields.start_time = startTime;
+    fields.end_time = endTime;
+  }
+
+  if (body.timezone !== undefined) {
+    if (typeof body.timezone !== 'string' || !isValidTimezone(body.timezone)) {
+      return { error: 'Timezone must be an IANA time zone such as America/New_York' };
+    }
+    fields.timezone = body.timezone;
+  }
+
+  if (body.firstTimeOnly !== undefined) {
+    if (typeof body.firstTimeOnly !== 'boolean') {
+      return { error: 'firstTimeOnly must be true or false' };
+    }
+    fields.first_time_only = body.firstTimeOnly;
+  }
+
+  if (body.priority !== undefined) {
+    if (!Number.isInteger(body.priority) || Math.abs(body.priority) > 1000) {
+      return { error: 'Priority must be a whole number between -1000 and 1000' };
+    }
+    fields.priority = body.priority;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be true or false' };
+    }
+    fields.enabled = body.enabled;
+  }
+
+  return { fields };
+}
+
+// List a number's rules and whether auto-replies are switched on
+async function listRules(req, res) {
+  try {
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    const rules = await autoReplyService.listRules(number.id);
+
+    res.json({
+      success: true,
+      enabled: number.auto_reply_enabled,
+      rules: rules
+    });
+
+  } catch (error) {
+    console.error('List auto-reply rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch auto-reply rules'
+    });
+  }
+}
+
+async function createRule(req, res) {
+  try {
+    const { fields, error } = parseRule(req.body, false);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    if (!await requireFeature(req, res)) return;
+
+    const rule = await autoReplyService.createRule(number.id, fields);
+
+    res.status(201).json({
+      success: true,
+      rule: rule
+    });
+
+  } catch (error) {
+    console.error('Create auto-reply rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create auto-reply rule'
+    });
+  }
+}
+
+async function updateRule(req, res) {
+  try {
+    const { ruleId } = req.params;
+
+    if (!UUID_REGEX.test(ruleId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    const { fields, error } = parseRule(req.body, true);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    if (!await requireFeature(req, res)) return;
+
+    const rule = await autoReplyService.updateRule(number.id, ruleId, fields);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      rule: rule
+    });
+
+  } catch (error) {
+    console.error('Update auto-reply rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update auto-reply rule'
+    });
+  }
+}
+
+async function deleteRule(req, res) {
+  try {
+    const { ruleId } = req.params;
+
+    if (!UUID_REGEX.test(ruleId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    const deleted = await autoReplyService.deleteRule(number.id, ruleId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete auto-reply rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete auto-reply rule'
+    });
+  }
+}
+
+// Switch all auto-replies on a number on or off
+async function setEnabled(req, res) {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled must be true or false'
+      });
+    }
+
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    if (enabled && !await requireFeature(req, res)) return;
+
+    const updated = await autoReplyService.setEnabled(number.id, enabled);
+
+    res.json({
+      success: true,
+      enabled: updated.auto_reply_enabled
+    });
+
+  } catch (error) {
+    console.error('Set auto-reply error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update auto-reply setting'
+    });
+  }
+}
+
+module.exports = {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  setEnabled
+};
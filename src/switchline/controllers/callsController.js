@@ -0,0 +1,52 @@
+const callService = require('../services/callService');
+
+const E164_REGEX = /^\+[1-9]\d{1,14}$/;
+
+// Place a masked outbound call: we ring the user, then bridge to the destination
+async function startCall(req, res) {
+  try {
+    const { from, to, callMe } = req.body;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: from, to'
+      });
+    }
+
+    if (!E164_REGEX.test(from) || !E164_REGEX.test(to) || (callMe && !E164_REGEX.test(callMe))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone numbers must be in E.164 format (e.g. +14155550123)'
+      });
+    }
+
+    const result = await callService.startBridgedCall(req.user.userId, { from, to, callMe });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    console.log(`📞 Bridged call started: ${result.call.id} from ${from}`);
+
+    res.status(201).json({
+      success: true,
+      call: result.call,
+      message: 'Calling your phone now. Answer to be connected.'
+    });
+
+  } catch (error) {
+    console.error('Start call error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start call'
+    });
+  }
+}
+
+module.exports = {
+  startCall
+};
@@ -0,0 +1,47 @@
+const numberService = require('../services/numberService');
+const otpService = require('../services/otpService');
+const { decryptText } = require('../services/encryptionService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// One-time codes received on a number that haven't expired yet
+async function listCodes(req, res) {
+  try {
+    const { id } = req.params;
+    const number = UUID_REGEX.test(id)
+      ? await numberService.getUserNumber(req.user.userId, id)
+      : null;
+
+    if (!number) {
+      return res.status(404).json({
+        success: false,
+        error: 'Number not found'
+      });
+    }
+
+    const codes = await otpService.listActiveCodes(number.id);
+
+    res.json({
+      success: true,
+      codes: await Promise.all(codes.map(async row => ({
+        messageId: row.id,
+        code: await decryptText(row.otp_code),
+        service: row.otp_service,
+        from: row.from_number,
+        receivedAt: row.sent_at,
+        expiresAt: row.otp_expires_at
+      })))
+    });
+
+  } catch (error) {
+    console.error('List codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch codes'
+    });
+  }
+}
+
+module.exports = {
+  listCodes
+};
@@ -0,0 +1,140 @@
+const numberService = require('../services/numberService');
+const conversationService = require('../services/conversationService');
+const { decryptFields } = require('../services/encryptionService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const E164_REGEX = /^\+[1-9]\d{1,14}$/;
+
+// Resolve :id to a number the current user owns, or send a 404
+async function findOwnedNumber(req, res) {
+  const { id } = req.params;
+  const number = UUID_REGEX.test(id)
+    ? await numberService.getUserNumber(req.user.userId, id)
+    : null;
+
+  if (!number) {
+    res.status(404).json({
+      success: false,
+      error: 'Number not found'
+    });
+  }
+
+  return number;
+}
+
+function parseLimit(limit, fallback) {
+  return Math.min(Math.max(parseInt(limit) || fallback, 1), 100);
+}
+
+// List conversation threads on a number
+async function listConversations(req, res) {
+  try {
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    const conversations = await conversationService.listConversations(
+      number.id,
+      parseLimit(req.query.limit, 50)
+    );
+
+    res.json({
+      success: true,
+      conversations: await Promise.all(conversations.map(async conversation => ({
+        ...conversation,
+        lastMessage: await decryptFields(conversation.lastMessage, ['body'])
+      })))
+    });
+
+  } catch (error) {
+    console.error('List conversations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations'
+    });
+  }
+}
+
+// Get one thread, paginated with ?before=<cursor>
+async function getConversation(req, res) {
+  try {
+    const { peer } = req.params;
+    const { before } = req.query;
+
+    if (!E164_REGEX.test(peer)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Peer must be a phone number in E.164 format'
+      });
+    }
+
+    if (before && !UUID_REGEX.test(before)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    const page = await conversationService.getConversationPage(number.id, peer, {
+      before,
+      limit: parseLimit(req.query.limit, 50)
+    });
+
+    res.json({
+      success: true,
+      peer: peer,
+      messages: await Promise.all(
+        page.messages.map(message => decryptFields(message, ['body', 'otp_code']))
+      ),
+      nextCursor: page.nextCursor
+    });
+
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation'
+    });
+  }
+}
+
+// Mark a thread as read, clearing its unread count
+async function markConversationRead(req, res) {
+  try {
+    const { peer } = req.params;
+
+    if (!E164_REGEX.test(peer)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Peer must be a phone number in E.164 format'
+      });
+    }
+
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    const lastReadAt = await conversationService.markConversationRead(number.id, peer);
+
+    res.json({
+      success: true,
+      peer: peer,
+      lastReadAt: lastReadAt,
+      unreadCount: 0
+    });
+
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark conversation as read'
+    });
+  }
+}
+
+module.exports = {
+  listConversations,
+  getConversation,
+  markConversationRead
+};
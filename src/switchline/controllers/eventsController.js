@@ -0,0 +1,67 @@
+const eventService = require('../services/eventService');
+const { decryptText } = require('../services/encryptionService');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Message events carry the stored (encrypted) body and code
+async function eventData(event) {
+  const data = { ...event.data, createdAt: event.created_at };
+
+  if (data.body) data.body = await decryptText(data.body);
+  if (data.otp) data.otp = { ...data.otp, code: await decryptText(data.otp.code) };
+
+  return data;
+}
+
+// Server-Sent Events stream. Browsers resend the last id they saw as
+// Last-Event-ID when they reconnect; ?lastEventId does the same for others.
+async function streamEvents(req, res) {
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+
+  if (lastEventId !== null && !/^\d{1,18}$/.test(lastEventId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid last event id'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  let unsubscribe = null;
+  let heartbeat = null;
+  let closed = false;
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  });
+
+  try {
+    unsubscribe = await eventService.subscribe(req.user.userId, lastEventId, async (event) => {
+      const data = await eventData(event);
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+  } catch (error) {
+    // Headers are already sent; closing makes the client retry
+    console.error('Event stream error:', error);
+    return res.end();
+  }
+
+  // The client may have gone while we were subscribing
+  if (closed) return unsubscribe();
+
+  // Keeps proxies from closing an idle connection
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+}
+
+module.exports = {
+  streamEvents
+};
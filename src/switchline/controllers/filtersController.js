@@ -0,0 +1,253 @@
+const numberService = require('../services/numberService');
+const filterService = require('../services/filterService');
+const { decryptFields } = require('../services/encryptionService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// An E.164 number, or a prefix ending in * (e.g. +1900*)
+const PATTERN_REGEX = /^\+[0-9]{1,15}\*?$/;
+const FILTER_TYPES = ['block', 'allow'];
+const MAX_LABEL_LENGTH = 100;
+
+// Resolve :id to a number the current user owns, or send a 404
+async function findOwnedNumber(req, res) {
+  const { id } = req.params;
+  const number = UUID_REGEX.test(id)
+    ? await numberService.getUserNumber(req.user.userId, id)
+    : null;
+
+  if (!number) {
+    res.status(404).json({
+      success: false,
+      error: 'Number not found'
+    });
+  }
+
+  return number;
+}
+
+// List block/allow entries and the number's filter settings
+async function listFilters(req, res) {
+  try {
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    const filters = await filterService.listFilters(number.id);
+
+    res.json({
+      success: true,
+      mode: number.filter_mode,
+      blockedSmsAction: number.blocked_sms_action,
+      filters: filters
+    });
+
+  } catch (error) {
+    console.error('List filters error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch filters'
+    });
+  }
+}
+
+// Block or allow a number or prefix
+async function addFilter(req, res) {
+  try {
+    const { pattern, type, label } = req.body;
+
+    if (!pattern || !PATTERN_REGEX.test(pattern)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pattern must be an E.164 number, optionally ending in * to match a prefix'
+      });
+    }
+
+    if (!FILTER_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Type must be one of: ${FILTER_TYPES.join(', ')}`
+      });
+    }
+
+    if (label && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `Label must be at most ${MAX_LABEL_LENGTH} characters`
+      });
+    }
+
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    const filter = await filterService.upsertFilter(number.id, {
+      pattern,
+      filterType: type,
+      label
+    });
+
+    res.status(201).json({
+      success: true,
+      filter: filter
+    });
+
+  } catch (error) {
+    console.error('Add filter error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save filter'
+    });
+  }
+}
+
+async function removeFilter(req, res) {
+  try {
+    const { filterId } = req.params;
+
+    if (!UUID_REGEX.test(filterId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Filter not found'
+      });
+    }
+
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    const removed = await filterService.removeFilter(number.id, filterId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Filter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Filter removed'
+    });
+
+  } catch (error) {
+    console.error('Remove filter error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove filter'
+    });
+  }
+}
+
+// Switch between open and contacts-only, and choose what happens to blocked SMS
+async function updateFilterSettings(req, res) {
+  try {
+    const { mode, blockedSmsAction } = req.body;
+
+    if (mode === undefined && blockedSmsAction === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update'
+      });
+    }
+
+    if (mode !== undefined && !filterService.FILTER_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Mode must be one of: ${filterService.FILTER_MODES.join(', ')}`
+      });
+    }
+
+    if (blockedSmsAction !== undefined && !filterService.BLOCKED_SMS_ACTIONS.includes(blockedSmsAction)) {
+      return res.status(400).json({
+        success: false,
+        error: `Blocked SMS action must be one of: ${filterService.BLOCKED_SMS_ACTIONS.join(', ')}`
+      });
+    }
+
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    const settings = await filterService.updateSettings(number.id, { mode, blockedSmsAction });
+
+    res.json({
+      success: true,
+      mode: settings.filter_mode,
+      blockedSmsAction: settings.blocked_sms_action
+    });
+
+  } catch (error) {
+    console.error('Update filter settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update filter settings'
+    });
+  }
+}
+
+// Messages held back from threads as blocked or likely spam
+async function listQuarantine(req, res) {
+  try {
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const messages = await filterService.listQuarantine(number.id, limit);
+
+    res.json({
+      success: true,
+      messages: await Promise.all(
+        messages.map(message => decryptFields(message, ['body', 'otp_code']))
+      )
+    });
+
+  } catch (error) {
+    console.error('List quarantine error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quarantined messages'
+    });
+  }
+}
+
+async function releaseMessage(req, res) {
+  try {
+    const { messageId } = req.params;
+
+    if (!UUID_REGEX.test(messageId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    const number = await findOwnedNumber(req, res);
+    if (!number) return;
+
+    const message = await filterService.releaseMessage(number.id, messageId);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: await decryptFields(message, ['body', 'otp_code'])
+    });
+
+  } catch (error) {
+    console.error('Release message error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to release message'
+    });
+  }
+}
+
+module.exports = {
+  listFilters,
+  addFilter,
+  removeFilter,
+  updateFilterSettings,
+  listQuarantine,
+  releaseMessage
+};
@@ -0,0 +1,128 @@
+const db = require('../../shared/db');
+const mediaService = require('../services/mediaService');
+const { getDataKey } = require('../services/encryptionService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Upload an attachment for an outbound MMS. The raw request body is the file.
+async function uploadMedia(req, res) {
+  try {
+    const contentType = req.get('content-type');
+
+    if (!mediaService.isAllowedContentType(contentType)) {
+      return res.status(415).json({
+        success: false,
+        error: `Unsupported media type. Allowed: ${Object.keys(mediaService.ALLOWED_CONTENT_TYPES).join(', ')}`
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'File body is required'
+      });
+    }
+
+    const dataKey = await getDataKey(req.user.userId);
+    const key = await mediaService.saveMedia(req.user.userId, req.body, contentType, dataKey);
+
+    res.status(201).json({
+      success: true,
+      mediaKey: key,
+      size: req.body.length,
+      url: mediaService.signMediaUrl(key)
+    });
+
+  } catch (error) {
+    console.error('Upload media error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload media'
+    });
+  }
+}
+
+// Signed, short-lived URLs for a message's attachments
+async function getMessageMedia(req, res) {
+  try {
+    const { messageId } = req.params;
+
+    if (!UUID_REGEX.test(messageId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    const result = await db.query(
+      'SELECT media_urls FROM messages WHERE id = $1 AND user_id = $2',
+      [messageId, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    const keys = (result.rows[0].media_urls || []).filter(mediaService.isValidKey);
+
+    res.json({
+      success: true,
+      media: keys.map(key => ({
+        contentType: mediaService.contentTypeForKey(key),
+        url: mediaService.signMediaUrl(key)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get message media error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch media'
+    });
+  }
+}
+
+// Serve a stored file to the holder of a valid signed URL, decrypted
+async function serveMedia(req, res) {
+  try {
+    const key = `${req.params.userId}/${req.params.file}`;
+    const { expires, signature } = req.query;
+
+    if (!mediaService.verifyMediaSignature(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Media link is invalid or has expired'
+      });
+    }
+
+    const file = await mediaService.readMedia(key);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'Media not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(mediaService.contentTypeForKey(key));
+    res.send(file);
+
+  } catch (error) {
+    console.error('Serve media error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch media'
+    });
+  }
+}
+
+module.exports = {
+  uploadMedia,
+  getMessageMedia,
+  serveMedia
+};
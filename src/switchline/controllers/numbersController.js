@@ -0,0 +1,465 @@
+const numberService = require('../services/numberService');
+const emailForwardService = require('../services/emailForwardService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const E164_REGEX = /^\+[1-9]\d{1,14}$/;
+const MAX_GREETING_LENGTH = 500;
+const EMAIL_REGEX = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+const TOKEN_REGEX = /^[0-9a-f]{64}$/;
+
+// Search numbers available for purchase
+async function searchNumbers(req, res) {
+  try {
+    const { country = 'US', areaCode, contains, limit = 20 } = req.query;
+
+    if (!/^[A-Za-z]{2}$/.test(country)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Country must be a two-letter ISO code'
+      });
+    }
+
+    if (areaCode && !/^\d{3}$/.test(areaCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Area code must be 3 digits'
+      });
+    }
+
+    // Twilio patterns: digits, letters (keypad) and * as a single-digit wildcard
+    if (contains && !/^[0-9A-Za-z*]{2,16}$/.test(contains)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pattern may only contain digits, letters and *'
+      });
+    }
+
+    const numbers = await numberService.searchAvailableNumbers({
+      country: country.toUpperCase(),
+      areaCode,
+      contains,
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 50)
+    });
+
+    res.json({
+      success: true,
+      numbers: numbers
+    });
+
+  } catch (error) {
+    console.error('Search numbers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search available numbers'
+    });
+  }
+}
+
+// Buy a number for the current user
+async function buyNumber(req, res) {
+  try {
+    const { phoneNumber, country = 'US', duration } = req.body;
+    const userId = req.user.userId;
+
+    if (!phoneNumber || !E164_REGEX.test(phoneNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number must be in E.164 format (e.g. +14155550123)'
+      });
+    }
+
+    if (!/^[A-Za-z]{2}$/.test(country)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Country must be a two-letter ISO code'
+      });
+    }
+
+    if (duration && !Object.hasOwn(numberService.EXPIRY_DURATIONS, duration)) {
+      return res.status(400).json({
+        success: false,
+        error: `Duration must be one of: ${Object.keys(numberService.EXPIRY_DURATIONS).join(', ')}`
+      });
+    }
+
+    const result = await numberService.purchaseNumber(userId, phoneNumber, country.toUpperCase(), duration);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    console.log(`✅ Number purchased: ${result.number.phone_number} for user ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      number: result.number,
+      usage: {
+        numbersUsed: result.usage.used,
+        numbersLimit: result.usage.limit,
+        warning: result.usage.warning
+      }
+    });
+
+  } catch (error) {
+    console.error('Buy number error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purchase number'
+    });
+  }
+}
+
+// List the current user's numbers
+async function listNumbers(req, res) {
+  try {
+    const numbers = await numberService.listUserNumbers(req.user.userId);
+
+    res.json({
+      success: true,
+      numbers: numbers
+    });
+
+  } catch (error) {
+    console.error('List numbers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch numbers'
+    });
+  }
+}
+
+// Get a single number owned by the current user
+async function getNumber(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Number not found'
+      });
+    }
+
+    const number = await numberService.getUserNumber(req.user.userId, id);
+
+    if (!number) {
+      return res.status(404).json({
+        success: false,
+        error: 'Number not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      number: number
+    });
+
+  } catch (error) {
+    console.error('Get number error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch number'
+    });
+  }
+}
+
+// Burn a number: release it and delete or anonymize its history
+async function burnNumber(req, res) {
+  try {
+    const { id } = req.params;
+    const { dataHandling = 'delete' } = req.body;
+
+    if (!UUID_REGEX.test(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Number not found'
+      });
+    }
+
+    if (!['delete', 'anonymize'].includes(dataHandling)) {
+      return res.status(400).json({
+        success: false,
+        error: 'dataHandling must be "delete" or "anonymize"'
+      });
+    }
+
+    const result = await numberService.burnNumber(req.user.userId, id, dataHandling);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    console.log(`🔥 Number burned: ${result.number.phone_number} (${dataHandling})`);
+
+    res.json({
+      success: true,
+      number: result.number,
+      dataHandling: dataHandling,
+      messagesAffected: result.wiped.messages,
+      callsAffected: result.wiped.calls
+    });
+
+  } catch (error) {
+    console.error('Burn number error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to burn number'
+    });
+  }
+}
+
+// Extend a temporary number before it expires
+async function extendNumber(req, res) {
+  try {
+    const { id } = req.params;
+    const { duration } = req.body;
+
+    if (!UUID_REGEX.test(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Number not found'
+      });
+    }
+
+    if (!Object.hasOwn(numberService.EXPIRY_DURATIONS, duration)) {
+      return res.status(400).json({
+        success: false,
+        error: `Duration must be one of: ${Object.keys(numberService.EXPIRY_DURATIONS).join(', ')}`
+      });
+    }
+
+    const result = await numberService.extendNumber(req.user.userId, id, duration);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      number: result.number
+    });
+
+  } catch (error) {
+    console.error('Extend number error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to extend number'
+    });
+  }
+}
+
+// Configure call forwarding to one of the user's verified phones
+async function updateForwarding(req, res) {
+  try {
+    const { id } = req.params;
+    const { enabled, forwardTo } = req.body;
+
+    if (!UUID_REGEX.test(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Number not found'
+      });
+    }
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled must be true or false'
+      });
+    }
+
+    if (forwardTo !== undefined && forwardTo !== null && !E164_REGEX.test(forwardTo)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Forwarding number must be in E.164 format (e.g. +14155550123)'
+      });
+    }
+
+    const result = await numberService.updateForwarding(req.user.userId, id, { enabled, forwardTo });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      number: result.number
+    });
+
+  } catch (error) {
+    console.error('Update forwarding error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update forwarding'
+    });
+  }
+}
+
+// Configure the voicemail greeting, or switch voicemail off
+async function updateVoicemail(req, res) {
+  try {
+    const { id } = req.params;
+    const { enabled, greeting } = req.body;
+
+    if (!UUID_REGEX.test(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Number not found'
+      });
+    }
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled must be true or false'
+      });
+    }
+
+    if (greeting && (typeof greeting !== 'string' || greeting.length > MAX_GREETING_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `Greeting must be text of at most ${MAX_GREETING_LENGTH} characters`
+      });
+    }
+
+    const result = await numberService.updateVoicemail(req.user.userId, id, {
+      enabled,
+      greeting: greeting && greeting.trim()
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      number: result.number
+    });
+
+  } catch (error) {
+    console.error('Update voicemail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update voicemail'
+    });
+  }
+}
+
+// Email inbound SMS and/or voicemails to the account email or an alias
+async function updateEmailForwarding(req, res) {
+  try {
+    const { id } = req.params;
+    const { sms, voicemail, address } = req.body;
+
+    if (!UUID_REGEX.test(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Number not found'
+      });
+    }
+
+    if (typeof sms !== 'boolean' || typeof voicemail !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'sms and voicemail must be true or false'
+      });
+    }
+
+    if (address && (typeof address !== 'string' || address.length > 255 || !EMAIL_REGEX.test(address))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Address must be a valid email address'
+      });
+    }
+
+    const result = await emailForwardService.updateSettings(req.user.userId, id, {
+      sms,
+      voicemail,
+      address
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      number: result.number,
+      confirmationSent: result.confirmationSent
+    });
+
+  } catch (error) {
+    console.error('Update email forwarding error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update email forwarding'
+    });
+  }
+}
+
+// Follow the link emailed to a new forwarding address
+async function confirmEmailForwarding(req, res) {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || !TOKEN_REGEX.test(token)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Confirmation link is invalid or has expired'
+      });
+    }
+
+    const result = await emailForwardService.confirmAddress(token);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      phoneNumber: result.number.phone_number,
+      address: result.number.email_forward_address
+    });
+
+  } catch (error) {
+    console.error('Confirm email forwarding error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm email forwarding'
+    });
+  }
+}
+
+module.exports = {
+  searchNumbers,
+  buyNumber,
+  listNumbers,
+  getNumber,
+  burnNumber,
+  extendNumber,
+  updateForwarding,
+  updateVoicemail,
+  updateEmailForwarding,
+  confirmEmailForwarding
+};
@@ -0,0 +1,93 @@
+const retentionService = require('../services/retentionService');
+
+// Retention settings as returned by the API. Call logs and voicemails are
+// always purged after retentionDays; messages only with autoDeleteMessages.
+function formatRetention(settings) {
+  return {
+    retentionDays: settings.data_retention_days,
+    autoDeleteMessages: settings.auto_delete_messages
+  };
+}
+
+async function getRetention(req, res) {
+  try {
+    const settings = await retentionService.getRetention(req.user.userId);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      retention: formatRetention(settings)
+    });
+
+  } catch (error) {
+    console.error('Get retention error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch retention settings'
+    });
+  }
+}
+
+async function updateRetention(req, res) {
+  try {
+    const { retentionDays, autoDeleteMessages } = req.body;
+    const { MIN_RETENTION_DAYS, MAX_RETENTION_DAYS } = retentionService;
+
+    if (retentionDays === undefined && autoDeleteMessages === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update'
+      });
+    }
+
+    if (retentionDays !== undefined &&
+        (!Number.isInteger(retentionDays) || retentionDays < MIN_RETENTION_DAYS || retentionDays > MAX_RETENTION_DAYS)) {
+      return res.status(400).json({
+        success: false,
+        error: `Retention must be between ${MIN_RETENTION_DAYS} and ${MAX_RETENTION_DAYS} days`
+      });
+    }
+
+    if (autoDeleteMessages !== undefined && typeof autoDeleteMessages !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'autoDeleteMessages must be true or false'
+      });
+    }
+
+    const settings = await retentionService.updateRetention(req.user.userId, {
+      days: retentionDays,
+      autoDeleteMessages
+    });
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      retention: formatRetention(settings)
+    });
+
+  } catch (error) {
+    console.error('Update retention error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update retention settings'
+    });
+  }
+}
+
+module.exports = {
+  getRetention,
+  updateRetention
+};
@@ -0,0 +1,89 @@
+const fs = require('fs/promises');
+const messageService = require('../services/messageService');
+const mediaService = require('../services/mediaService');
+const { decryptFields } = require('../services/encryptionService');
+
+const E164_REGEX = /^\+[1-9]\d{1,14}$/;
+const MAX_BODY_LENGTH = 1600; // Twilio's limit across concatenated segments
+const MAX_MEDIA_PER_MESSAGE = 10;
+
+// Send an SMS from one of the current user's numbers
+async function sendSms(req, res) {
+  try {
+    const { from, to, body } = req.body;
+    const userId = req.user.userId;
+
+    if (req.body.mediaKeys !== undefined &&
+        (!Array.isArray(req.body.mediaKeys) || req.body.mediaKeys.length > MAX_MEDIA_PER_MESSAGE)) {
+      return res.status(400).json({
+        success: false,
+        error: `mediaKeys must be a list of at most ${MAX_MEDIA_PER_MESSAGE} uploads`
+      });
+    }
+
+    const mediaKeys = req.body.mediaKeys || [];
+
+    if (!from || !to || (!body && mediaKeys.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: from, to, and body or mediaKeys'
+      });
+    }
+
+    if (!E164_REGEX.test(from) || !E164_REGEX.test(to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone numbers must be in E.164 format (e.g. +14155550123)'
+      });
+    }
+
+    if (body && body.length > MAX_BODY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Message body must be at most ${MAX_BODY_LENGTH} characters`
+      });
+    }
+
+    for (const key of mediaKeys) {
+      const exists = mediaService.isOwnedBy(key, userId) &&
+        await fs.access(mediaService.mediaPath(key)).then(() => true, () => false);
+
+      if (!exists) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown media: ${key}`
+        });
+      }
+    }
+
+    const result = await messageService.sendMessage(userId, { from, to, body, mediaKeys });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: await decryptFields(result.message, ['body']),
+      usage: {
+        smsUsed: result.smsUsed,
+        smsLimit: result.smsLimit,
+        warning: result.usageWarning
+      }
+    });
+
+  } catch (error) {
+    console.error('Send SMS error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send SMS'
+    });
+  }
+}
+
+module.exports = {
+  sendSms
+};
@@ -0,0 +1,131 @@
+const twoFactorService = require('../services/twoFactorService');
+
+// Send a failed service result as the response
+function sendFailure(res, result) {
+  const { success, status, ...body } = result;
+
+  if (body.lockedUntil) {
+    const seconds = Math.ceil((new Date(body.lockedUntil) - Date.now()) / 1000);
+    res.set('Retry-After', String(Math.max(seconds, 1)));
+  }
+
+  return res.status(status).json({ success: false, ...body });
+}
+
+// Password plus a TOTP code or backup code, for disabling and new backup codes
+function credentials(body) {
+  return {
+    password: body.password,
+    code: typeof body.code === 'string' ? body.code : undefined,
+    backupCode: typeof body.backupCode === 'string' ? body.backupCode : undefined
+  };
+}
+
+// Start enrollment; qrCode is a PNG data URL the client shows for the authenticator app
+async function setup(req, res) {
+  try {
+    const result = await twoFactorService.beginSetup(req.user.userId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      secret: result.secret,
+      otpauthUrl: result.otpauthUrl,
+      qrCode: result.qrCode
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup'
+    });
+  }
+}
+
+// Confirm enrollment with a code from the app; returns the backup codes once
+async function verify(req, res) {
+  try {
+    const { code } = req.body;
+
+    if (typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Code is required'
+      });
+    }
+
+    const result = await twoFactorService.confirmSetup(req.user.userId, code.trim());
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      backupCodes: result.backupCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication'
+    });
+  }
+}
+
+async function disable(req, res) {
+  try {
+    const result = await twoFactorService.disable(req.user.userId, credentials(req.body), req.ip);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication'
+    });
+  }
+}
+
+// Replace the backup codes; the old ones stop working
+async function regenerateBackupCodes(req, res) {
+  try {
+    const result = await twoFactorService.regenerateBackupCodes(req.user.userId, credentials(req.body), req.ip);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      backupCodes: result.backupCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate backup codes'
+    });
+  }
+}
+
+module.exports = {
+  setup,
+  verify,
+  disable,
+  regenerateBackupCodes
+};
@@ -0,0 +1,35 @@
+const usageService = require('../services/usageService');
+
+// Current billing period usage against the plan's limits
+async function getUsage(req, res) {
+  try {
+    const usage = await usageService.getUsage(req.user.userId);
+
+    if (!usage) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      plan: usage.plan,
+      periodStart: usage.periodStart,
+      periodEnd: usage.periodEnd,
+      usage: usage.usage,
+      warnings: Object.keys(usage.usage).filter(metric => usage.usage[metric].warning)
+    });
+
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch usage'
+    });
+  }
+}
+
+module.exports = {
+  getUsage
+};
@@ -0,0 +1,138 @@
+const verifiedPhoneService = require('../services/verifiedPhoneService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const E164_REGEX = /^\+[1-9]\d{1,14}$/;
+
+// Add a real phone and text it a verification code
+async function addPhone(req, res) {
+  try {
+    const { phoneNumber } = req.body;
+
+    if (!phoneNumber || !E164_REGEX.test(phoneNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number must be in E.164 format (e.g. +14155550123)'
+      });
+    }
+
+    const result = await verifiedPhoneService.requestVerification(req.user.userId, phoneNumber);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      phone: result.phone,
+      message: 'Verification code sent'
+    });
+
+  } catch (error) {
+    console.error('Add verified phone error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification code'
+    });
+  }
+}
+
+// Confirm the code texted to a phone
+async function verifyPhone(req, res) {
+  try {
+    const { id } = req.params;
+    const { code } = req.body;
+
+    if (!UUID_REGEX.test(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Phone not found'
+      });
+    }
+
+    if (!code || !/^\d{6}$/.test(String(code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Code must be 6 digits'
+      });
+    }
+
+    const result = await verifiedPhoneService.confirmVerification(req.user.userId, id, code);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      phone: result.phone
+    });
+
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify phone'
+    });
+  }
+}
+
+// List the current user's real phones
+async function listPhones(req, res) {
+  try {
+    const phones = await verifiedPhoneService.listPhones(req.user.userId);
+
+    res.json({
+      success: true,
+      phones: phones
+    });
+
+  } catch (error) {
+    console.error('List verified phones error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch phones'
+    });
+  }
+}
+
+// Remove a real phone
+async function removePhone(req, res) {
+  try {
+    const { id } = req.params;
+
+    const removed = UUID_REGEX.test(id) &&
+      await verifiedPhoneService.removePhone(req.user.userId, id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Phone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Phone removed'
+    });
+
+  } catch (error) {
+    console.error('Remove verified phone error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove phone'
+    });
+  }
+}
+
+module.exports = {
+  addPhone,
+  verifyPhone,
+  listPhones,
+  removePhone
+};
@@ -0,0 +1,131 @@
+const voicemailService = require('../services/voicemailService');
+const mediaService = require('../services/mediaService');
+const { decryptText } = require('../services/encryptionService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Voicemail as returned by the API, with a short-lived playback URL
+async function formatVoicemail(voicemail) {
+  return {
+    id: voicemail.id,
+    numberId: voicemail.phone_number_id,
+    from: voicemail.from_number,
+    to: voicemail.to_number,
+    receivedAt: voicemail.started_at,
+    duration: voicemail.recording_duration,
+    transcription: await decryptText(voicemail.voicemail_transcription),
+    heard: voicemail.voicemail_heard_at !== null,
+    heardAt: voicemail.voicemail_heard_at,
+    playbackUrl: mediaService.isValidKey(voicemail.recording_url)
+      ? mediaService.signMediaUrl(voicemail.recording_url)
+      : null
+  };
+}
+
+// List voicemails, optionally for one number or only unheard ones
+async function listVoicemails(req, res) {
+  try {
+    const { numberId, unheard, limit = 50 } = req.query;
+
+    if (numberId && !UUID_REGEX.test(numberId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid numberId'
+      });
+    }
+
+    const voicemails = await voicemailService.listVoicemails(req.user.userId, {
+      numberId: numberId || null,
+      unheardOnly: unheard === 'true',
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 100)
+    });
+
+    res.json({
+      success: true,
+      voicemails: await Promise.all(voicemails.map(formatVoicemail))
+    });
+
+  } catch (error) {
+    console.error('List voicemails error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch voicemails'
+    });
+  }
+}
+
+// Get one voicemail with its playback URL
+async function getVoicemail(req, res) {
+  try {
+    const { id } = req.params;
+
+    const voicemail = UUID_REGEX.test(id)
+      ? await voicemailService.getVoicemail(req.user.userId, id)
+      : null;
+
+    if (!voicemail) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voicemail not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      voicemail: await formatVoicemail(voicemail)
+    });
+
+  } catch (error) {
+    console.error('Get voicemail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch voicemail'
+    });
+  }
+}
+
+// Mark a voicemail as heard (or unheard with { heard: false })
+async function markHeard(req, res) {
+  try {
+    const { id } = req.params;
+    const { heard = true } = req.body;
+
+    if (typeof heard !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'heard must be true or false'
+      });
+    }
+
+    const result = UUID_REGEX.test(id)
+      ? await voicemailService.setHeard(req.user.userId, id, heard)
+      : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voicemail not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      id: result.id,
+      heard: result.voicemail_heard_at !== null,
+      heardAt: result.voicemail_heard_at
+    });
+
+  } catch (error) {
+    console.error('Mark voicemail heard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update voicemail'
+    });
+  }
+}
+
+module.exports = {
+  listVoicemails,
+  getVoicemail,
+  markHeard
+};
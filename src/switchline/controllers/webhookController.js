@@ -0,0 +1,472 @@
+const twilio = require('twilio');
+const numberService = require('../services/numberService');
+const messageService = require('../services/messageService');
+const callService = require('../services/callService');
+const voicemailService = require('../services/voicemailService');
+const filterService = require('../services/filterService');
+const usageService = require('../services/usageService');
+const eventService = require('../services/eventService');
+const emailForwardService = require('../services/emailForwardService');
+const otpService = require('../services/otpService');
+const { getDataKey } = require('../services/encryptionService');
+const autoReplyService = require('../services/autoReplyService');
+const { webhookUrl } = require('../services/twilioClient');
+const mediaService = require('../services/mediaService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Send a TwiML document back to Twilio
+function sendTwiml(res, twiml) {
+  res.type('text/xml');
+  res.send(twiml.toString());
+}
+
+// Inbound SMS/MMS to one of our numbers
+async function handleInboundSms(req, res) {
+  const twiml = new twilio.twiml.MessagingResponse();
+
+  try {
+    const { From, To, Body, MessageSid, AccountSid } = req.body;
+
+    const number = await numberService.findNumberByPhone(To);
+
+    // Nothing to deliver to; answer with an empty response so Twilio doesn't retry
+    if (!number || number.status !== 'active') {
+      console.warn(`⚠️ Inbound SMS to ${number ? number.status : 'unknown'} number ${To} dropped (${MessageSid})`);
+      return sendTwiml(res, twiml);
+    }
+
+    // A Twilio retry of a message we already have; don't fetch its media again
+    if (await messageService.inboundExists(MessageSid)) {
+      console.log(`📨 Inbound SMS ${MessageSid} already stored`);
+      return sendTwiml(res, twiml);
+    }
+
+    // Blocked senders are dropped or quarantined per the number's setting;
+    // likely spam is always quarantined so false positives can be released
+    const verdict = await filterService.evaluateSender(number, From, Body);
+
+    if (verdict.action === 'block' && number.blocked_sms_action !== 'quarantine') {
+      console.log(`🚫 Inbound SMS ${MessageSid} dropped (${verdict.reason})`);
+      return sendTwiml(res, twiml);
+    }
+
+    // Keep our own copy of MMS attachments; Twilio's URLs are not ours to hand out
+    const media = messageService.parseTwilioMedia(req.body);
+    const dataKey = await getDataKey(number.user_id, number.id);
+    const mediaKeys = await mediaService.storeTwilioMedia(number.user_id, media, dataKey);
+
+    const message = await messageService.recordInboundMessage(number, {
+      from: From,
+      to: To,
+      body: Body,
+      twilioSid: MessageSid,
+      accountSid: AccountSid,
+      mediaUrls: mediaKeys,
+      quarantined: verdict.action !== 'allow',
+      spamScore: verdict.spamScore,
+      otp: verdict.action === 'allow' ? otpService.otpFields(Body) : null,
+      dataKey
+    });
+
+    if (message) {
+      console.log(`📨 Inbound SMS stored: ${MessageSid} for number ${number.id}`);
+
+      if (!message.quarantined) {
+        await eventService.publish(number.user_id, 'message.received', {
+          messageId: message.id,
+          numberId: number.id,
+          from: message.from_number,
+          to: message.to_number,
+          body: message.body,
+          mediaCount: message.num_media,
+          otp: message.otp_code
+            ? { code: message.otp_code, service: message.otp_service, expiresAt: message.otp_expires_at }
+            : null
+        });
+      }
+
+      // The stored body is encrypted; rules and email work from the plaintext we were sent.
+      // A failed auto-reply or email must not make Twilio see the inbound webhook as failed.
+      try {
+        await autoReplyService.handleInboundMessage(number, message, Body);
+      } catch (error) {
+        console.error(`❌ Auto-reply failed for ${MessageSid}:`, error);
+      }
+
+      try {
+        await emailForwardService.forwardMessage(number, message, Body);
+      } catch (error) {
+        console.error(`❌ Email forward failed for ${MessageSid}:`, error);
+      }
+    } else {
+      // A concurrent duplicate delivery won the insert and has its own media
+      await mediaService.deleteMedia(mediaKeys);
+    }
+
+    sendTwiml(res, twiml);
+
+  } catch (error) {
+    console.error('Inbound SMS webhook error:', error);
+    // Surfaces in Twilio's debugger as a failed webhook
+    res.status(500).type('text/xml').send(twiml.toString());
+  }
+}
+
+// Delivery status callback for an outbound message
+async function handleSmsStatus(req, res) {
+  try {
+    const { MessageSid, MessageStatus, ErrorCode } = req.body;
+    const { messageId } = req.query;
+
+    const message = await messageService.applyStatusCallback({
+      messageId: UUID_REGEX.test(messageId || '') ? messageId : null,
+      twilioSid: MessageSid,
+      status: MessageStatus,
+      errorCode: ErrorCode
+    });
+
+    if (!message) {
+      console.warn(`⚠️ Status callback for unknown message ${messageId || MessageSid}`);
+      // Without our id the SID may simply not be stored yet; let Twilio retry
+      return res.sendStatus(messageId ? 204 : 404);
+    }
+
+    if (message.status === MessageStatus) {
+      await eventService.publish(message.user_id, 'message.status', {
+        messageId: message.id,
+        numberId: message.phone_number_id,
+        status: message.status,
+        errorCode: message.error_code,
+        errorMessage: message.error_message
+      });
+    }
+
+    res.sendStatus(204);
+
+  } catch (error) {
+    console.error('SMS status webhook error:', error);
+    res.sendStatus(500);
+  }
+}
+
+const DEFAULT_GREETING = 'The person you are calling is not available. Please leave a message after the tone.';
+
+// Forwarded calls that end like this go to voicemail
+const VOICEMAIL_DIAL_STATUSES = ['no-answer', 'busy', 'failed'];
+
+// Greeting plus a recording; the recording arrives via /webhook/voice/recording
+function addVoicemail(twiml, number) {
+  twiml.say(number.voicemail_greeting || DEFAULT_GREETING);
+  twiml.record({
+    maxLength: 120,
+    playBeep: true,
+    action: webhookUrl('/webhook/voice/voicemail-complete'),
+    recordingStatusCallback: webhookUrl('/webhook/voice/recording'),
+    recordingStatusCallbackEvent: 'completed',
+    transcribe: true,
+    transcribeCallback: webhookUrl('/webhook/voice/transcription')
+  });
+}
+
+// Inbound call to one of our numbers: forward it to the owner's verified phone.
+// The burner is the caller ID, so the owner knows which number was dialled.
+async function handleInboundVoice(req, res) {
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  try {
+    const { From, To, CallSid } = req.body;
+
+    const number = await numberService.findNumberByPhone(To);
+
+    if (!number || number.status !== 'active') {
+      console.warn(`⚠️ Inbound call to ${number ? number.status : 'unknown'} number ${To} rejected (${CallSid})`);
+      twiml.reject();
+      return sendTwiml(res, twiml);
+    }
+
+    const verdict = await filterService.evaluateSender(number, From);
+
+    if (verdict.action === 'block') {
+      console.log(`🚫 Inbound call ${CallSid} rejected (${verdict.reason})`);
+      twiml.reject();
+      return sendTwiml(res, twiml);
+    }
+
+    if (!(await usageService.hasRemaining(number.user_id, 'minutes'))) {
+      console.warn(`⚠️ Inbound call ${CallSid} rejected: minutes limit reached for user ${number.user_id}`);
+      twiml.reject();
+      return sendTwiml(res, twiml);
+    }
+
+    const call = await callService.recordInboundCall(number, {
+      from: From,
+      to: To,
+      twilioSid: CallSid,
+      spamScore: verdict.spamScore
+    });
+
+    if (call) {
+      await eventService.publish(number.user_id, 'call.ringing', {
+        callId: call.id,
+        numberId: number.id,
+        from: call.from_number,
+        to: call.to_number,
+        spam: verdict.action === 'spam'
+      });
+    }
+
+    // Likely spam doesn't ring the owner's phone; it can still leave a voicemail
+    if (verdict.action === 'spam') {
+      console.log(`⚠️ Inbound call ${CallSid} flagged as spam (score ${verdict.spamScore})`);
+
+      if (number.voicemail_enabled) {
+        await callService.updateDialOutcome(CallSid, 'no-answer');
+        addVoicemail(twiml, number);
+      } else {
+        twiml.reject();
+      }
+    } else if (number.forwarding_enabled && number.forwarding_number) {
+      const dial = twiml.dial({
+        callerId: number.phone_number,
+        timeout: 20,
+        action: webhookUrl('/webhook/voice/dial-complete')
+      });
+      dial.number(number.forwarding_number);
+    } else if (number.voicemail_enabled) {
+      await callService.updateDialOutcome(CallSid, 'no-answer');
+      addVoicemail(twiml, number);
+    } else {
+      twiml.say('The person you are calling is not available. Goodbye.');
+      twiml.hangup();
+    }
+
+    sendTwiml(res, twiml);
+
+  } catch (error) {
+    console.error('Inbound voice webhook error:', error);
+    twiml.say('Sorry, we could not connect your call. Please try again later.');
+    sendTwiml(res, twiml);
+  }
+}
+
+// Voice status callback: timing, final status, price and usage
+async function handleVoiceStatus(req, res) {
+  try {
+    const { CallSid, CallStatus, CallDuration } = req.body;
+
+    const call = await callService.applyCallStatus({
+      callSid: CallSid,
+      callStatus: CallStatus,
+      callDuration: CallDuration
+    });
+
+    if (!call) {
+      console.warn(`⚠️ Status callback for unknown call ${CallSid}`);
+    }
+
+    res.sendStatus(204);
+
+  } catch (error) {
+    console.error('Voice status webhook error:', error);
+    res.sendStatus(500);
+  }
+}
+
+// The forwarded leg ended; unanswered calls fall through to voicemail
+async function handleDialComplete(req, res) {
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  try {
+    const { CallSid, To, DialCallStatus } = req.body;
+
+    await callService.updateDialOutcome(CallSid, DialCallStatus);
+
+    const number = await numberService.findNumberByPhone(To);
+
+    if (number && number.voicemail_enabled && VOICEMAIL_DIAL_STATUSES.includes(DialCallStatus)) {
+      addVoicemail(twiml, number);
+    } else {
+      twiml.hangup();
+    }
+
+    sendTwiml(res, twiml);
+
+  } catch (error) {
+    console.error('Dial complete webhook error:', error);
+    twiml.hangup();
+    sendTwiml(res, twiml);
+  }
+}
+
+// Caller finished recording
+function handleVoicemailComplete(req, res) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say('Thank you. Goodbye.');
+  twiml.hangup();
+  sendTwiml(res, twiml);
+}
+
+// Recording is ready at Twilio
+async function handleRecording(req, res) {
+  try {
+    const { CallSid, RecordingSid, RecordingUrl, RecordingDuration, RecordingStatus } = req.body;
+
+    if (RecordingStatus === 'completed') {
+      const result = await voicemailService.attachRecording(CallSid, {
+        recordingSid: RecordingSid,
+        recordingUrl: RecordingUrl,
+        recordingDuration: RecordingDuration
+      });
+
+      if (result) {
+        console.log(`📼 Voicemail stored for call ${result.call.id}`);
+
+        if (result.isNew) {
+          await eventService.publish(result.call.user_id, 'voicemail.new', {
+            voicemailId: result.call.id,
+            numberId: result.call.phone_number_id,
+            from: result.call.from_number,
+            duration: result.call.recording_duration
+          });
+
+          try {
+            await emailForwardService.forwardVoicemail(result.call);
+          } catch (error) {
+            console.error(`❌ Voicemail email failed for call ${result.call.id}:`, error);
+          }
+        }
+      }
+    }
+
+    res.sendStatus(204);
+
+  } catch (error) {
+    console.error('Recording webhook error:', error);
+    res.sendStatus(500);
+  }
+}
+
+// Transcription of a voicemail
+async function handleTranscription(req, res) {
+  try {
+    const { CallSid, TranscriptionSid, TranscriptionText, TranscriptionStatus } = req.body;
+
+    if (TranscriptionStatus === 'completed') {
+      await voicemailService.attachTranscription(CallSid, {
+        transcriptionSid: TranscriptionSid,
+        transcriptionText: TranscriptionText
+      });
+    } else if (TranscriptionStatus === 'failed') {
+      // No transcription is coming; Twilio's recording isn't needed any more
+      await voicemailService.releaseRecording(CallSid);
+    }
+
+    res.sendStatus(204);
+
+  } catch (error) {
+    console.error('Transcription webhook error:', error);
+    res.sendStatus(500);
+  }
+}
+
+// The user picked up the first leg of a click-to-call: connect the destination
+async function handleBridge(req, res) {
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  try {
+    const { CallSid } = req.body;
+    const call = await callService.findBridgedCall(req.query.callId, CallSid);
+
+    if (!call) {
+      console.warn(`⚠️ Bridge webhook for unknown call ${req.query.callId} (${CallSid})`);
+      twiml.hangup();
+      return sendTwiml(res, twiml);
+    }
+
+    twiml.say('Connecting your Switchline call.');
+    const dial = twiml.dial({
+      callerId: call.from_number,
+      action: webhookUrl(`/webhook/voice/bridge/complete?callId=${call.id}`),
+      method: 'POST'
+    });
+    dial.number(call.to_number);
+
+    sendTwiml(res, twiml);
+
+  } catch (error) {
+    console.error('Bridge webhook error:', error);
+    twiml.say('Sorry, we could not connect your call. Please try again later.');
+    sendTwiml(res, twiml);
+  }
+}
+
+// The bridged leg ended; Dial's action reports how
+async function handleBridgeComplete(req, res) {
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  try {
+    const { CallSid, DialCallSid, DialCallStatus } = req.body;
+    const call = await callService.findBridgedCall(req.query.callId, CallSid);
+
+    if (call) {
+      await callService.completeBridgedCall(call.id, {
+        dialCallSid: DialCallSid,
+        dialCallStatus: DialCallStatus
+      });
+    }
+
+    if (DialCallStatus !== 'completed' && DialCallStatus !== 'answered') {
+      twiml.say('The call could not be completed. Goodbye.');
+    }
+    twiml.hangup();
+
+    sendTwiml(res, twiml);
+
+  } catch (error) {
+    console.error('Bridge complete webhook error:', error);
+    twiml.hangup();
+    sendTwiml(res, twiml);
+  }
+}
+
+// Reply to a forwarded SMS email. Field names cover SendGrid Inbound Parse
+// (to/from/text) and Mailgun routes (recipient/sender/stripped-text).
+async function handleInboundEmail(req, res) {
+  try {
+    const params = req.body;
+
+    const result = await emailForwardService.handleReply({
+      recipient: params.recipient || params.to,
+      sender: params.sender || params.from,
+      text: params['stripped-text'] || params['body-plain'] || params.text
+    });
+
+    if (!result.success) {
+      // Accept anyway so the provider doesn't keep retrying an email we'll never send
+      console.warn(`⚠️ Email reply not sent: ${result.error}`);
+      return res.sendStatus(200);
+    }
+
+    console.log(`📧 Email reply sent as SMS ${result.message.twilio_sid}`);
+    res.sendStatus(200);
+
+  } catch (error) {
+    console.error('Inbound email webhook error:', error);
+    res.sendStatus(500);
+  }
+}
+
+module.exports = {
+  handleInboundSms,
+  handleSmsStatus,
+  handleInboundVoice,
+  handleVoiceStatus,
+  handleDialComplete,
+  handleVoicemailComplete,
+  handleRecording,
+  handleTranscription,
+  handleBridge,
+  handleBridgeComplete,
+  handleInboundEmail
+};
@@ -0,0 +1,75 @@
+jest.mock('../../services/numberService', () => ({
+  claimExpiryWarnings: jest.fn(),
+  releaseExpiryWarning: jest.fn(),
+  findExpiredNumbers: jest.fn(),
+  burnNumber: jest.fn()
+}));
+jest.mock('../../../shared/mailer', () => ({ isConfigured: jest.fn(), sendMail: jest.fn() }));
+
+const numberService = require('../../services/numberService');
+const mailer = require('../../../shared/mailer');
+const { sweepExpiredNumbers } = require('../expirySweeper');
+
+const EXPIRING = {
+  id: 'number-1',
+  phone_number: '+14155550100',
+  owner_email: 'owner@example.com',
+  expires_at: new Date('2024-03-01T12:00:00Z')
+};
+
+describe('sweepExpiredNumbers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mailer.isConfigured.mockReturnValue(true);
+    numberService.claimExpiryWarnings.mockResolvedValue([]);
+    numberService.findExpiredNumbers.mockResolvedValue([]);
+  });
+
+  it('emails the owner of a number about to expire', async () => {
+    numberService.claimExpiryWarnings.mockResolvedValue([EXPIRING]);
+
+    await sweepExpiredNumbers();
+
+    expect(mailer.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'owner@example.com',
+      subject: 'Your Switchline number +14155550100 expires soon'
+    }));
+    expect(numberService.releaseExpiryWarning).not.toHaveBeenCalled();
+  });
+
+  it('gives back a warning that failed to send so the next sweep retries it', async () => {
+    numberService.claimExpiryWarnings.mockResolvedValue([EXPIRING]);
+    mailer.sendMail.mockRejectedValue(new Error('SMTP down'));
+
+    await sweepExpiredNumbers();
+
+    expect(numberService.releaseExpiryWarning).toHaveBeenCalledWith('number-1');
+  });
+
+  it('leaves warnings unclaimed while email is not configured', async () => {
+    mailer.isConfigured.mockReturnValue(false);
+
+    await sweepExpiredNumbers();
+
+    expect(numberService.claimExpiryWarnings).not.toHaveBeenCalled();
+  });
+
+  it('burns expired numbers, carrying on past one that fails', async () => {
+    numberService.findExpiredNumbers.mockResolvedValue([
+      { id: 'number-1', user_id: 'user-1', phone_number: '+14155550100' },
+      { id: 'number-2', user_id: 'user-2', phone_number: '+14155550101' }
+    ]);
+    numberService.burnNumber
+      .mockRejectedValueOnce(new Error('Twilio unavailable'))
+      .mockResolvedValueOnce({ success: true });
+
+    await sweepExpiredNumbers();
+
+    expect(numberService.burnNumber).toHaveBeenCalledWith('user-1', 'number-1', 'delete');
+    expect(numberService.burnNumber).toHaveBeenCalledWith('user-2', 'number-2', 'delete');
+    expect(console.log).toHaveBeenCalledWith('⏳ Expiry sweep: 0 warned, 1 burned');
+  });
+});
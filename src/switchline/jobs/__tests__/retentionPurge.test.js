@@ -0,0 +1,93 @@
+jest.mock('../../services/retentionService', () => ({
+  purgeCallBatch: jest.fn(),
+  purgeMessageBatch: jest.fn(),
+  startPurgeReport: jest.fn(),
+  finishPurgeReport: jest.fn(),
+  recordHousekeepingError: jest.fn()
+}));
+jest.mock('../../services/mediaService', () => ({ deleteMedia: jest.fn() }));
+jest.mock('../../services/eventService', () => ({ pruneEvents: jest.fn() }));
+jest.mock('../../services/voicemailService', () => ({ deleteStaleRecordings: jest.fn() }));
+jest.mock('../../services/verifiedPhoneService', () => ({ pruneVerificationSends: jest.fn() }));
+jest.mock('../../../shared/loginProtection', () => ({ pruneIpFailures: jest.fn() }));
+
+const retentionService = require('../../services/retentionService');
+const mediaService = require('../../services/mediaService');
+const eventService = require('../../services/eventService');
+const voicemailService = require('../../services/voicemailService');
+const verifiedPhoneService = require('../../services/verifiedPhoneService');
+const { purgeExpiredData } = require('../retentionPurge');
+
+function batch(size, row) {
+  return Array.from({ length: size }, (_, i) => row(i));
+}
+
+describe('purgeExpiredData', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    retentionService.startPurgeReport.mockResolvedValue('report-1');
+    retentionService.purgeCallBatch.mockResolvedValue([]);
+    retentionService.purgeMessageBatch.mockResolvedValue([]);
+    eventService.pruneEvents.mockResolvedValue(0);
+    voicemailService.deleteStaleRecordings.mockResolvedValue(0);
+  });
+
+  it('purges in batches until one comes back short, deleting the files', async () => {
+    retentionService.purgeCallBatch
+      .mockResolvedValueOnce(batch(500, i => ({ user_id: 'user-1', recording_url: i === 0 ? 'user-1/vm.mp3' : null })))
+      .mockResolvedValueOnce([{ user_id: 'user-2', recording_url: null }]);
+    retentionService.purgeMessageBatch
+      .mockResolvedValueOnce([{ user_id: 'user-2', media_urls: ['user-2/a.jpg', 'user-2/b.jpg'] }]);
+
+    await purgeExpiredData();
+
+    expect(retentionService.purgeCallBatch).toHaveBeenCalledTimes(2);
+    expect(mediaService.deleteMedia).toHaveBeenCalledWith(['user-1/vm.mp3']);
+    expect(mediaService.deleteMedia).toHaveBeenCalledWith(['user-2/a.jpg', 'user-2/b.jpg']);
+    expect(retentionService.finishPurgeReport).toHaveBeenCalledWith('report-1', {
+      status: 'completed',
+      usersAffected: 2,
+      messagesDeleted: 1,
+      callsDeleted: 501,
+      filesDeleted: 3,
+      error: null
+    });
+  });
+
+  it('reports how far a failed purge got, then still runs the housekeeping', async () => {
+    retentionService.purgeCallBatch.mockResolvedValueOnce([{ user_id: 'user-1', recording_url: null }]);
+    retentionService.purgeMessageBatch.mockRejectedValue(new Error('deadlock detected'));
+
+    await expect(purgeExpiredData()).rejects.toThrow('deadlock detected');
+
+    expect(retentionService.finishPurgeReport).toHaveBeenCalledWith('report-1', expect.objectContaining({
+      status: 'failed',
+      callsDeleted: 1,
+      error: 'deadlock detected'
+    }));
+    expect(eventService.pruneEvents).toHaveBeenCalled();
+  });
+
+  it('runs every housekeeping task and records failures apart from the purge status', async () => {
+    eventService.pruneEvents.mockRejectedValue(new Error('timeout'));
+    voicemailService.deleteStaleRecordings.mockRejectedValue(new Error('Twilio down'));
+
+    await purgeExpiredData();
+
+    expect(verifiedPhoneService.pruneVerificationSends).toHaveBeenCalled();
+    expect(retentionService.finishPurgeReport.mock.calls[0][1].status).toBe('completed');
+    expect(retentionService.recordHousekeepingError).toHaveBeenCalledWith(
+      'report-1',
+      'events: timeout; Twilio recordings: Twilio down'
+    );
+  });
+
+  it('records nothing extra when the housekeeping succeeds', async () => {
+    await purgeExpiredData();
+
+    expect(retentionService.recordHousekeepingError).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,84 @@
+const numberService = require('../services/numberService');
+const mailer = require('../../shared/mailer');
+const templates = require('../services/emailTemplates');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+// Email the owner's account address. Texting the burner itself would run the
+// warning through its own auto-reply, forwarding and metering.
+async function sendExpiryWarning(number) {
+  await mailer.sendMail({
+    to: number.owner_email,
+    ...templates.expiryWarning({ phoneNumber: number.phone_number, expiresAt: number.expires_at })
+  });
+}
+
+// Warnings wait (unclaimed) until email is configured. A failed send is
+// released so the next sweep tries again.
+async function sendExpiryWarnings() {
+  if (!mailer.isConfigured()) return 0;
+
+  const expiring = await numberService.claimExpiryWarnings();
+  let sent = 0;
+
+  for (const number of expiring) {
+    try {
+      await sendExpiryWarning(number);
+      sent++;
+    } catch (error) {
+      console.error(`❌ Failed to send expiry warning for ${number.phone_number}:`, error);
+      await numberService.releaseExpiryWarning(number.id);
+    }
+  }
+
+  return sent;
+}
+
+// One pass: warn owners of numbers about to expire, then burn the expired ones
+async function sweepExpiredNumbers() {
+  const warned = await sendExpiryWarnings();
+
+  const expired = await numberService.findExpiredNumbers();
+  let burned = 0;
+
+  for (const number of expired) {
+    try {
+      const result = await numberService.burnNumber(number.user_id, number.id, 'delete');
+      if (result.success) burned++;
+    } catch (error) {
+      // Left in place; the next sweep retries it
+      console.error(`❌ Failed to burn expired number ${number.phone_number}:`, error);
+    }
+  }
+
+  if (warned > 0 || burned > 0) {
+    console.log(`⏳ Expiry sweep: ${warned} warned, ${burned} burned`);
+  }
+}
+
+// Run the sweeper on an interval; passes never overlap
+function startExpirySweeper() {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await sweepExpiredNumbers();
+    } catch (error) {
+      console.error('❌ Expiry sweep failed:', error);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  sweepExpiredNumbers,
+  startExpirySweeper
+};
@@ -0,0 +1,124 @@
+const retentionService = require('../services/retentionService');
+const mediaService = require('../services/mediaService');
+const eventService = require('../services/eventService');
+const voicemailService = require('../services/voicemailService');
+const verifiedPhoneService = require('../services/verifiedPhoneService');
+const loginProtection = require('../../shared/loginProtection');
+
+const PURGE_INTERVAL_MS = parseInt(process.env.RETENTION_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.RETENTION_PURGE_BATCH_SIZE) || 500;
+
+// Delete in small batches until a batch comes back short. Each batch is its
+// own statement, so locks are held briefly. Files go once their rows are gone.
+async function purgeInBatches(purgeBatch, keysOf, totals, counter) {
+  for (;;) {
+    const rows = await purgeBatch(BATCH_SIZE);
+    const keys = rows.flatMap(keysOf).filter(Boolean);
+
+    await mediaService.deleteMedia(keys);
+
+    rows.forEach(row => totals.users.add(row.user_id));
+    totals.files += keys.length;
+    totals[counter] += rows.length;
+
+    if (rows.length < BATCH_SIZE) return;
+  }
+}
+
+// Cleanup that rides along with the purge. Each task runs even if another
+// fails, and a failure never changes the purge's own status.
+const HOUSEKEEPING = [
+  // Stream events only matter for resuming; they hold message previews
+  ['events', () => eventService.pruneEvents()],
+  ['login IP failures', () => loginProtection.pruneIpFailures()],
+  ['Twilio recordings', () => voicemailService.deleteStaleRecordings()],
+  ['verification sends', () => verifiedPhoneService.pruneVerificationSends()]
+];
+
+async function runHousekeeping(reportId) {
+  const errors = [];
+
+  for (const [name, task] of HOUSEKEEPING) {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`❌ Retention housekeeping (${name}) failed:`, error);
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    await retentionService.recordHousekeepingError(reportId, errors.join('; '));
+  }
+}
+
+// One pass: remove call logs, voicemails and (where the user opted in)
+// messages older than each user's retention window, and record what went
+async function purgeExpiredData() {
+  const reportId = await retentionService.startPurgeReport();
+  const totals = { users: new Set(), calls: 0, messages: 0, files: 0 };
+  let failure = null;
+
+  try {
+    await purgeInBatches(
+      retentionService.purgeCallBatch,
+      row => [row.recording_url],
+      totals,
+      'calls'
+    );
+
+    await purgeInBatches(
+      retentionService.purgeMessageBatch,
+      row => row.media_urls || [],
+      totals,
+      'messages'
+    );
+  } catch (error) {
+    // Batches already deleted stay deleted; the report records how far it got
+    failure = error;
+  }
+
+  await retentionService.finishPurgeReport(reportId, {
+    status: failure ? 'failed' : 'completed',
+    usersAffected: totals.users.size,
+    messagesDeleted: totals.messages,
+    callsDeleted: totals.calls,
+    filesDeleted: totals.files,
+    error: failure ? failure.message : null
+  });
+
+  await runHousekeeping(reportId);
+
+  if (failure) throw failure;
+
+  if (totals.calls > 0 || totals.messages > 0) {
+    console.log(`🧹 Retention purge: ${totals.messages} messages, ${totals.calls} calls, ${totals.files} files for ${totals.users.size} users`);
+  }
+}
+
+// Run the purge on an interval; passes never overlap
+function startRetentionPurge() {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await purgeExpiredData();
+    } catch (error) {
+      console.error('❌ Retention purge failed:', error);
+    } finally {
+      running = false;
+    }
+  }, PURGE_INTERVAL_MS);
+
+  // Don't keep the process alive just for the purge
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  purgeExpiredData,
+  startRetentionPurge
+};
@@ -0,0 +1,104 @@
+jest.mock('../../services/apiKeyService', () => ({
+  SCOPES: ['messages:read', 'sms:send', 'numbers:manage'],
+  findActiveKey: jest.fn(),
+  consumeQuota: jest.fn()
+}));
+jest.mock('../auth', () => ({ authenticateSwitchlineToken: jest.fn() }));
+
+const apiKeyService = require('../../services/apiKeyService');
+const { authenticateSwitchlineToken } = require('../auth');
+const { authenticateWithScope } = require('../apiKeyAuth');
+
+const API_KEY = { id: 'key-1', user_id: 'user-1', email: 'owner@example.com', scopes: ['sms:send'], plan_quota: 5000 };
+
+function mockRequest(authorization) {
+  return { get: name => (name === 'Authorization' ? authorization : undefined) };
+}
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+}
+
+describe('authenticateWithScope', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    apiKeyService.findActiveKey.mockResolvedValue(API_KEY);
+    apiKeyService.consumeQuota.mockResolvedValue({
+      allowed: true,
+      limit: 100,
+      remaining: 99,
+      resetAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+  });
+
+  it('lets a key with the scope and quota through as its owner', async () => {
+    const req = mockRequest('Bearer sl_secret');
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await authenticateWithScope('sms:send')(req, res, next);
+
+    expect(apiKeyService.findActiveKey).toHaveBeenCalledWith('sl_secret');
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({ userId: 'user-1', email: 'owner@example.com', apiKeyId: 'key-1' });
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'X-RateLimit-Remaining': '99' }));
+  });
+
+  it('refuses a key without the scope, before spending quota', async () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await authenticateWithScope('numbers:manage')(mockRequest('Bearer sl_secret'), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(apiKeyService.consumeQuota).not.toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('refuses an unknown or revoked key', async () => {
+    apiKeyService.findActiveKey.mockResolvedValue(null);
+    const res = mockResponse();
+
+    await authenticateWithScope('sms:send')(mockRequest('Bearer sl_revoked'), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('answers an exhausted key with 429 and when to retry', async () => {
+    const resetAt = new Date(Date.now() + 90 * 1000);
+    apiKeyService.consumeQuota.mockResolvedValue({ allowed: false, limit: 100, remaining: 0, resetAt });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await authenticateWithScope('sms:send')(mockRequest('Bearer sl_secret'), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ resetAt }));
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '90');
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+      'X-RateLimit-Remaining': '0',
+      'X-RateLimit-Reset': String(Math.ceil(resetAt.getTime() / 1000))
+    }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the session cookie without a Bearer header', async () => {
+    const req = mockRequest(undefined);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await authenticateWithScope('sms:send')(req, res, next);
+
+    expect(authenticateSwitchlineToken).toHaveBeenCalledWith(req, res, next);
+    expect(apiKeyService.findActiveKey).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown scopes when routes are set up', () => {
+    expect(() => authenticateWithScope('admin')).toThrow('Unknown API key scope: admin');
+  });
+});
@@ -0,0 +1,124 @@
+const { validateTwilioSignature, signTwilioRequest } = require('../twilioSignature');
+
+const AUTH_TOKEN = 'live-auth-token';
+const PARAMS = { MessageSid: 'SM123', From: '+15550001111', To: '+14155550100', Body: 'Hi' };
+
+// A webhook request as Express would see it behind the configured BASE_URL
+function mockRequest({ signature, headers = {}, originalUrl = '/webhook/sms', body = PARAMS } = {}) {
+  const allHeaders = { host: 'internal:3000', ...headers };
+  if (signature) allHeaders['x-twilio-signature'] = signature;
+
+  return {
+    protocol: 'http',
+    originalUrl,
+    body,
+    get: name => allHeaders[name.toLowerCase()]
+  };
+}
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.type = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+}
+
+describe('validateTwilioSignature', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    process.env.BASE_URL = 'https://switchline.app';
+    delete process.env.TWILIO_WEBHOOK_TEST_MODE;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('passes a request signed for the public URL', () => {
+    const signature = signTwilioRequest('https://switchline.app/webhook/sms', PARAMS, AUTH_TOKEN);
+    const next = jest.fn();
+
+    validateTwilioSignature(mockRequest({ signature }), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('signs the query string too, so callback ids can be trusted', () => {
+    const url = 'https://switchline.app/webhook/sms/status?messageId=abc';
+    const signature = signTwilioRequest(url, PARAMS, AUTH_TOKEN);
+    const next = jest.fn();
+    const res = mockResponse();
+
+    validateTwilioSignature(mockRequest({ signature, originalUrl: '/webhook/sms/status?messageId=abc' }), res, next);
+    expect(next).toHaveBeenCalled();
+
+    validateTwilioSignature(mockRequest({ signature, originalUrl: '/webhook/sms/status?messageId=xyz' }), res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('rejects tampered parameters', () => {
+    const signature = signTwilioRequest('https://switchline.app/webhook/sms', PARAMS, AUTH_TOKEN);
+    const next = jest.fn();
+    const res = mockResponse();
+
+    validateTwilioSignature(mockRequest({ signature, body: { ...PARAMS, Body: 'Changed' } }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.send).toHaveBeenCalledWith('Invalid Twilio signature');
+  });
+
+  it('rejects a request without a signature', () => {
+    const res = mockResponse();
+
+    validateTwilioSignature(mockRequest(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.send).toHaveBeenCalledWith('Missing Twilio signature');
+  });
+
+  it('accepts the URL a proxy forwarded for', () => {
+    delete process.env.BASE_URL;
+    const signature = signTwilioRequest('https://hooks.example.com/webhook/sms', PARAMS, AUTH_TOKEN);
+    const next = jest.fn();
+
+    validateTwilioSignature(mockRequest({
+      signature,
+      headers: { 'x-forwarded-proto': 'https', 'x-forwarded-host': 'hooks.example.com' }
+    }), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('fails closed when no auth token is configured', () => {
+    delete process.env.TWILIO_AUTH_TOKEN;
+    const res = mockResponse();
+    const next = jest.fn();
+
+    validateTwilioSignature(mockRequest({ signature: 'anything' }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+
+  it('uses the local test token in test mode, but never in production', () => {
+    process.env.TWILIO_WEBHOOK_TEST_MODE = 'true';
+    const signature = signTwilioRequest('https://switchline.app/webhook/sms', PARAMS, 'switchline-test-token');
+    const next = jest.fn();
+    const res = mockResponse();
+
+    validateTwilioSignature(mockRequest({ signature }), res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    process.env.NODE_ENV = 'production';
+    validateTwilioSignature(mockRequest({ signature }), res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
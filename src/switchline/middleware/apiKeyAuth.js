@@ -0,0 +1,76 @@
+const apiKeyService = require('../services/apiKeyService');
+const { authenticateSwitchlineToken } = require('./auth');
+
+function setQuotaHeaders(res, quota) {
+  res.set({
+    'X-RateLimit-Limit': String(quota.limit),
+    'X-RateLimit-Remaining': String(quota.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(new Date(quota.resetAt).getTime() / 1000))
+  });
+}
+
+// Authenticate with an API key from "Authorization: Bearer sl_...", which
+// must carry the given scope and have quota left. Requests without a Bearer
+// header fall back to the browser session cookie.
+function authenticateWithScope(scope) {
+  if (!apiKeyService.SCOPES.includes(scope)) {
+    throw new Error(`Unknown API key scope: ${scope}`);
+  }
+
+  return async (req, res, next) => {
+    const [scheme, key] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer') {
+      return authenticateSwitchlineToken(req, res, next);
+    }
+
+    try {
+      const apiKey = await apiKeyService.findActiveKey(key);
+
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid API key'
+        });
+      }
+
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `API key is missing the ${scope} scope`
+        });
+      }
+
+      const quota = await apiKeyService.consumeQuota(apiKey);
+      setQuotaHeaders(res, quota);
+
+      if (!quota.allowed) {
+        const seconds = Math.ceil((new Date(quota.resetAt) - Date.now()) / 1000);
+        res.set('Retry-After', String(Math.max(seconds, 1)));
+
+        return res.status(429).json({
+          success: false,
+          error: 'API key quota exhausted',
+          resetAt: quota.resetAt
+        });
+      }
+
+      req.user = {
+        userId: apiKey.user_id,
+        email: apiKey.email,
+        apiKeyId: apiKey.id
+      };
+      next();
+    } catch (error) {
+      console.error('API key auth error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Authentication failed'
+      });
+    }
+  };
+}
+
+module.exports = {
+  authenticateWithScope
+};
@@ -0,0 +1,129 @@
+const jwt = require('jsonwebtoken');
+
+const COOKIE_NAME = 'switchline_token';
+
+// Holds a password-checked login while it waits for the 2FA code
+const TWO_FACTOR_COOKIE_NAME = 'switchline_2fa';
+const TWO_FACTOR_TTL_SECONDS = 5 * 60;
+
+// Authentication middleware using HttpOnly cookies
+function authenticateSwitchlineToken(req, res, next) {
+  const token = req.cookies[COOKIE_NAME];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required. Please log in.'
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // StreakFit tokens are signed with the same secret, so check the audience.
+    // Tokens with a purpose (a pending 2FA login) are not sessions.
+    if (decoded.app !== 'switchline' || decoded.purpose) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid authentication token. Please log in again.'
+      });
+    }
+
+    req.user = {
+      userId: decoded.userId,
+      email: decoded.email
+    };
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(403).json({
+        success: false,
+        error: 'Session expired. Please log in again.',
+        expired: true
+      });
+    }
+
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid authentication token. Please log in again.'
+    });
+  }
+}
+
+// Generate JWT token
+function generateToken(userId, email) {
+  return jwt.sign(
+    { userId, email, app: 'switchline' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+  );
+}
+
+// Set auth cookie
+function setAuthCookie(res, token) {
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+}
+
+// Clear auth cookie
+function clearAuthCookie(res) {
+  res.clearCookie(COOKIE_NAME, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+  });
+}
+
+// Start the second login step for a user whose password checked out
+function setTwoFactorCookie(res, userId) {
+  const token = jwt.sign(
+    { userId, app: 'switchline', purpose: 'two_factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_TTL_SECONDS }
+  );
+
+  res.cookie(TWO_FACTOR_COOKIE_NAME, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: TWO_FACTOR_TTL_SECONDS * 1000
+  });
+}
+
+// The user id waiting on a 2FA code, or null if there's no valid pending login
+function readTwoFactorCookie(req) {
+  const token = req.cookies[TWO_FACTOR_COOKIE_NAME];
+
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.app === 'switchline' && decoded.purpose === 'two_factor'
+      ? decoded.userId
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function clearTwoFactorCookie(res) {
+  res.clearCookie(TWO_FACTOR_COOKIE_NAME, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+  });
+}
+
+module.exports = {
+  authenticateSwitchlineToken,
+  generateToken,
+  setAuthCookie,
+  clearAuthCookie,
+  setTwoFactorCookie,
+  readTwoFactorCookie,
+  clearTwoFactorCookie
+};
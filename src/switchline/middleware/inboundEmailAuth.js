@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Inbound email providers (SendGrid Inbound Parse, Mailgun routes) call us
+// with credentials embedded in the webhook URL: https://inbound:<secret>@host/...
+function validateInboundEmail(req, res, next) {
+  const secret = process.env.INBOUND_EMAIL_SECRET;
+
+  if (!secret) {
+    console.error('❌ Inbound email rejected: INBOUND_EMAIL_SECRET not configured');
+    return res.status(500).type('text/plain').send('Inbound email not configured');
+  }
+
+  const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+  const password = scheme === 'Basic' && encoded
+    ? Buffer.from(encoded, 'base64').toString().split(':').slice(1).join(':')
+    : '';
+
+  const expected = Buffer.from(secret);
+  const provided = Buffer.from(password);
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    console.warn(`⚠️ Inbound email with bad credentials: ${req.originalUrl}`);
+    res.set('WWW-Authenticate', 'Basic realm="inbound-email"');
+    return res.status(401).type('text/plain').send('Unauthorized');
+  }
+
+  next();
+}
+
+module.exports = {
+  validateInboundEmail
+};
@@ -0,0 +1,21 @@
+// Admin-only routes. Use after authenticateSwitchlineToken; admins are the
+// accounts listed in ADMIN_EMAIL (comma-separated).
+function requireAdmin(req, res, next) {
+  const admins = (process.env.ADMIN_EMAIL || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !admins.includes((req.user.email || '').toLowerCase())) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdmin
+};
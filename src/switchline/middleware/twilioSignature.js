@@ -0,0 +1,78 @@
+const twilio = require('twilio');
+
+// Test mode validates against a shared local token instead of the live auth token,
+// so requests signed with signTwilioRequest() can exercise the webhooks end to end
+function isTestMode() {
+  return process.env.TWILIO_WEBHOOK_TEST_MODE === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+function signingToken() {
+  return isTestMode()
+    ? (process.env.TWILIO_WEBHOOK_TEST_TOKEN || 'switchline-test-token')
+    : process.env.TWILIO_AUTH_TOKEN;
+}
+
+// URLs Twilio may have signed. BASE_URL is the one configured on our numbers;
+// the others cover proxies that rewrite the host or path before we see it.
+function candidateUrls(req) {
+  const urls = [];
+  const baseUrl = (process.env.BASE_URL || '').replace(/\/+$/, '');
+
+  if (baseUrl) {
+    urls.push(`${baseUrl}${req.originalUrl}`);
+
+    const originalUri = req.get('x-original-uri');
+    if (originalUri) {
+      urls.push(`${new URL(baseUrl).origin}${originalUri}`);
+    }
+  }
+
+  const forwardedProto = (req.get('x-forwarded-proto') || '').split(',')[0].trim();
+  const forwardedHost = (req.get('x-forwarded-host') || '').split(',')[0].trim();
+  if (forwardedProto || forwardedHost) {
+    urls.push(`${forwardedProto || req.protocol}://${forwardedHost || req.get('host')}${req.originalUrl}`);
+  }
+
+  urls.push(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+
+  return [...new Set(urls)];
+}
+
+// Reject webhook requests that weren't signed by Twilio. Must run after the
+// urlencoded body parser, since form parameters are part of the signature.
+function validateTwilioSignature(req, res, next) {
+  const signature = req.get('x-twilio-signature');
+  const authToken = signingToken();
+
+  if (!authToken) {
+    console.error('❌ Twilio webhook rejected: TWILIO_AUTH_TOKEN not configured');
+    return res.status(500).type('text/plain').send('Webhook validation not configured');
+  }
+
+  if (!signature) {
+    console.warn(`⚠️ Twilio webhook without signature: ${req.originalUrl}`);
+    return res.status(403).type('text/plain').send('Missing Twilio signature');
+  }
+
+  const params = req.body && typeof req.body === 'object' ? req.body : {};
+  const valid = candidateUrls(req).some(url =>
+    twilio.validateRequest(authToken, signature, url, params)
+  );
+
+  if (!valid) {
+    console.warn(`⚠️ Twilio webhook with invalid signature: ${req.originalUrl}`);
+    return res.status(403).type('text/plain').send('Invalid Twilio signature');
+  }
+
+  next();
+}
+
+// Sign a request the way Twilio would (for local testing against test mode)
+function signTwilioRequest(url, params, authToken = signingToken()) {
+  return twilio.getExpectedTwilioSignature(authToken, url, params);
+}
+
+module.exports = {
+  validateTwilioSignature,
+  signTwilioRequest
+};
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authenticateSwitchlineToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/requireAdmin');
+
+router.post('/unlock', authenticateSwitchlineToken, requireAdmin, adminController.unlockLogin);
+
+module.exports = router;
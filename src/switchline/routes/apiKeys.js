@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const apiKeysController = require('../controllers/apiKeysController');
+const { authenticateSwitchlineToken } = require('../middleware/auth');
+
+// Managed from a logged-in session only; an API key can't mint more keys
+router.get('/', authenticateSwitchlineToken, apiKeysController.listKeys);
+router.post('/', authenticateSwitchlineToken, apiKeysController.createKey);
+router.put('/:keyId', authenticateSwitchlineToken, apiKeysController.updateKey);
+router.post('/:keyId/rotate', authenticateSwitchlineToken, apiKeysController.rotateKey);
+router.delete('/:keyId', authenticateSwitchlineToken, apiKeysController.revokeKey);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authenticateSwitchlineToken } = require('../middleware/auth');
+
+// Public routes
+router.post('/signup', authController.signup);
+router.post('/login', authController.login);
+router.post('/login/2fa', authController.completeTwoFactorLogin);
+router.post('/logout', authController.logout);
+router.post('/verify-email', authController.verifyEmail);
+router.post('/verify-email/resend', authController.resendVerification);
+router.post('/claim', authController.requestClaim);
+router.post('/claim/complete', authController.claimAccount);
+
+// Protected routes
+router.get('/me', authenticateSwitchlineToken, authController.getCurrentUser);
+router.post('/2fa/setup', authenticateSwitchlineToken, twoFactorController.setup);
+router.post('/2fa/verify', authenticateSwitchlineToken, twoFactorController.verify);
+router.post('/2fa/disable', authenticateSwitchlineToken, twoFactorController.disable);
+router.post('/2fa/backup-codes', authenticateSwitchlineToken, twoFactorController.regenerateBackupCodes);
+
+module.exports = router;
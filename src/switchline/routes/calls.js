@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const callsController = require('../controllers/callsController');
+const { authenticateSwitchlineToken } = require('../middleware/auth');
+
+// All call routes require authentication
+router.post('/', authenticateSwitchlineToken, callsController.startCall);
+
+module.exports = router;
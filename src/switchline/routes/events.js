@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const eventsController = require('../controllers/eventsController');
+const { authenticateSwitchlineToken } = require('../middleware/auth');
+
+// Server-Sent Events stream of the user's messages, calls and voicemails
+router.get('/', authenticateSwitchlineToken, eventsController.streamEvents);
+
+module.exports = router;
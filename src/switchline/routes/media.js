@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/mediaController');
+const { authenticateWithScope } = require('../middleware/apiKeyAuth');
+const { MAX_FILE_SIZE } = require('../services/mediaService');
+
+// Uploads are the raw file with its own Content-Type
+const rawUpload = express.raw({ type: () => true, limit: MAX_FILE_SIZE });
+
+router.post('/', authenticateWithScope('sms:send'), rawUpload, mediaController.uploadMedia);
+router.get('/messages/:messageId', authenticateWithScope('messages:read'), mediaController.getMessageMedia);
+
+// Signed URLs carry their own authorization so they work in <img> tags and for Twilio
+router.get('/files/:userId/:file', mediaController.serveMedia);
+
+// Turn body-parser's size error into our JSON shape
+router.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      error: `File exceeds the ${MAX_FILE_SIZE} byte limit`
+    });
+  }
+  next(error);
+});
+
+module.exports = router;
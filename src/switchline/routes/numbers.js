@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const numbersController = require('../controllers/numbersController');
+const conversationsController = require('../controllers/conversationsController');
+const filtersController = require('../controllers/filtersController');
+const autoRepliesController = require('../controllers/autoRepliesController');
+const codesController = require('../controllers/codesController');
+const { authenticateWithScope } = require('../middleware/apiKeyAuth');
+const { authenticateSwitchlineToken } = require('../middleware/auth');
+
+// The emailed link is the credential; whoever holds the inbox confirms it
+router.post('/email-forwarding/confirm', numbersController.confirmEmailForwarding);
+
+// All number routes require a session or an API key with the named scope
+router.get('/available', authenticateWithScope('numbers:manage'), numbersController.searchNumbers);
+router.get('/', authenticateWithScope('numbers:manage'), numbersController.listNumbers);
+router.post('/', authenticateWithScope('numbers:manage'), numbersController.buyNumber);
+router.get('/:id', authenticateWithScope('numbers:manage'), numbersController.getNumber);
+router.post('/:id/extend', authenticateWithScope('numbers:manage'), numbersController.extendNumber);
+router.post('/:id/burn', authenticateWithScope('numbers:manage'), numbersController.burnNumber);
+router.put('/:id/forwarding', authenticateWithScope('numbers:manage'), numbersController.updateForwarding);
+router.put('/:id/voicemail', authenticateWithScope('numbers:manage'), numbersController.updateVoicemail);
+// Where texts, codes and voicemails get emailed: a logged-in session only
+router.put('/:id/email-forwarding', authenticateSwitchlineToken, numbersController.updateEmailForwarding);
+
+// Conversation threads on a number
+router.get('/:id/conversations', authenticateWithScope('messages:read'), conversationsController.listConversations);
+router.get('/:id/conversations/:peer', authenticateWithScope('messages:read'), conversationsController.getConversation);
+router.post('/:id/conversations/:peer/read', authenticateWithScope('messages:read'), conversationsController.markConversationRead);
+
+// One-time codes detected in inbound SMS
+router.get('/:id/codes', authenticateWithScope('messages:read'), codesController.listCodes);
+
+// Block/allow lists, spam filtering and the quarantine inbox
+router.get('/:id/filters', authenticateWithScope('numbers:manage'), filtersController.listFilters);
+router.post('/:id/filters', authenticateWithScope('numbers:manage'), filtersController.addFilter);
+router.delete('/:id/filters/:filterId', authenticateWithScope('numbers:manage'), filtersController.removeFilter);
+router.put('/:id/filter-settings', authenticateWithScope('numbers:manage'), filtersController.updateFilterSettings);
+router.get('/:id/quarantine', authenticateWithScope('messages:read'), filtersController.listQuarantine);
+router.post('/:id/quarantine/:messageId/release', authenticateWithScope('numbers:manage'), filtersController.releaseMessage);
+
+// Auto-reply rules (Business plan)
+router.get('/:id/auto-replies', authenticateWithScope('numbers:manage'), autoRepliesController.listRules);
+router.post('/:id/auto-replies', authenticateWithScope('numbers:manage'), autoRepliesController.createRule);
+router.put('/:id/auto-replies/:ruleId', authenticateWithScope('numbers:manage'), autoRepliesController.updateRule);
+router.delete('/:id/auto-replies/:ruleId', authenticateWithScope('numbers:manage'), autoRepliesController.deleteRule);
+router.put('/:id/auto-reply', authenticateWithScope('numbers:manage'), autoRepliesController.setEnabled);
+
+module.exports = router;
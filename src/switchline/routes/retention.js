@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const retentionController = require('../controllers/retentionController');
+const { authenticateSwitchlineToken } = require('../middleware/auth');
+
+router.get('/', authenticateSwitchlineToken, retentionController.getRetention);
+router.put('/', authenticateSwitchlineToken, retentionController.updateRetention);
+
+module.exports = router;
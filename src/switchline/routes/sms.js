@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const smsController = require('../controllers/smsController');
+const { authenticateWithScope } = require('../middleware/apiKeyAuth');
+
+// All SMS routes require a session or an API key with the named scope
+router.post('/send', authenticateWithScope('sms:send'), smsController.sendSms);
+
+module.exports = router;
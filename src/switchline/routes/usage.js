@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const usageController = require('../controllers/usageController');
+const { authenticateSwitchlineToken } = require('../middleware/auth');
+
+router.get('/', authenticateSwitchlineToken, usageController.getUsage);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const verifiedPhonesController = require('../controllers/verifiedPhonesController');
+const { authenticateSwitchlineToken } = require('../middleware/auth');
+
+// All verified phone routes require authentication
+router.get('/', authenticateSwitchlineToken, verifiedPhonesController.listPhones);
+router.post('/', authenticateSwitchlineToken, verifiedPhonesController.addPhone);
+router.post('/:id/verify', authenticateSwitchlineToken, verifiedPhonesController.verifyPhone);
+router.delete('/:id', authenticateSwitchlineToken, verifiedPhonesController.removePhone);
+
+module.exports = router;
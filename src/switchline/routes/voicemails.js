@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const voicemailController = require('../controllers/voicemailController');
+const { authenticateWithScope } = require('../middleware/apiKeyAuth');
+const { authenticateSwitchlineToken } = require('../middleware/auth');
+
+// Reading voicemails takes a session or an API key with the named scope
+router.get('/', authenticateWithScope('messages:read'), voicemailController.listVoicemails);
+router.get('/:id', authenticateWithScope('messages:read'), voicemailController.getVoicemail);
+
+// A read-only key can't change state, so marking heard needs a session
+router.post('/:id/heard', authenticateSwitchlineToken, voicemailController.markHeard);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
+const { validateInboundEmail } = require('../middleware/inboundEmailAuth');
+
+// Twilio posts form-encoded bodies, and every request must carry a valid
+// X-Twilio-Signature. Applied per route: this router shares /webhook with Stripe.
+const twilioWebhook = [express.urlencoded({ extended: false }), validateTwilioSignature];
+
+router.post('/sms', twilioWebhook, webhookController.handleInboundSms);
+router.post('/sms/status', twilioWebhook, webhookController.handleSmsStatus);
+router.post('/voice', twilioWebhook, webhookController.handleInboundVoice);
+router.post('/voice/status', twilioWebhook, webhookController.handleVoiceStatus);
+router.post('/voice/dial-complete', twilioWebhook, webhookController.handleDialComplete);
+router.post('/voice/voicemail-complete', twilioWebhook, webhookController.handleVoicemailComplete);
+router.post('/voice/recording', twilioWebhook, webhookController.handleRecording);
+router.post('/voice/transcription', twilioWebhook, webhookController.handleTranscription);
+router.post('/voice/bridge', twilioWebhook, webhookController.handleBridge);
+router.post('/voice/bridge/complete', twilioWebhook, webhookController.handleBridgeComplete);
+
+// Attachments on emailed replies aren't used; drain them without buffering
+const discardFiles = {
+  _handleFile(req, file, callback) {
+    file.stream.on('error', callback);
+    file.stream.on('end', () => callback(null, {}));
+    file.stream.resume();
+  },
+  _removeFile(req, file, callback) {
+    callback(null);
+  }
+};
+
+// Replies to forwarded SMS emails. SendGrid Inbound Parse posts
+// multipart/form-data; Mailgun routes post form-encoded (or multipart with
+// attachments). Credentials are checked before the body is read.
+const inboundEmail = [
+  validateInboundEmail,
+  express.urlencoded({ extended: false }),
+  multer({ storage: discardFiles }).any()
+];
+
+router.post('/email/inbound', inboundEmail, webhookController.handleInboundEmail);
+
+module.exports = router;
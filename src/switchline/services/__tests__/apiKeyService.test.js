@@ -0,0 +1,134 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+jest.mock('../planService', () => ({ getUserPlan: jest.fn() }));
+
+const crypto = require('crypto');
+const db = require('../../../shared/db');
+const { getUserPlan } = require('../planService');
+const { createKey, findActiveKey, consumeQuota } = require('../apiKeyService');
+
+const BUSINESS = { features: { api_access: true, api_daily_quota: 5000 } };
+const RESETS_AT = new Date('2024-01-02T00:00:00Z');
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+describe('createKey', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    getUserPlan.mockResolvedValue(BUSINESS);
+    db.query.mockResolvedValue({ rows: [{ id: 'key-1', name: 'CRM' }] });
+  });
+
+  it('returns the secret once and stores only its hash', async () => {
+    const result = await createKey('user-1', { name: 'CRM', scopes: ['sms:send'] });
+
+    expect(result).toMatchObject({ success: true, apiKey: { id: 'key-1' } });
+    expect(result.key).toMatch(/^sl_[A-Za-z0-9_-]{32}$/);
+
+    const params = db.query.mock.calls[0][1];
+    expect(params.slice(0, 6)).toEqual(['user-1', 'CRM', result.key.slice(0, 11), sha256(result.key), ['sms:send'], 5000]);
+    expect(params).not.toContain(result.key);
+  });
+
+  it('holds the key count in the same statement as the insert', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    expect(await createKey('user-1', { name: 'One too many', scopes: ['sms:send'] }))
+      .toMatchObject({ success: false, status: 409 });
+    expect(db.query.mock.calls[0][0]).toMatch(/WHERE \(SELECT COUNT\(\*\) FROM api_keys WHERE user_id = \$1 AND revoked_at IS NULL\) < \$7/);
+    expect(db.query.mock.calls[0][1][6]).toBe(20);
+  });
+
+  it('refuses a key quota above the plan\'s', async () => {
+    expect(await createKey('user-1', { name: 'Greedy', scopes: ['sms:send'], dailyQuota: 5001 }))
+      .toMatchObject({ success: false, status: 400 });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('needs a plan with API access', async () => {
+    getUserPlan.mockResolvedValue({ features: {} });
+
+    expect(await createKey('user-1', { name: 'CRM', scopes: ['sms:send'] }))
+      .toMatchObject({ success: false, status: 403 });
+  });
+});
+
+describe('findActiveKey', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    getUserPlan.mockResolvedValue(BUSINESS);
+  });
+
+  it('looks a key up by hash and attaches the plan quota', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 'key-1', user_id: 'user-1', scopes: ['sms:send'] }] });
+
+    expect(await findActiveKey('sl_secret')).toMatchObject({ id: 'key-1', plan_quota: 5000 });
+    expect(db.query.mock.calls[0][1]).toEqual([sha256('sl_secret')]);
+  });
+
+  it('stops accepting keys once the plan loses API access', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 'key-1', user_id: 'user-1', scopes: ['sms:send'] }] });
+    getUserPlan.mockResolvedValue({ features: { api_access: false } });
+
+    expect(await findActiveKey('sl_secret')).toBeNull();
+  });
+
+  it('ignores values that are not our keys without querying', async () => {
+    expect(await findActiveKey('eyJhbGciOi')).toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('consumeQuota', () => {
+  const API_KEY = { id: 'key-1', user_id: 'user-1', plan_quota: 5000 };
+  let client;
+
+  // Quotas left before the request, for the key and for the plan
+  function remaining({ key, plan }) {
+    client.query.mockImplementation(async (sql) => {
+      if (/^\s*SELECT[\s\S]*FROM api_keys/.test(sql)) return { rows: [{ quota_limit: 100, remaining: key, resets_at: RESETS_AT }] };
+      if (/^\s*SELECT[\s\S]*FROM users/.test(sql)) return { rows: [{ quota_limit: 5000, remaining: plan, resets_at: RESETS_AT }] };
+      if (/UPDATE api_keys/.test(sql)) return { rows: [{ quota_limit: 100, remaining: key - 1, resets_at: RESETS_AT }] };
+      return { rows: [{ quota_limit: 5000, remaining: plan - 1, resets_at: RESETS_AT }] };
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = { query: jest.fn() };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+  });
+
+  it('locks both quotas, then spends one request from each', async () => {
+    remaining({ key: 40, plan: 3000 });
+
+    expect(await consumeQuota(API_KEY)).toEqual({ allowed: true, limit: 100, remaining: 39, resetAt: RESETS_AT });
+
+    const [keyLock, userLock, keyUpdate, userUpdate] = client.query.mock.calls;
+    expect(keyLock[0]).toMatch(/FOR UPDATE/);
+    expect(userLock[0]).toMatch(/FOR UPDATE/);
+    expect(userLock[1]).toEqual(['user-1', 5000]);
+    expect(keyUpdate[0]).toMatch(/quota_remaining - 1/);
+    expect(userUpdate[0]).toMatch(/api_requests_used \+ 1/);
+  });
+
+  it('reports the plan quota when it is the tighter one', async () => {
+    remaining({ key: 40, plan: 10 });
+
+    expect(await consumeQuota(API_KEY)).toMatchObject({ allowed: true, limit: 5000, remaining: 9 });
+  });
+
+  it.each([
+    ['the key', { key: 0, plan: 3000 }, 100],
+    ['the plan', { key: 40, plan: 0 }, 5000]
+  ])('refuses without spending once %s is exhausted', async (description, quotas, limit) => {
+    remaining(quotas);
+
+    expect(await consumeQuota(API_KEY)).toEqual({ allowed: false, limit, remaining: 0, resetAt: RESETS_AT });
+    expect(client.query).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,197 @@
+jest.mock('bcrypt', () => ({
+  genSalt: jest.fn(async () => '$2b$12$salt'),
+  hash: jest.fn(async (password) => `hashed:${password}`),
+  compare: jest.fn(async (password, hash) => hash === `hashed:${password}`)
+}));
+jest.mock('../../../shared/db', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+jest.mock('../../../shared/mailer', () => ({ isConfigured: jest.fn(), sendMail: jest.fn() }));
+jest.mock('../../../shared/loginProtection', () => ({
+  checkLocked: jest.fn(),
+  recordFailure: jest.fn(),
+  recordSuccess: jest.fn()
+}));
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('../../../shared/db');
+const mailer = require('../../../shared/mailer');
+const loginProtection = require('../../../shared/loginProtection');
+const { createAccount, authenticate, verifyEmail, claimAccount } = require('../authService');
+
+const ACTIVE = {
+  id: 'user-1',
+  email: 'owner@example.com',
+  password_hash: 'hashed:correct horse',
+  status: 'active',
+  email_verified: true
+};
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function storedUser(user) {
+  db.query.mockImplementation(async (sql) => {
+    if (/FROM users WHERE LOWER\(email\)/.test(sql)) return { rows: user ? [user] : [] };
+    return { rows: [] };
+  });
+}
+
+describe('createAccount', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+    mailer.isConfigured.mockReturnValue(true);
+  });
+
+  it('creates an account awaiting verification and emails a single-use link', async () => {
+    db.query.mockImplementation(async (sql, params) => {
+      if (/INSERT INTO users/.test(sql)) return { rows: [{ id: 'user-1', email: params[0], status: 'pending_verification' }] };
+      return { rows: [] };
+    });
+
+    const result = await createAccount({ email: 'new@example.com', password: 'correct horse' });
+
+    expect(result).toMatchObject({ success: true, verificationSent: true, user: { status: 'pending_verification' } });
+    expect(db.query.mock.calls[1][1].slice(0, 3)).toEqual(['new@example.com', 'hashed:correct horse', '$2b$12$salt']);
+
+    const email = mailer.sendMail.mock.calls[0][0];
+    const token = /verify-email\?token=([0-9a-f]{64})/.exec(email.text)[1];
+    expect(email.to).toBe('new@example.com');
+    expect(client.query.mock.calls[1][1]).toEqual(['user-1', 'verify_email', sha256(token), 24]);
+  });
+
+  it('sends a claim link instead of a second account for a checkout email', async () => {
+    storedUser({ id: 'user-2', email: 'buyer@example.com', password_hash: 'webhook_user' });
+
+    const result = await createAccount({ email: 'buyer@example.com', password: 'correct horse' });
+
+    expect(result).toMatchObject({ success: false, status: 409, claimable: true });
+    expect(mailer.sendMail.mock.calls[0][0].text).toMatch(/claim-account\?token=/);
+    expect(db.query).not.toHaveBeenCalledWith(expect.stringMatching(/INSERT INTO users/), expect.anything());
+  });
+
+  it('refuses an address that is already registered', async () => {
+    storedUser(ACTIVE);
+
+    expect(await createAccount({ email: 'OWNER@example.com', password: 'x' }))
+      .toEqual({ success: false, status: 409, error: 'Email already registered' });
+  });
+});
+
+describe('authenticate', () => {
+  const INVALID = { success: false, status: 401, error: 'Invalid email or password' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    loginProtection.checkLocked.mockResolvedValue({ locked: false });
+    loginProtection.recordFailure.mockResolvedValue({ locked: false });
+  });
+
+  it('logs in an active account with the right password', async () => {
+    storedUser(ACTIVE);
+
+    expect(await authenticate(ACTIVE.email, 'correct horse', '203.0.113.5')).toEqual({ success: true, user: ACTIVE });
+    expect(loginProtection.recordFailure).not.toHaveBeenCalled();
+  });
+
+  it('counts a wrong password against the account and IP', async () => {
+    storedUser(ACTIVE);
+
+    expect(await authenticate(ACTIVE.email, 'wrong', '203.0.113.5')).toEqual(INVALID);
+    expect(loginProtection.recordFailure).toHaveBeenCalledWith('switchline', { userId: 'user-1', ip: '203.0.113.5' });
+  });
+
+  it.each([
+    ['an unknown email', null],
+    ['a checkout account without a password', { ...ACTIVE, password_hash: 'webhook_user' }]
+  ])('answers %s like a wrong password, after a bcrypt compare', async (description, user) => {
+    storedUser(user);
+
+    expect(await authenticate('someone@example.com', 'webhook_user', '203.0.113.5')).toEqual(INVALID);
+    expect(bcrypt.compare).toHaveBeenCalledWith('webhook_user', expect.stringMatching(/^hashed:[0-9a-f]{64}$/));
+    expect(loginProtection.recordFailure).toHaveBeenCalledWith('switchline', { userId: user ? user.id : null, ip: '203.0.113.5' });
+  });
+
+  it('asks for email verification only after the password checks out', async () => {
+    storedUser({ ...ACTIVE, status: 'pending_verification', email_verified: false });
+
+    expect(await authenticate(ACTIVE.email, 'wrong', '203.0.113.5')).toEqual(INVALID);
+    expect(await authenticate(ACTIVE.email, 'correct horse', '203.0.113.5'))
+      .toMatchObject({ success: false, status: 403, verificationRequired: true });
+  });
+
+  it('refuses a locked-out account or IP without checking the password', async () => {
+    storedUser(ACTIVE);
+    loginProtection.checkLocked.mockResolvedValue({ locked: true, lockedUntil: new Date('2024-01-01T12:15:00Z') });
+
+    expect(await authenticate(ACTIVE.email, 'correct horse', '203.0.113.5')).toMatchObject({
+      success: false,
+      status: 429,
+      lockedUntil: new Date('2024-01-01T12:15:00Z')
+    });
+    expect(loginProtection.checkLocked).toHaveBeenCalledWith('switchline', { userId: 'user-1', ip: '203.0.113.5' });
+    expect(bcrypt.compare).not.toHaveBeenCalled();
+  });
+
+  it('answers the failure that triggers a lock with the lock', async () => {
+    storedUser(ACTIVE);
+    loginProtection.recordFailure.mockResolvedValue({ locked: true, lockedUntil: new Date('2024-01-01T12:15:00Z') });
+
+    expect(await authenticate(ACTIVE.email, 'wrong', '203.0.113.5')).toMatchObject({ success: false, status: 429 });
+  });
+
+  it('refuses suspended accounts', async () => {
+    storedUser({ ...ACTIVE, status: 'suspended' });
+
+    expect(await authenticate(ACTIVE.email, 'correct horse', '203.0.113.5'))
+      .toEqual({ success: false, status: 403, error: 'Account suspended' });
+  });
+});
+
+describe('email links', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = { query: jest.fn() };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+  });
+
+  it('activates the account when its verification link is used', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [{ user_id: 'user-1' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'user-1', status: 'active', email_verified: true }] });
+
+    const result = await verifyEmail('a'.repeat(64));
+
+    expect(result).toMatchObject({ success: true, user: { status: 'active' } });
+    expect(client.query.mock.calls[0][1]).toEqual([sha256('a'.repeat(64)), 'verify_email']);
+    expect(client.query.mock.calls[0][0]).toMatch(/used_at IS NULL AND expires_at > NOW\(\)/);
+  });
+
+  it('refuses a used or expired verification link', async () => {
+    client.query.mockResolvedValue({ rows: [] });
+
+    expect(await verifyEmail('a'.repeat(64))).toMatchObject({ success: false, status: 400 });
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('sets the first password on a checkout account only once', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [{ user_id: 'user-2' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const result = await claimAccount('b'.repeat(64), { password: 'new password' });
+
+    expect(result).toMatchObject({ success: false, status: 409 });
+    expect(client.query.mock.calls[1][0]).toMatch(/WHERE id = \$1 AND password_hash = \$6/);
+    expect(client.query.mock.calls[1][1][5]).toBe('webhook_user');
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+jest.mock('../planService', () => ({ getUserPlan: jest.fn() }));
+jest.mock('../messageService', () => ({ sendMessage: jest.fn() }));
+
+const db = require('../../../shared/db');
+const { getUserPlan } = require('../planService');
+const { sendMessage } = require('../messageService');
+const { handleInboundMessage } = require('../autoReplyService');
+
+const NUMBER = { id: 'number-1', user_id: 'user-1', phone_number: '+14155550100', auto_reply_enabled: true };
+const MESSAGE = { id: 'message-1', phone_number_id: 'number-1', from_number: '+15550001111', quarantined: false };
+
+// Wednesday 15:00 in New York
+const NOW = new Date('2024-01-03T20:00:00Z');
+
+function rule(fields) {
+  return { id: 'rule-1', reply_body: 'Thanks!', keywords: null, days_of_week: null, start_time: null, end_time: null, timezone: 'UTC', first_time_only: false, ...fields };
+}
+
+describe('handleInboundMessage', () => {
+  let rules;
+  let seen;
+  let replied;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers().setSystemTime(NOW);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    rules = [rule()];
+    seen = false;
+    replied = false;
+    db.query.mockImplementation(async (sql) => {
+      if (/FROM auto_reply_rules/.test(sql)) return { rows: rules };
+      if (/AS replied/.test(sql)) return { rows: [{ replied }] };
+      return { rows: [{ seen }] };
+    });
+
+    getUserPlan.mockResolvedValue({ features: { auto_reply: true } });
+    sendMessage.mockResolvedValue({ success: true, message: { id: 'reply-1' } });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('sends the reply as an outbound message tagged with its rule', async () => {
+    expect(await handleInboundMessage(NUMBER, MESSAGE, 'hello')).toEqual({ id: 'reply-1' });
+
+    expect(sendMessage).toHaveBeenCalledWith('user-1', {
+      from: NUMBER.phone_number,
+      to: MESSAGE.from_number,
+      body: 'Thanks!',
+      autoReplyRuleId: 'rule-1'
+    });
+  });
+
+  it('stays quiet when the number\'s switch is off', async () => {
+    expect(await handleInboundMessage({ ...NUMBER, auto_reply_enabled: false }, MESSAGE, 'hello')).toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('needs a plan with auto-replies', async () => {
+    getUserPlan.mockResolvedValue({ features: {} });
+
+    expect(await handleInboundMessage(NUMBER, MESSAGE, 'hello')).toBeNull();
+    expect(sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('does not answer a sender it auto-replied to recently', async () => {
+    replied = true;
+
+    expect(await handleInboundMessage(NUMBER, MESSAGE, 'hello')).toBeNull();
+  });
+
+  it('matches keywords as whole words, ignoring case', async () => {
+    rules = [rule({ id: 'hours', keywords: ['HOURS'] }), rule({ id: 'fallback', reply_body: 'Fallback' })];
+
+    await handleInboundMessage(NUMBER, MESSAGE, 'What are your hours?');
+    await handleInboundMessage(NUMBER, MESSAGE, 'Office-hoursless');
+
+    expect(sendMessage.mock.calls.map(call => call[1].autoReplyRuleId)).toEqual(['hours', 'fallback']);
+  });
+
+  it('follows the schedule in the rule\'s time zone, across midnight', async () => {
+    rules = [
+      rule({ id: 'weekend', days_of_week: [0, 6] }),
+      rule({ id: 'night', start_time: '18:00:00', end_time: '09:00:00', timezone: 'America/New_York' }),
+      rule({ id: 'afternoon', start_time: '14:00:00', end_time: '16:00:00', timezone: 'America/New_York' })
+    ];
+
+    await handleInboundMessage(NUMBER, MESSAGE, 'hello');
+
+    expect(sendMessage.mock.calls[0][1].autoReplyRuleId).toBe('afternoon');
+  });
+
+  it('answers only first-time senders for a first-contact rule', async () => {
+    rules = [rule({ id: 'welcome', first_time_only: true })];
+
+    expect(await handleInboundMessage(NUMBER, MESSAGE, 'hello')).toEqual({ id: 'reply-1' });
+
+    seen = true;
+    expect(await handleInboundMessage(NUMBER, MESSAGE, 'hello again')).toBeNull();
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,190 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+jest.mock('../verifiedPhoneService', () => ({ isVerified: jest.fn() }));
+jest.mock('../planService', () => ({ getUserPlan: jest.fn() }));
+jest.mock('../usageService', () => ({ consume: jest.fn(), record: jest.fn(), release: jest.fn() }));
+jest.mock('../twilioClient', () => ({
+  ...jest.requireActual('../twilioClient'),
+  getTwilioClient: jest.fn()
+}));
+
+const db = require('../../../shared/db');
+const { isVerified } = require('../verifiedPhoneService');
+const { getUserPlan } = require('../planService');
+const usageService = require('../usageService');
+const { getTwilioClient } = require('../twilioClient');
+const { startBridgedCall, findBridgedCall, applyCallStatus } = require('../callService');
+
+const CALL_ID = '7e3c1b2a-4d5f-4a6b-8c9d-0e1f2a3b4c5d';
+const NUMBER = { id: 'number-1', phone_number: '+14155550100', status: 'active', forwarding_number: '+15550009999' };
+
+describe('startBridgedCall', () => {
+  let client;
+  let create;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    db.query.mockImplementation(async (sql) => {
+      if (/FROM phone_numbers/.test(sql)) return { rows: [NUMBER] };
+      return { rows: [{ id: CALL_ID, twilio_parent_call_sid: 'CA1' }] };
+    });
+
+    client = { query: jest.fn().mockResolvedValue({ rows: [{ id: CALL_ID, reserved_minutes: 1 }] }) };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+
+    isVerified.mockResolvedValue(true);
+    getUserPlan.mockResolvedValue({ user_id: 'user-1', minutes_limit: 100 });
+    usageService.consume.mockResolvedValue({ allowed: true, used: 10, limit: 100 });
+
+    create = jest.fn().mockResolvedValue({ sid: 'CA1' });
+    getTwilioClient.mockReturnValue({ calls: { create } });
+  });
+
+  it('reserves a minute under the user lock, then rings the user first', async () => {
+    const result = await startBridgedCall('user-1', { from: NUMBER.phone_number, to: '+15550001111', callMe: '+15550002222' });
+
+    expect(result).toMatchObject({ success: true, call: { twilio_parent_call_sid: 'CA1' } });
+    expect(getUserPlan).toHaveBeenCalledWith('user-1', client, true);
+    expect(usageService.consume).toHaveBeenCalledWith(client, expect.objectContaining({ user_id: 'user-1' }), 'minutes', 1);
+    expect(client.query.mock.calls[0][1]).toEqual(['user-1', 'number-1', NUMBER.phone_number, '+15550001111', 1]);
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      from: NUMBER.phone_number,
+      to: '+15550002222',
+      url: expect.stringMatching(new RegExp(`/webhook/voice/bridge\\?callId=${CALL_ID}$`))
+    }));
+  });
+
+  it('rings the forwarding phone when no callMe is given', async () => {
+    await startBridgedCall('user-1', { from: NUMBER.phone_number, to: '+15550001111' });
+
+    expect(isVerified).toHaveBeenCalledWith('user-1', '+15550009999');
+    expect(create.mock.calls[0][0].to).toBe('+15550009999');
+  });
+
+  it('refuses to ring a phone that is not verified', async () => {
+    isVerified.mockResolvedValue(false);
+
+    const result = await startBridgedCall('user-1', { from: NUMBER.phone_number, to: '+15550001111', callMe: '+15550003333' });
+
+    expect(result).toMatchObject({ success: false, status: 400 });
+    expect(usageService.consume).not.toHaveBeenCalled();
+  });
+
+  it('refuses when no minutes are left', async () => {
+    usageService.consume.mockResolvedValue({ allowed: false, used: 100, limit: 100 });
+
+    const result = await startBridgedCall('user-1', { from: NUMBER.phone_number, to: '+15550001111' });
+
+    expect(result).toMatchObject({ success: false, status: 403 });
+    expect(client.query).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('fails the call and gives the minute back when Twilio refuses it', async () => {
+    create.mockRejectedValue(new Error('Unverified caller ID'));
+
+    await expect(startBridgedCall('user-1', { from: NUMBER.phone_number, to: '+15550001111' }))
+      .rejects.toThrow('Unverified caller ID');
+
+    expect(client.query.mock.calls[1][0]).toMatch(/SET status = 'failed', reserved_minutes = 0/);
+    expect(usageService.release).toHaveBeenCalledWith(client, 'user-1', 'minutes', 1);
+  });
+});
+
+describe('findBridgedCall', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('needs both the call id and the parent call SID to match', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: CALL_ID }] });
+
+    expect(await findBridgedCall(CALL_ID, 'CA1')).toEqual({ id: CALL_ID });
+    expect(db.query.mock.calls[0][1]).toEqual([CALL_ID, 'CA1']);
+  });
+
+  it('ignores ids that are not UUIDs without querying', async () => {
+    expect(await findBridgedCall("1' OR '1'='1", 'CA1')).toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('applyCallStatus', () => {
+  let client;
+  let fetch;
+
+  const OPEN_CALL = { id: CALL_ID, user_id: 'user-1', phone_number_id: 'number-1', status: 'in-progress', reserved_minutes: 1 };
+
+  function storedCall(call, { alreadyClosed = false } = {}) {
+    client.query.mockImplementation(async (sql) => {
+      if (/^\s*SELECT/.test(sql)) return { rows: call ? [call] : [] };
+      if (/ended_at = NOW\(\)/.test(sql)) {
+        return { rows: alreadyClosed ? [] : [{ ...call, status: 'completed', ended_at: new Date(), price_cents: null }] };
+      }
+      return { rows: [{ ...call }] };
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    client = { query: jest.fn() };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+    db.query.mockResolvedValue({ rows: [] });
+
+    fetch = jest.fn().mockResolvedValue({ price: '-0.0130' });
+    getTwilioClient.mockReturnValue({ calls: jest.fn(() => ({ fetch })) });
+  });
+
+  it('closes the call, counts it on the number and bills minutes beyond the reserved one', async () => {
+    storedCall(OPEN_CALL);
+
+    const call = await applyCallStatus({ callSid: 'CA1', callStatus: 'completed', callDuration: '125' });
+
+    expect(client.query.mock.calls[1][1]).toEqual([CALL_ID, 'completed', ['queued', 'ringing', 'in-progress'], 125]);
+    expect(client.query.mock.calls[2][0]).toMatch(/total_calls = total_calls \+ 1/);
+    expect(usageService.record).toHaveBeenCalledWith(client, 'user-1', 'minutes', 2);
+    expect(usageService.release).not.toHaveBeenCalled();
+
+    expect(db.query).toHaveBeenCalledWith(expect.stringMatching(/SET price_cents/), [CALL_ID, 1]);
+    expect(call.price_cents).toBe(1);
+  });
+
+  it('gives back the reserved minute when the call was never answered', async () => {
+    storedCall(OPEN_CALL);
+
+    await applyCallStatus({ callSid: 'CA1', callStatus: 'no-answer', callDuration: '0' });
+
+    expect(usageService.release).toHaveBeenCalledWith(client, 'user-1', 'minutes', 1);
+    expect(usageService.record).not.toHaveBeenCalled();
+  });
+
+  it('counts a repeated final callback only once', async () => {
+    storedCall({ ...OPEN_CALL, status: 'completed', ended_at: new Date(), price_cents: 1 }, { alreadyClosed: true });
+
+    await applyCallStatus({ callSid: 'CA1', callStatus: 'completed', callDuration: '125' });
+
+    expect(client.query).toHaveBeenCalledTimes(2);
+    expect(usageService.record).not.toHaveBeenCalled();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('moves an open call along without closing it', async () => {
+    storedCall({ ...OPEN_CALL, status: 'ringing' });
+
+    await applyCallStatus({ callSid: 'CA1', callStatus: 'in-progress' });
+
+    expect(client.query.mock.calls[1][0]).toMatch(/COALESCE\(answered_at, NOW\(\)\)/);
+    expect(client.query.mock.calls[1][0]).not.toMatch(/ended_at/);
+    expect(usageService.record).not.toHaveBeenCalled();
+  });
+
+  it('ignores callbacks for unknown calls', async () => {
+    storedCall(null);
+
+    expect(await applyCallStatus({ callSid: 'CA9', callStatus: 'completed', callDuration: '60' })).toBeNull();
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
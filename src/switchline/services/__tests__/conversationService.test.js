@@ -0,0 +1,82 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+
+const db = require('../../../shared/db');
+const { listConversations, getConversationPage } = require('../conversationService');
+
+const NUMBER_ID = '2b6f0cc9-0f4a-4d3e-9a44-7c1d1a2b3c4d';
+const PEER = '+15550001111';
+
+describe('getConversationPage', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('fetches one extra row to tell whether another page follows', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 'm3' }, { id: 'm2' }, { id: 'm1' }] });
+
+    const page = await getConversationPage(NUMBER_ID, PEER, { limit: 2 });
+
+    expect(db.query.mock.calls[0][1]).toEqual([NUMBER_ID, PEER, 3]);
+    expect(page.messages.map(m => m.id)).toEqual(['m3', 'm2']);
+    expect(page.nextCursor).toBe('m2');
+  });
+
+  it('ends with a null cursor on the last page', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 'm1' }] });
+
+    const page = await getConversationPage(NUMBER_ID, PEER, { limit: 2 });
+
+    expect(page.nextCursor).toBeNull();
+  });
+
+  it('continues after the cursor message, within the same number', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await getConversationPage(NUMBER_ID, PEER, { before: 'm2', limit: 2 });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(params).toEqual([NUMBER_ID, PEER, 3, 'm2']);
+    expect(sql).toMatch(/\(m\.sent_at, m\.id\) < \(/);
+    expect(sql).toMatch(/c\.id = \$4 AND c\.phone_number_id = \$1/);
+    expect(sql).toMatch(/NOT m\.quarantined/);
+  });
+});
+
+describe('listConversations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('shapes each thread with numeric counts', async () => {
+    db.query.mockResolvedValue({
+      rows: [{
+        peer: PEER,
+        last_message_id: 'm3',
+        last_message_body: 'enc:v1:...',
+        last_message_direction: 'inbound',
+        last_message_status: 'received',
+        last_message_num_media: 0,
+        last_message_at: new Date('2024-01-01T12:00:00Z'),
+        message_count: '12',
+        unread_count: '2'
+      }]
+    });
+
+    const [thread] = await listConversations(NUMBER_ID, 10);
+
+    expect(db.query.mock.calls[0][1]).toEqual([NUMBER_ID, 10]);
+    expect(thread).toEqual({
+      peer: PEER,
+      lastMessage: {
+        id: 'm3',
+        body: 'enc:v1:...',
+        direction: 'inbound',
+        status: 'received',
+        numMedia: 0,
+        sentAt: new Date('2024-01-01T12:00:00Z')
+      },
+      messageCount: 12,
+      unreadCount: 2
+    });
+  });
+});
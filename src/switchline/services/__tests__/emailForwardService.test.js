@@ -0,0 +1,195 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+jest.mock('../../../shared/mailer', () => ({ isConfigured: jest.fn(), sendMail: jest.fn() }));
+jest.mock('../messageService', () => ({ sendMessage: jest.fn() }));
+jest.mock('../mediaService', () => ({ signMediaUrl: jest.fn() }));
+jest.mock('../encryptionService', () => ({ decryptText: jest.fn() }));
+jest.mock('../authService', () => ({ shouldLogEmailLinks: jest.fn() }));
+
+const crypto = require('crypto');
+const db = require('../../../shared/db');
+const mailer = require('../../../shared/mailer');
+const { sendMessage } = require('../messageService');
+const { updateSettings, confirmAddress, handleReply } = require('../emailForwardService');
+
+const NUMBER = {
+  id: 'number-1',
+  user_id: 'user-1',
+  phone_number: '+14155550100',
+  account_email: 'owner@example.com',
+  account_email_verified: true,
+  email_forward_address: null,
+  email_forward_verified_at: null,
+  email_forward_token_expires_at: null
+};
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+describe('updateSettings', () => {
+  let client;
+
+  function stored(number) {
+    client.query.mockImplementation(async (sql, params) => {
+      if (/^\s*SELECT/.test(sql)) return { rows: number ? [number] : [] };
+      return { rows: [{ ...number, email_forward_address: params[4] }] };
+    });
+  }
+
+  function update() {
+    return client.query.mock.calls[1][1];
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = { query: jest.fn() };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+    mailer.isConfigured.mockReturnValue(true);
+  });
+
+  it('emails a confirmation link to a new alias and stores only its hash', async () => {
+    stored(NUMBER);
+
+    const result = await updateSettings('user-1', 'number-1', { sms: true, voicemail: true, address: ' alias@example.net ' });
+
+    expect(result).toMatchObject({ success: true, confirmationSent: true });
+    expect(update()[4]).toBe('alias@example.net');
+    expect(update()[5]).toBe('pending');
+
+    const email = mailer.sendMail.mock.calls[0][0];
+    const token = /token=([0-9a-f]{64})/.exec(email.text)[1];
+    expect(email.to).toBe('alias@example.net');
+    expect(update()[6]).toBe(sha256(token));
+  });
+
+  it('trusts the account\'s own verified email without a link', async () => {
+    stored(NUMBER);
+
+    const result = await updateSettings('user-1', 'number-1', { sms: true, voicemail: false, address: 'Owner@Example.com' });
+
+    expect(update()[5]).toBe('verified');
+    expect(result.confirmationSent).toBe(false);
+    expect(mailer.sendMail).not.toHaveBeenCalled();
+  });
+
+  it('keeps a confirmed alias confirmed when other settings change', async () => {
+    stored({ ...NUMBER, email_forward_address: 'alias@example.net', email_forward_verified_at: new Date() });
+
+    await updateSettings('user-1', 'number-1', { sms: false, voicemail: true, address: 'alias@example.net' });
+
+    expect(update()[5]).toBe('keep');
+    expect(mailer.sendMail).not.toHaveBeenCalled();
+  });
+
+  it('sends a fresh link for an unconfirmed alias only once the last one expired', async () => {
+    const waiting = { ...NUMBER, email_forward_address: 'alias@example.net' };
+
+    stored({ ...waiting, email_forward_token_expires_at: new Date(Date.now() + 60 * 60 * 1000) });
+    await updateSettings('user-1', 'number-1', { sms: true, voicemail: true, address: 'alias@example.net' });
+    expect(update()[5]).toBe('keep');
+
+    client.query.mockClear();
+    stored({ ...waiting, email_forward_token_expires_at: new Date(Date.now() - 1000) });
+    await updateSettings('user-1', 'number-1', { sms: true, voicemail: true, address: 'alias@example.net' });
+    expect(update()[5]).toBe('pending');
+  });
+
+  it('clears the alias back to the account email', async () => {
+    stored({ ...NUMBER, email_forward_address: 'alias@example.net' });
+
+    await updateSettings('user-1', 'number-1', { sms: true, voicemail: true, address: '' });
+
+    expect(update()[4]).toBeNull();
+    expect(update()[5]).toBe('clear');
+  });
+
+  it('only changes the user\'s own numbers', async () => {
+    stored(null);
+
+    expect(await updateSettings('user-2', 'number-1', { sms: true, voicemail: true, address: null }))
+      .toMatchObject({ success: false, status: 404 });
+  });
+});
+
+describe('confirmAddress', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('confirms the alias holding an unexpired link', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 'number-1' }] });
+
+    expect(await confirmAddress('a'.repeat(64))).toMatchObject({ success: true, number: { id: 'number-1' } });
+    expect(db.query.mock.calls[0][0]).toMatch(/email_forward_token_expires_at > NOW\(\)/);
+    expect(db.query.mock.calls[0][1]).toEqual([sha256('a'.repeat(64))]);
+  });
+
+  it('refuses an unknown or expired link', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    expect(await confirmAddress('b'.repeat(64))).toMatchObject({ success: false, status: 400 });
+  });
+});
+
+describe('handleReply', () => {
+  const TOKEN = '0123456789abcdef0123456789abcdef';
+  const RECIPIENT = `reply+${TOKEN}@reply.example.com`;
+
+  function stored(forwardTo) {
+    db.query.mockImplementation(async (sql) => {
+      if (/FROM email_reply_threads/.test(sql)) return { rows: [{ phone_number_id: 'number-1', peer_number: '+15550001111' }] };
+      return { rows: [{ ...NUMBER, forward_to: forwardTo }] };
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    sendMessage.mockResolvedValue({ success: true, message: { id: 'message-1' } });
+  });
+
+  it('texts the new part of a reply from the forwarding address', async () => {
+    stored('alias@example.net');
+
+    await handleReply({
+      recipient: RECIPIENT,
+      sender: 'Alias <Alias@example.net>',
+      text: 'Sounds good\r\n\r\nOn Mon, Jan 1, 2024 Switchline wrote:\r\n> Are we still on?'
+    });
+
+    expect(sendMessage).toHaveBeenCalledWith('user-1', {
+      from: NUMBER.phone_number,
+      to: '+15550001111',
+      body: 'Sounds good'
+    });
+  });
+
+  it('refuses a sender other than the forwarding address', async () => {
+    stored('alias@example.net');
+
+    expect(await handleReply({ recipient: RECIPIENT, sender: 'someone@example.org', text: 'hi' }))
+      .toMatchObject({ success: false, status: 403 });
+    expect(sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('refuses replies while the alias is unconfirmed', async () => {
+    stored(null);
+
+    expect(await handleReply({ recipient: RECIPIENT, sender: 'alias@example.net', text: 'hi' }))
+      .toMatchObject({ success: false, status: 403 });
+  });
+
+  it('refuses a reply with no new text', async () => {
+    stored('alias@example.net');
+
+    expect(await handleReply({ recipient: RECIPIENT, sender: 'alias@example.net', text: '> quoted only' }))
+      .toMatchObject({ success: false, status: 400 });
+  });
+
+  it('does not recognise other addresses', async () => {
+    expect(await handleReply({ recipient: 'hello@reply.example.com', sender: 'alias@example.net', text: 'hi' }))
+      .toMatchObject({ success: false, status: 404 });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+jest.mock('../eventService', () => ({ listen: jest.fn() }));
+
+const crypto = require('crypto');
+const db = require('../../../shared/db');
+const eventService = require('../eventService');
+const {
+  getDataKey,
+  isEncryptedText,
+  encryptText,
+  decryptText,
+  encryptBuffer,
+  decryptBuffer,
+  destroyNumberKeys,
+  startKeyCacheInvalidation
+} = require('../encryptionService');
+
+// data_keys, kept in memory
+let dataKeys;
+
+function storeKeys() {
+  db.query.mockImplementation(async (sql, params) => {
+    if (/^\s*SELECT id, wrapped_key FROM data_keys/.test(sql)) {
+      const [userId, numberId] = params;
+      return { rows: dataKeys.filter(row => row.user_id === userId && row.phone_number_id === numberId) };
+    }
+    if (/^\s*SELECT wrapped_key FROM data_keys/.test(sql)) {
+      return { rows: dataKeys.filter(row => row.id === params[0]) };
+    }
+    if (/INSERT INTO data_keys/.test(sql)) {
+      const [userId, numberId, wrapped] = params;
+      const row = { id: crypto.randomUUID(), user_id: userId, phone_number_id: numberId, wrapped_key: wrapped };
+      dataKeys.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (/DELETE FROM data_keys/.test(sql)) {
+      const destroyed = dataKeys.filter(row => row.phone_number_id === params[0]);
+      dataKeys = dataKeys.filter(row => row.phone_number_id !== params[0]);
+      return { rows: destroyed.map(({ id }) => ({ id })) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+}
+
+describe('encryption', () => {
+  beforeAll(() => {
+    process.env.MASTER_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+  });
+
+  afterAll(() => {
+    delete process.env.MASTER_ENCRYPTION_KEY;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    dataKeys = [];
+    storeKeys();
+  });
+
+  it('round-trips text under the number\'s data key', async () => {
+    const dataKey = await getDataKey('user-1', 'number-1');
+    const stored = encryptText(dataKey, 'Meet at 6 — café on 3rd');
+
+    expect(isEncryptedText(stored)).toBe(true);
+    expect(stored).toContain(dataKey.id);
+    expect(stored).not.toContain('café');
+    expect(await decryptText(stored)).toBe('Meet at 6 — café on 3rd');
+  });
+
+  it('reuses one key per number and stores it only wrapped', async () => {
+    const first = await getDataKey('user-1', 'number-1');
+    const second = await getDataKey('user-1', 'number-1');
+    const other = await getDataKey('user-1', null);
+
+    expect(second.id).toBe(first.id);
+    expect(second.key.equals(first.key)).toBe(true);
+    expect(other.id).not.toBe(first.id);
+    expect(dataKeys).toHaveLength(2);
+    expect(dataKeys[0].wrapped_key).not.toContain(first.key.toString('base64'));
+  });
+
+  it('round-trips files', async () => {
+    const dataKey = await getDataKey('user-1', 'number-1');
+    const file = crypto.randomBytes(1024);
+    const stored = encryptBuffer(dataKey, file);
+
+    expect(stored.includes(file)).toBe(false);
+    expect((await decryptBuffer(stored)).equals(file)).toBe(true);
+  });
+
+  it('passes through values stored before encryption', async () => {
+    const file = Buffer.from('GIF89a');
+
+    expect(await decryptText('plain old text')).toBe('plain old text');
+    expect(await decryptText(null)).toBeNull();
+    expect(encryptText({ id: 'key-1', key: Buffer.alloc(32) }, null)).toBeNull();
+    expect(await decryptBuffer(file)).toBe(file);
+  });
+
+  it('refuses tampered ciphertext', async () => {
+    const dataKey = await getDataKey('user-1', 'number-1');
+    const parts = encryptText(dataKey, 'secret').split(':');
+    parts[5] = Buffer.from('tampered').toString('base64');
+
+    await expect(decryptText(parts.join(':'))).rejects.toThrow();
+  });
+
+  it('makes a burned number\'s data unreadable by destroying its key', async () => {
+    const numberKey = await getDataKey('user-1', 'number-1');
+    const userKey = await getDataKey('user-1', null);
+    const text = encryptText(numberKey, 'gone after the burn');
+    const file = encryptBuffer(numberKey, Buffer.from('voicemail'));
+    const kept = encryptText(userKey, 'not on this number');
+
+    expect(await destroyNumberKeys('number-1')).toBe(1);
+
+    expect(await decryptText(text)).toBeNull();
+    expect(await decryptBuffer(file)).toBeNull();
+    expect(await decryptText(kept)).toBe('not on this number');
+  });
+
+  it('drops keys destroyed on another instance from its cache', async () => {
+    await startKeyCacheInvalidation();
+    const [channel, onDestroyed] = eventService.listen.mock.calls[0];
+
+    const dataKey = await getDataKey('user-1', 'number-1');
+    const text = encryptText(dataKey, 'burned elsewhere');
+
+    // The other instance deletes the row; this one only hears the NOTIFY
+    dataKeys = [];
+    expect(await decryptText(text)).toBe('burned elsewhere');
+
+    onDestroyed(dataKey.id);
+
+    expect(channel).toBe('switchline_keys_destroyed');
+    expect(await decryptText(text)).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+
+const { EventEmitter } = require('events');
+const db = require('../../../shared/db');
+const { publish, subscribe } = require('../eventService');
+
+// Let pending flushes settle
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('publish', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('stores the event and notifies every instance in one statement', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await publish('user-1', 'message.received', { messageId: 'message-1' });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toMatch(/INSERT INTO events[\s\S]*pg_notify/);
+    expect(params).toEqual(['user-1', 'message.received', { messageId: 'message-1' }, 'switchline_events']);
+  });
+
+  it('never throws into the caller', async () => {
+    db.query.mockRejectedValue(new Error('connection refused'));
+
+    await expect(publish('user-1', 'message.received', {})).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe('subscribe', () => {
+  // The instance keeps one listener connection for its lifetime
+  const listener = new EventEmitter();
+  let events;
+
+  function notify(userId) {
+    listener.emit('notification', { channel: 'switchline_events', payload: JSON.stringify({ userId }) });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    listener.query = jest.fn().mockResolvedValue({});
+    listener.release = jest.fn();
+    db.pool.connect.mockResolvedValue(listener);
+
+    events = [];
+    db.query.mockImplementation(async (sql, [userId, after]) => {
+      if (/MAX\(id\)/.test(sql)) return { rows: [{ id: events.length }] };
+      return { rows: events.filter(event => event.userId === userId && event.id > after) };
+    });
+  });
+
+  it('replays what a client missed, then pushes new events in order', async () => {
+    events = [{ id: 1, userId: 'user-1' }, { id: 2, userId: 'user-1' }];
+    const send = jest.fn();
+
+    const unsubscribe = await subscribe('user-1', 1, send);
+    await settle();
+
+    events.push({ id: 3, userId: 'user-1' }, { id: 4, userId: 'user-2' });
+    notify('user-1');
+    await settle();
+
+    expect(send.mock.calls.map(([event]) => event.id)).toEqual([2, 3]);
+    unsubscribe();
+  });
+
+  it('starts from now without a last event id', async () => {
+    events = [{ id: 1, userId: 'user-1' }];
+    const send = jest.fn();
+
+    const unsubscribe = await subscribe('user-1', null, send);
+    await settle();
+
+    expect(send).not.toHaveBeenCalled();
+    unsubscribe();
+  });
+
+  it('stops delivering once unsubscribed', async () => {
+    const send = jest.fn();
+
+    const unsubscribe = await subscribe('user-1', 0, send);
+    await settle();
+    unsubscribe();
+
+    events.push({ id: 1, userId: 'user-1' });
+    notify('user-1');
+    await settle();
+
+    expect(send).not.toHaveBeenCalled();
+  });
+});
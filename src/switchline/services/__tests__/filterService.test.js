@@ -0,0 +1,75 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+
+const db = require('../../../shared/db');
+const { evaluateSender } = require('../filterService');
+
+const NUMBER = { id: 'number-1', filter_mode: 'open' };
+const SENDER = '+15550001111';
+const QUIET = { known_contact: false, recent_contacts: '0', other_numbers: '0', same_body_numbers: '0' };
+
+function storedFilters(filter, stats = QUIET) {
+  db.query.mockImplementation(async (sql) => {
+    if (/FROM number_filters/.test(sql)) return { rows: filter ? [filter] : [] };
+    return { rows: [stats] };
+  });
+}
+
+describe('evaluateSender', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('lets an allowlisted sender through without scoring', async () => {
+    storedFilters({ filter_type: 'allow', pattern: '+1555*' });
+
+    const verdict = await evaluateSender({ ...NUMBER, filter_mode: 'contacts_only' }, SENDER);
+
+    expect(verdict).toEqual({ action: 'allow', reason: 'allowlist', spamScore: 0 });
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('blocks a sender matching a block entry', async () => {
+    storedFilters({ filter_type: 'block', pattern: SENDER });
+
+    expect(await evaluateSender(NUMBER, SENDER)).toMatchObject({ action: 'block', reason: 'blocklist' });
+    expect(db.query.mock.calls[0][1]).toEqual(['number-1', SENDER]);
+  });
+
+  it('blocks everyone not allowlisted in contacts-only mode', async () => {
+    storedFilters(null);
+
+    expect(await evaluateSender({ ...NUMBER, filter_mode: 'contacts_only' }, SENDER))
+      .toMatchObject({ action: 'block', reason: 'contacts_only' });
+  });
+
+  it('flags a sender texting many of our numbers the same thing', async () => {
+    storedFilters(null, { ...QUIET, recent_contacts: '2', other_numbers: '1', same_body_numbers: '1' });
+
+    const verdict = await evaluateSender(NUMBER, SENDER, 'You have won a prize, click here now');
+
+    expect(verdict).toEqual({ action: 'spam', reason: 'reputation', spamScore: 55 });
+    expect(db.query.mock.calls[1][1][2]).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('does not compare short bodies across numbers', async () => {
+    storedFilters(null);
+
+    await evaluateSender(NUMBER, SENDER, 'ok');
+
+    expect(db.query.mock.calls[1][1][2]).toBeNull();
+  });
+
+  it('caps the score at 100', async () => {
+    storedFilters(null, { ...QUIET, recent_contacts: '40', other_numbers: '6', same_body_numbers: '3' });
+
+    expect((await evaluateSender(NUMBER, SENDER)).spamScore).toBe(100);
+  });
+
+  it('never flags someone the owner has contacted', async () => {
+    storedFilters(null, { known_contact: true, recent_contacts: '40', other_numbers: '6', same_body_numbers: '3' });
+
+    expect(await evaluateSender(NUMBER, SENDER)).toEqual({ action: 'allow', reason: null, spamScore: 0 });
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Read when mediaService loads
+const UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'switchline-media-'));
+process.env.UPLOAD_PATH = UPLOAD_PATH;
+process.env.MAX_FILE_SIZE = '1024';
+
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+
+const mediaService = require('../mediaService');
+
+const USER_ID = '0b7c3f2e-1d4a-4b6c-8e9f-a1b2c3d4e5f6';
+const DATA_KEY = { id: '9d1e7f3a-5b2c-4e8d-a6f1-0c3b5d7e9f11', key: crypto.randomBytes(32) };
+
+function download(bytes, headers = {}) {
+  return new Response(Buffer.alloc(bytes, 1), { status: 200, headers });
+}
+
+describe('storeTwilioMedia', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn();
+  });
+
+  afterAll(() => {
+    fs.rmSync(UPLOAD_PATH, { recursive: true, force: true });
+  });
+
+  it('stores attachments encrypted under the owner', async () => {
+    global.fetch.mockResolvedValue(download(512));
+
+    const keys = await mediaService.storeTwilioMedia(USER_ID, [
+      { url: 'https://api.twilio.com/media/ME1', contentType: 'image/jpeg' }
+    ], DATA_KEY);
+
+    expect(keys).toHaveLength(1);
+    expect(mediaService.isOwnedBy(keys[0], USER_ID)).toBe(true);
+    expect(keys[0]).toMatch(/\.jpg$/);
+
+    const stored = fs.readFileSync(mediaService.mediaPath(keys[0]));
+    expect(stored.includes(Buffer.alloc(512, 1))).toBe(false);
+  });
+
+  it('skips attachments that fail, are too big or of another type, keeping the rest', async () => {
+    global.fetch.mockImplementation(async (url) => {
+      if (url.endsWith('ME404')) return new Response('Not found', { status: 404 });
+      if (url.endsWith('MEDOWN')) throw new Error('socket hang up');
+      if (url.endsWith('MEBIG')) return download(4096);
+      if (url.endsWith('MEDECLARED')) return download(4096, { 'content-length': '4096' });
+      return download(100);
+    });
+
+    const keys = await mediaService.storeTwilioMedia(USER_ID, [
+      { url: 'https://api.twilio.com/media/ME404', contentType: 'image/png' },
+      { url: 'https://api.twilio.com/media/MEDOWN', contentType: 'image/png' },
+      { url: 'https://api.twilio.com/media/MEBIG', contentType: 'image/png' },
+      { url: 'https://api.twilio.com/media/MEDECLARED', contentType: 'image/png' },
+      { url: 'https://api.twilio.com/media/MEEXE', contentType: 'application/x-msdownload' },
+      { url: 'https://api.twilio.com/media/MEOK', contentType: 'image/png' }
+    ], DATA_KEY);
+
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatch(/\.png$/);
+    expect(global.fetch).toHaveBeenCalledTimes(5);
+  });
+});
+
+describe('signed media URLs', () => {
+  const KEY = `${USER_ID}/5f0c2a4e-8b1d-4c3a-9e7f-6a2b1c0d9e8f.jpg`;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  it('verify for the key they were signed for until they expire', () => {
+    const url = new URL(mediaService.signMediaUrl(KEY, 60));
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+
+    expect(url.pathname).toBe(`/api/media/files/${KEY}`);
+    expect(mediaService.verifyMediaSignature(KEY, expires, signature)).toBe(true);
+    expect(mediaService.verifyMediaSignature(KEY.replace('.jpg', '.png'), expires, signature)).toBe(false);
+    expect(mediaService.verifyMediaSignature(KEY, String(Number(expires) + 1), signature)).toBe(false);
+  });
+
+  it('stop verifying once expired', () => {
+    const url = new URL(mediaService.signMediaUrl(KEY, -1));
+
+    expect(mediaService.verifyMediaSignature(KEY, url.searchParams.get('expires'), url.searchParams.get('signature'))).toBe(false);
+  });
+});
@@ -0,0 +1,273 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+jest.mock('../planService', () => ({ getUserPlan: jest.fn() }));
+jest.mock('../usageService', () => ({ consume: jest.fn(), release: jest.fn() }));
+jest.mock('../twilioClient', () => ({
+  ...jest.requireActual('../twilioClient'),
+  getTwilioClient: jest.fn()
+}));
+jest.mock('../encryptionService', () => ({
+  ...jest.requireActual('../encryptionService'),
+  getDataKey: jest.fn()
+}));
+
+const crypto = require('crypto');
+const db = require('../../../shared/db');
+const { getUserPlan } = require('../planService');
+const usageService = require('../usageService');
+const { getTwilioClient } = require('../twilioClient');
+const encryptionService = require('../encryptionService');
+const { recordInboundMessage, sendMessage, applyStatusCallback } = require('../messageService');
+
+const NUMBER = { id: 'number-1', user_id: 'user-1' };
+const DATA_KEY = { id: '9d1e7f3a-5b2c-4e8d-a6f1-0c3b5d7e9f11', key: crypto.randomBytes(32) };
+
+describe('recordInboundMessage', () => {
+  let client;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = { query: jest.fn() };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+  });
+
+  it('stores the body encrypted and counts the message on the number', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [{ id: 'message-1' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const message = await recordInboundMessage(NUMBER, {
+      from: '+15550001111',
+      to: '+14155550100',
+      body: 'Running late',
+      twilioSid: 'SM123',
+      accountSid: 'AC123',
+      mediaUrls: [],
+      dataKey: DATA_KEY
+    });
+
+    expect(message).toEqual({ id: 'message-1' });
+
+    const [insertSql, params] = client.query.mock.calls[0];
+    expect(insertSql).toMatch(/ON CONFLICT \(twilio_sid\) DO NOTHING/);
+    expect(params[4]).not.toContain('Running late');
+    expect(encryptionService.isEncryptedText(params[4])).toBe(true);
+    expect(params[5]).toBe('sms');
+    expect(params[6]).toBe('SM123');
+
+    expect(client.query.mock.calls[1][0]).toMatch(/total_messages = total_messages \+ 1/);
+  });
+
+  it('records media keys as an MMS', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [{ id: 'message-1' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    await recordInboundMessage(NUMBER, {
+      from: '+15550001111',
+      to: '+14155550100',
+      body: '',
+      twilioSid: 'SM124',
+      accountSid: 'AC123',
+      mediaUrls: ['user-1/photo.jpg'],
+      dataKey: DATA_KEY
+    });
+
+    const params = client.query.mock.calls[0][1];
+    expect(params[5]).toBe('mms');
+    expect(params[8]).toEqual(['user-1/photo.jpg']);
+    expect(params[9]).toBe(1);
+  });
+
+  it('ignores a Twilio retry of a message already stored', async () => {
+    client.query.mockResolvedValueOnce({ rows: [] });
+
+    const message = await recordInboundMessage(NUMBER, {
+      from: '+15550001111',
+      to: '+14155550100',
+      body: 'Running late',
+      twilioSid: 'SM123',
+      accountSid: 'AC123',
+      mediaUrls: [],
+      dataKey: DATA_KEY
+    });
+
+    expect(message).toBeNull();
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('sendMessage', () => {
+  const MESSAGE_ID = '5f0c2a4e-8b1d-4c3a-9e7f-6a2b1c0d9e8f';
+
+  let client;
+  let create;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = { query: jest.fn() };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+    client.query.mockImplementation(async (sql) => {
+      if (/FROM phone_numbers/.test(sql)) return { rows: [{ id: 'number-1', status: 'active' }] };
+      if (/INSERT INTO messages/.test(sql)) return { rows: [{ id: MESSAGE_ID }] };
+      return { rows: [] };
+    });
+
+    getUserPlan.mockResolvedValue({ user_id: 'user-1', sms_limit: 100 });
+    usageService.consume.mockResolvedValue({ allowed: true, used: 4, limit: 100, warning: false });
+    encryptionService.getDataKey.mockResolvedValue(DATA_KEY);
+
+    create = jest.fn().mockResolvedValue({ sid: 'SM999', accountSid: 'AC123', status: 'queued', price: null });
+    getTwilioClient.mockReturnValue({ messages: { create } });
+    db.query.mockResolvedValue({ rows: [{ id: MESSAGE_ID, twilio_sid: 'SM999', status: 'queued' }] });
+  });
+
+  it('stores the message as queued before Twilio is called, then records the SID', async () => {
+    const result = await sendMessage('user-1', { from: '+14155550100', to: '+15550001111', body: 'On my way' });
+
+    expect(result).toMatchObject({ success: true, message: { twilio_sid: 'SM999' }, smsUsed: 4, smsLimit: 100 });
+
+    const insert = client.query.mock.calls.find(([sql]) => /INSERT INTO messages/.test(sql));
+    expect(insert[0]).toMatch(/'queued'/);
+    expect(client.query.mock.invocationCallOrder[client.query.mock.calls.indexOf(insert)])
+      .toBeLessThan(create.mock.invocationCallOrder[0]);
+
+    // The callback can find the row before the SID is stored
+    expect(create.mock.calls[0][0].statusCallback.endsWith(`/webhook/sms/status?messageId=${MESSAGE_ID}`)).toBe(true);
+
+    // A callback that got in first keeps the status it set
+    expect(db.query.mock.calls[0][0]).toMatch(/CASE WHEN status = 'queued' THEN \$4 ELSE status END/);
+    expect(db.query.mock.calls[0][1].slice(0, 2)).toEqual([MESSAGE_ID, 'SM999']);
+  });
+
+  it('refuses numbers the user does not own', async () => {
+    client.query.mockResolvedValue({ rows: [] });
+
+    const result = await sendMessage('user-1', { from: '+14155550199', to: '+15550001111', body: 'Hi' });
+
+    expect(result).toMatchObject({ success: false, status: 403 });
+    expect(usageService.consume).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a send over the SMS limit', async () => {
+    usageService.consume.mockResolvedValue({ allowed: false, used: 100, limit: 100, warning: true });
+
+    const result = await sendMessage('user-1', { from: '+14155550100', to: '+15550001111', body: 'Hi' });
+
+    expect(result).toMatchObject({ success: false, status: 403 });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('marks the message failed and gives the count back when Twilio refuses it', async () => {
+    create.mockRejectedValue(Object.assign(new Error('Invalid To number'), { code: 21211 }));
+
+    await expect(sendMessage('user-1', { from: '+14155550100', to: '+1555', body: 'Hi' }))
+      .rejects.toThrow('Invalid To number');
+
+    const failed = client.query.mock.calls.find(([sql]) => /SET status = 'failed'/.test(sql));
+    expect(failed[1]).toEqual([MESSAGE_ID, 21211, 'Invalid To number']);
+    expect(usageService.release).toHaveBeenCalledWith(client, 'user-1', 'sms');
+  });
+});
+
+describe('applyStatusCallback', () => {
+  const MESSAGE_ID = '5f0c2a4e-8b1d-4c3a-9e7f-6a2b1c0d9e8f';
+
+  let client;
+  let fetch;
+
+  // The stored message, and what the UPDATE hands back
+  function storedMessage(row) {
+    client.query.mockImplementation(async (sql, params) => {
+      if (/^SELECT/.test(sql)) return { rows: row ? [row] : [] };
+      return { rows: [{ ...row, status: params[1], price_cents: null }] };
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    client = { query: jest.fn() };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+    db.query.mockResolvedValue({ rows: [] });
+
+    fetch = jest.fn().mockResolvedValue({ price: '-0.00790' });
+    getTwilioClient.mockReturnValue({ messages: jest.fn(() => ({ fetch })) });
+  });
+
+  it('finds the message by the id in the callback URL when there is one', async () => {
+    storedMessage({ id: MESSAGE_ID, twilio_sid: null, status: 'queued' });
+
+    const message = await applyStatusCallback({ messageId: MESSAGE_ID, twilioSid: 'SM999', status: 'sent' });
+
+    expect(message.status).toBe('sent');
+    expect(client.query.mock.calls[0]).toEqual([expect.stringMatching(/WHERE id = \$1/), [MESSAGE_ID]]);
+
+    // The SID is filled in if the callback beat sendMessage to it
+    const [updateSql, params] = client.query.mock.calls[1];
+    expect(updateSql).toMatch(/twilio_sid = COALESCE\(twilio_sid, \$5\)/);
+    expect(params[4]).toBe('SM999');
+  });
+
+  it('falls back to the SID for callbacks without an id', async () => {
+    storedMessage({ id: MESSAGE_ID, twilio_sid: 'SM999', status: 'queued' });
+
+    await applyStatusCallback({ twilioSid: 'SM999', status: 'sent' });
+
+    expect(client.query.mock.calls[0]).toEqual([expect.stringMatching(/WHERE twilio_sid = \$1/), ['SM999']]);
+  });
+
+  it('returns null for a message it does not know', async () => {
+    storedMessage(null);
+
+    expect(await applyStatusCallback({ twilioSid: 'SM404', status: 'sent' })).toBeNull();
+  });
+
+  it('ignores a callback that arrives after a later state', async () => {
+    const row = { id: MESSAGE_ID, twilio_sid: 'SM999', status: 'sent' };
+    storedMessage(row);
+
+    const message = await applyStatusCallback({ messageId: MESSAGE_ID, twilioSid: 'SM999', status: 'sending' });
+
+    expect(message).toBe(row);
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    ['delivered', 'failed'],
+    ['undelivered', 'delivered'],
+    ['failed', 'delivered']
+  ])('does not turn %s into %s', async (finalStatus, lateStatus) => {
+    storedMessage({ id: MESSAGE_ID, twilio_sid: 'SM999', status: finalStatus, price_cents: 1 });
+
+    await applyStatusCallback({ messageId: MESSAGE_ID, twilioSid: 'SM999', status: lateStatus });
+
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('records the error and the price once the message is final', async () => {
+    storedMessage({ id: MESSAGE_ID, twilio_sid: 'SM999', status: 'sent' });
+
+    const message = await applyStatusCallback({
+      messageId: MESSAGE_ID,
+      twilioSid: 'SM999',
+      status: 'undelivered',
+      errorCode: '30007'
+    });
+
+    const params = client.query.mock.calls[1][1];
+    expect(params.slice(1, 4)).toEqual(['undelivered', 30007, 'Message filtered by the carrier as spam']);
+
+    expect(fetch).toHaveBeenCalled();
+    expect(db.query).toHaveBeenCalledWith(expect.stringMatching(/SET price_cents/), [MESSAGE_ID, 1]);
+    expect(message.price_cents).toBe(1);
+  });
+});
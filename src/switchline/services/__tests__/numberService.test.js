@@ -0,0 +1,257 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+jest.mock('../planService', () => ({ getUserPlan: jest.fn() }));
+jest.mock('../usageService', () => ({ consume: jest.fn(), release: jest.fn() }));
+jest.mock('../twilioClient', () => ({
+  ...jest.requireActual('../twilioClient'),
+  getTwilioClient: jest.fn()
+}));
+jest.mock('../mediaService', () => ({ deleteMedia: jest.fn() }));
+jest.mock('../voicemailService', () => ({ deleteTwilioRecordings: jest.fn() }));
+jest.mock('../encryptionService', () => ({ destroyNumberKeys: jest.fn() }));
+jest.mock('../verifiedPhoneService', () => ({ isVerified: jest.fn() }));
+
+const db = require('../../../shared/db');
+const { getUserPlan } = require('../planService');
+const usageService = require('../usageService');
+const { getTwilioClient } = require('../twilioClient');
+const mediaService = require('../mediaService');
+const voicemailService = require('../voicemailService');
+const { destroyNumberKeys } = require('../encryptionService');
+const { isVerified } = require('../verifiedPhoneService');
+const { purchaseNumber, burnNumber, extendNumber, updateForwarding } = require('../numberService');
+
+const PLAN = { user_id: 'user-1', phone_numbers_limit: 2 };
+
+const PURCHASED = {
+  sid: 'PN123',
+  accountSid: 'AC123',
+  phoneNumber: '+14155550100',
+  friendlyName: '(415) 555-0100',
+  voiceUrl: 'https://switchline.app/webhook/voice',
+  smsUrl: 'https://switchline.app/webhook/sms'
+};
+
+describe('purchaseNumber', () => {
+  let client;
+  let twilio;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+
+    twilio = { incomingPhoneNumbers: jest.fn() };
+    twilio.incomingPhoneNumbers.create = jest.fn().mockResolvedValue(PURCHASED);
+    getTwilioClient.mockReturnValue(twilio);
+
+    getUserPlan.mockResolvedValue(PLAN);
+    usageService.consume.mockResolvedValue({ allowed: true, used: 1, limit: 2, warning: false });
+  });
+
+  it('refuses a purchase over the plan limit without calling Twilio', async () => {
+    usageService.consume.mockResolvedValue({ allowed: false, used: 2, limit: 2, warning: true });
+
+    const result = await purchaseNumber('user-1', PURCHASED.phoneNumber);
+
+    expect(result).toMatchObject({ success: false, status: 403 });
+    expect(twilio.incomingPhoneNumbers.create).not.toHaveBeenCalled();
+  });
+
+  it('counts the slot in its own transaction before buying, then records the number', async () => {
+    client.query.mockImplementation(async (sql) => (
+      /INSERT INTO phone_numbers/.test(sql) ? { rows: [{ id: 'number-1', phone_number: PURCHASED.phoneNumber }] } : { rows: [] }
+    ));
+
+    const result = await purchaseNumber('user-1', PURCHASED.phoneNumber, 'US', '7d');
+
+    expect(result).toMatchObject({ success: true, number: { id: 'number-1' } });
+    expect(getUserPlan).toHaveBeenCalledWith('user-1', client, true);
+
+    // The Twilio call happens between the reservation and the insert transactions
+    expect(db.withTransaction).toHaveBeenCalledTimes(2);
+    expect(usageService.consume.mock.invocationCallOrder[0])
+      .toBeLessThan(twilio.incomingPhoneNumbers.create.mock.invocationCallOrder[0]);
+
+    const insert = client.query.mock.calls.find(([sql]) => /INSERT INTO phone_numbers/.test(sql));
+    expect(insert[1]).toEqual(expect.arrayContaining(['user-1', PURCHASED.phoneNumber, 'PN123', '415', '7 days']));
+  });
+
+  it('gives the slot back when Twilio refuses the purchase', async () => {
+    twilio.incomingPhoneNumbers.create.mockRejectedValue(new Error('Number no longer available'));
+
+    await expect(purchaseNumber('user-1', PURCHASED.phoneNumber)).rejects.toThrow('Number no longer available');
+
+    expect(usageService.release).toHaveBeenCalledWith(client, 'user-1', 'phone_numbers');
+  });
+
+  it('releases the number at Twilio and the slot when recording it fails', async () => {
+    const remove = jest.fn().mockResolvedValue(true);
+    twilio.incomingPhoneNumbers.mockReturnValue({ remove });
+    client.query.mockImplementation(async (sql) => {
+      if (/INSERT INTO phone_numbers/.test(sql)) throw new Error('duplicate key');
+      return { rows: [] };
+    });
+
+    await expect(purchaseNumber('user-1', PURCHASED.phoneNumber)).rejects.toThrow('duplicate key');
+
+    expect(twilio.incomingPhoneNumbers).toHaveBeenCalledWith('PN123');
+    expect(remove).toHaveBeenCalled();
+    expect(usageService.release).toHaveBeenCalledWith(client, 'user-1', 'phone_numbers');
+  });
+});
+
+describe('burnNumber', () => {
+  const NUMBER = { id: 'number-1', user_id: 'user-1', status: 'active', twilio_sid: 'PN123' };
+
+  let client;
+  let remove;
+
+  // Answer each statement burnNumber runs; number is the row it finds
+  function routeQueries(number) {
+    client.query.mockImplementation(async (sql) => {
+      if (/SELECT \* FROM phone_numbers/.test(sql)) return { rows: number ? [number] : [] };
+      if (/SELECT unnest\(media_urls\)/.test(sql)) return { rows: [{ key: 'user-1/a.jpg' }, { key: 'user-1/b.mp3' }] };
+      if (/SELECT twilio_recording_sid/.test(sql)) return { rows: [{ twilio_recording_sid: 'RE1' }] };
+      if (/^\s*UPDATE messages/.test(sql)) return { rowCount: 4, rows: [] };
+      if (/^\s*UPDATE calls/.test(sql)) return { rowCount: 2, rows: [] };
+      if (/DELETE FROM messages/.test(sql)) return { rowCount: 5, rows: [] };
+      if (/DELETE FROM calls/.test(sql)) return { rowCount: 3, rows: [] };
+      if (/SET status = 'burned'/.test(sql)) return { rows: [{ ...number, status: 'burned' }] };
+      return { rows: [] };
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = { query: jest.fn() };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+
+    remove = jest.fn().mockResolvedValue(true);
+    getTwilioClient.mockReturnValue({ incomingPhoneNumbers: jest.fn(() => ({ remove })) });
+  });
+
+  it('deletes the history, shreds the keys and releases the number', async () => {
+    routeQueries(NUMBER);
+
+    const result = await burnNumber('user-1', 'number-1');
+
+    expect(result).toMatchObject({ success: true, number: { status: 'burned' }, wiped: { messages: 5, calls: 3 } });
+    expect(usageService.release).toHaveBeenCalledWith(client, 'user-1', 'phone_numbers');
+    expect(destroyNumberKeys).toHaveBeenCalledWith('number-1', client);
+    expect(remove).toHaveBeenCalled();
+
+    // Files and Twilio recordings go only once the transaction has committed
+    expect(mediaService.deleteMedia).toHaveBeenCalledWith(['user-1/a.jpg', 'user-1/b.mp3']);
+    expect(voicemailService.deleteTwilioRecordings).toHaveBeenCalledWith(['RE1']);
+  });
+
+  it('anonymizes instead of deleting when asked to', async () => {
+    routeQueries(NUMBER);
+
+    const result = await burnNumber('user-1', 'number-1', 'anonymize');
+
+    expect(result.wiped).toMatchObject({ messages: 4, calls: 2 });
+    expect(client.query.mock.calls.some(([sql]) => /DELETE FROM messages/.test(sql))).toBe(false);
+  });
+
+  it('refuses a number that is already burned', async () => {
+    routeQueries({ ...NUMBER, status: 'burned' });
+
+    const result = await burnNumber('user-1', 'number-1');
+
+    expect(result).toMatchObject({ success: false, status: 409 });
+    expect(remove).not.toHaveBeenCalled();
+    expect(mediaService.deleteMedia).not.toHaveBeenCalled();
+  });
+
+  it('treats a number Twilio no longer has as released', async () => {
+    routeQueries(NUMBER);
+    remove.mockRejectedValue(Object.assign(new Error('Not found'), { status: 404 }));
+
+    const result = await burnNumber('user-1', 'number-1');
+
+    expect(result.success).toBe(true);
+  });
+
+  it('fails the burn, keeping the files, when Twilio errors otherwise', async () => {
+    routeQueries(NUMBER);
+    remove.mockRejectedValue(Object.assign(new Error('Service unavailable'), { status: 503 }));
+
+    await expect(burnNumber('user-1', 'number-1')).rejects.toThrow('Service unavailable');
+
+    expect(mediaService.deleteMedia).not.toHaveBeenCalled();
+  });
+});
+
+describe('extendNumber', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('pushes back the expiry and clears the warning', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'number-1', expires_at: new Date('2024-03-08T12:00:00Z') }] });
+
+    const result = await extendNumber('user-1', 'number-1', '7d');
+
+    expect(result).toMatchObject({ success: true, number: { id: 'number-1' } });
+    expect(db.query.mock.calls[0][0]).toMatch(/expiry_warning_sent_at = NULL/);
+    expect(db.query.mock.calls[0][1]).toEqual(['number-1', 'user-1', '7 days']);
+  });
+
+  it('explains why a number could not be extended', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'number-1', expires_at: null }] });
+    expect(await extendNumber('user-1', 'number-1', '24h')).toMatchObject({ status: 400, error: 'Number does not expire' });
+
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'number-1', expires_at: new Date('2020-01-01T00:00:00Z') }] });
+    expect(await extendNumber('user-1', 'number-1', '24h')).toMatchObject({ status: 409 });
+
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] });
+    expect(await extendNumber('user-1', 'number-1', '24h')).toMatchObject({ status: 404 });
+  });
+});
+
+describe('updateForwarding', () => {
+  const NUMBER = { id: 'number-1', forwarding_number: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockImplementation(async (sql, params) => (
+      /^SELECT/.test(sql)
+        ? { rows: [NUMBER] }
+        : { rows: [{ id: 'number-1', forwarding_enabled: params[1], forwarding_number: params[2] }] }
+    ));
+  });
+
+  it('forwards to one of the user\'s verified phones', async () => {
+    isVerified.mockResolvedValue(true);
+
+    const result = await updateForwarding('user-1', 'number-1', { enabled: true, forwardTo: '+15550001111' });
+
+    expect(isVerified).toHaveBeenCalledWith('user-1', '+15550001111');
+    expect(result).toMatchObject({ success: true, number: { forwarding_enabled: true, forwarding_number: '+15550001111' } });
+  });
+
+  it('refuses a phone that has not been verified', async () => {
+    isVerified.mockResolvedValue(false);
+
+    const result = await updateForwarding('user-1', 'number-1', { enabled: true, forwardTo: '+15550002222' });
+
+    expect(result).toMatchObject({ success: false, status: 400 });
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('needs somewhere to forward to before it can be switched on', async () => {
+    const result = await updateForwarding('user-1', 'number-1', { enabled: true });
+
+    expect(result).toMatchObject({ success: false, status: 400, error: 'A forwarding number is required' });
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectCode, otpFields, OTP_TTL_MINUTES } = require('../otpService');
+
+describe('detectCode', () => {
+  it.each([
+    ['G-482913 is your Google verification code.', { code: '482913', service: 'Google' }],
+    ['<#> WhatsApp: Your code is 123-456. Don\'t share it.', { code: '123456', service: 'WhatsApp' }],
+    ['[Uber] 4821 is your code. Never share this code.', { code: '4821', service: 'Uber' }],
+    ['Your Instagram verification code: 778 123', { code: '778123', service: 'Instagram' }],
+    ['Use 991204 to sign in to your Discord account', { code: '991204', service: 'Discord' }],
+    ['Your login code is AB12CD', { code: 'AB12CD', service: null }],
+    ['884210 est votre code de vérification', { code: '884210', service: null }]
+  ])('finds the code in %j', (body, expected) => {
+    expect(detectCode(body)).toEqual(expected);
+  });
+
+  it.each([
+    'See you at 7pm, table for 4',
+    'Your order #12345678 has shipped',
+    ''
+  ])('ignores %j', (body) => {
+    expect(detectCode(body)).toBeNull();
+  });
+});
+
+describe('otpFields', () => {
+  it('expires the code after the configured minutes', () => {
+    const before = Date.now();
+    const fields = otpFields('Your Lyft code is 5512');
+
+    expect(fields).toMatchObject({ code: '5512', service: 'Lyft' });
+    expect(fields.expiresAt.getTime()).toBeGreaterThanOrEqual(before + OTP_TTL_MINUTES * 60 * 1000);
+  });
+
+  it('is null for messages without a code', () => {
+    expect(otpFields('Running late, 10 min')).toBeNull();
+  });
+});
+
+describe('OTP_PATTERNS_FILE', () => {
+  const file = path.join(os.tmpdir(), `otp-patterns-${process.pid}.json`);
+
+  afterEach(() => {
+    delete process.env.OTP_PATTERNS_FILE;
+    fs.rmSync(file, { force: true });
+  });
+
+  it('tries extra patterns before the defaults', () => {
+    fs.writeFileSync(file, JSON.stringify([{ pattern: 'ref (\\d{6})', flags: 'i' }]));
+    process.env.OTP_PATTERNS_FILE = file;
+
+    jest.isolateModules(() => {
+      const otpService = require('../otpService');
+      expect(otpService.detectCode('Bank REF 120045, your code is 9911').code).toBe('120045');
+    });
+  });
+
+  it('falls back to the defaults when the file is unreadable', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.OTP_PATTERNS_FILE = file;
+
+    jest.isolateModules(() => {
+      const otpService = require('../otpService');
+      expect(otpService.detectCode('Your code is 9911').code).toBe('9911');
+    });
+    expect(console.error).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,165 @@
+jest.mock('bcrypt', () => ({
+  compare: jest.fn(async (password, hash) => hash === `hashed:${password}`)
+}));
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+jest.mock('../authService', () => ({
+  checkLoginAllowed: jest.fn(),
+  loginFailed: jest.fn(async (userId, ip, failure) => failure)
+}));
+jest.mock('../encryptionService', () => ({
+  getDataKey: jest.fn(async () => ({ id: 'key-1' })),
+  encryptText: jest.fn((dataKey, text) => `sealed:${text}`),
+  decryptText: jest.fn(async (value) => value && value.replace(/^sealed:/, ''))
+}));
+
+const crypto = require('crypto');
+const db = require('../../../shared/db');
+const { checkLoginAllowed, loginFailed } = require('../authService');
+const { encryptText } = require('../encryptionService');
+const { beginSetup, confirmSetup, verifyCode, disable } = require('../twoFactorService');
+
+// RFC 6238 test secret ("12345678901234567890"); at 59 s the step is 1 and
+// the code for step 1 is 287082
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const CODE_AT_59S = '287082';
+
+const ENABLED = {
+  id: 'user-1',
+  email: 'owner@example.com',
+  password_hash: 'hashed:correct horse',
+  two_factor_enabled: true,
+  two_factor_secret: `sealed:${SECRET}`,
+  two_factor_last_counter: null
+};
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(59 * 1000);
+
+  checkLoginAllowed.mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('beginSetup', () => {
+  it('stores a new secret encrypted and returns a scannable QR image', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ ...ENABLED, two_factor_enabled: false }] }).mockResolvedValue({ rowCount: 1 });
+
+    const result = await beginSetup('user-1');
+
+    expect(result.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(result.otpauthUrl).toBe(
+      `otpauth://totp/Switchline%3Aowner%40example.com?secret=${result.secret}&issuer=Switchline&algorithm=SHA1&digits=6&period=30`
+    );
+    expect(result.qrCode).toMatch(/^data:image\/png;base64,/);
+
+    expect(encryptText).toHaveBeenCalledWith({ id: 'key-1' }, result.secret);
+    expect(db.query.mock.calls[1][1]).toEqual(['user-1', `sealed:${result.secret}`]);
+  });
+
+  it('refuses while 2FA is already on', async () => {
+    db.query.mockResolvedValue({ rows: [ENABLED] });
+
+    expect(await beginSetup('user-1')).toMatchObject({ success: false, status: 409 });
+  });
+});
+
+describe('confirmSetup', () => {
+  const PENDING = { ...ENABLED, two_factor_enabled: false };
+
+  it('turns 2FA on with a current code and hands out hashed backup codes', async () => {
+    db.query.mockResolvedValueOnce({ rows: [PENDING] }).mockResolvedValue({ rowCount: 1 });
+
+    const result = await confirmSetup('user-1', CODE_AT_59S);
+
+    expect(result.success).toBe(true);
+    expect(result.backupCodes).toHaveLength(10);
+    result.backupCodes.forEach(code => expect(code).toMatch(/^[2-9A-HJKMNP-Z]{5}-[2-9A-HJKMNP-Z]{5}$/));
+
+    const [, params] = db.query.mock.calls[1];
+    expect(params[2]).toBe(1);
+    expect(params[3]).toEqual(result.backupCodes.map(code => sha256(code.replace('-', ''))));
+  });
+
+  it('refuses a wrong code', async () => {
+    db.query.mockResolvedValue({ rows: [PENDING] });
+
+    expect(await confirmSetup('user-1', '000000')).toMatchObject({ success: false, status: 400, error: 'Invalid code' });
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('verifyCode', () => {
+  it('accepts the current code and remembers its step', async () => {
+    db.query.mockResolvedValue({ rowCount: 1 });
+
+    expect(await verifyCode(ENABLED, { code: CODE_AT_59S })).toBe(true);
+    expect(db.query.mock.calls[0][1]).toEqual(['user-1', 1]);
+  });
+
+  it('accepts the previous step\'s code for clock drift', async () => {
+    db.query.mockResolvedValue({ rowCount: 1 });
+    jest.setSystemTime(89 * 1000);
+
+    expect(await verifyCode(ENABLED, { code: CODE_AT_59S })).toBe(true);
+  });
+
+  it('refuses a code from a step already used', async () => {
+    expect(await verifyCode({ ...ENABLED, two_factor_last_counter: 1 }, { code: CODE_AT_59S })).toBe(false);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('lets only one of two concurrent logins use a code', async () => {
+    db.query.mockResolvedValue({ rowCount: 0 });
+
+    expect(await verifyCode(ENABLED, { code: CODE_AT_59S })).toBe(false);
+    expect(db.query.mock.calls[0][0]).toMatch(/two_factor_last_counter IS NULL OR two_factor_last_counter < \$2/);
+  });
+
+  it('uses up a backup code, however it is typed', async () => {
+    db.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+    expect(await verifyCode(ENABLED, { backupCode: 'abcde 23456' })).toBe(true);
+    expect(await verifyCode(ENABLED, { backupCode: 'ABCDE-23456' })).toBe(false);
+
+    expect(db.query.mock.calls[0][0]).toMatch(/array_remove\(backup_codes, \$2\)/);
+    expect(db.query.mock.calls[0][1]).toEqual(['user-1', sha256('ABCDE23456')]);
+  });
+
+  it('refuses everything while 2FA is off', async () => {
+    expect(await verifyCode({ ...ENABLED, two_factor_enabled: false }, { code: CODE_AT_59S })).toBe(false);
+  });
+});
+
+describe('disable', () => {
+  it('needs the password and a code, counting failures toward the lockout', async () => {
+    db.query.mockResolvedValue({ rows: [ENABLED], rowCount: 1 });
+
+    const result = await disable('user-1', { password: 'wrong', code: CODE_AT_59S }, '203.0.113.5');
+
+    expect(result).toMatchObject({ success: false, status: 401, error: 'Incorrect password' });
+    expect(loginFailed).toHaveBeenCalledWith('user-1', '203.0.113.5', expect.anything());
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('clears the secret and backup codes', async () => {
+    db.query.mockResolvedValue({ rows: [ENABLED], rowCount: 1 });
+
+    expect(await disable('user-1', { password: 'correct horse', code: CODE_AT_59S }, '203.0.113.5')).toEqual({ success: true });
+    expect(db.query.mock.calls[2][0]).toMatch(/two_factor_secret = NULL/);
+  });
+
+  it('refuses while the account is locked out', async () => {
+    checkLoginAllowed.mockResolvedValue({ success: false, status: 429 });
+    db.query.mockResolvedValue({ rows: [ENABLED] });
+
+    expect(await disable('user-1', { password: 'correct horse', code: CODE_AT_59S }, '203.0.113.5'))
+      .toMatchObject({ status: 429 });
+  });
+});
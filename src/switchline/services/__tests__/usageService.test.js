@@ -0,0 +1,129 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+jest.mock('../planService', () => ({ getUserPlan: jest.fn() }));
+
+const { getUserPlan } = require('../planService');
+const { consume, release, getUsage } = require('../usageService');
+
+const PLAN = { user_id: 'user-1', plan_id: 'pro', plan_name: 'Pro', sms_limit: 100, minutes_limit: 60, phone_numbers_limit: 3 };
+const SUBSCRIPTION = { id: 'sub-1', stale: false, sms_used: 79, minutes_used: 10, phone_numbers_used: 1, current_period_end: new Date('2024-02-01') };
+
+function writes(client) {
+  return client.query.mock.calls.filter(([sql]) => /^\s*UPDATE/.test(sql));
+}
+
+describe('consume', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    client = { query: jest.fn() };
+  });
+
+  function stored(subscription, { room = true } = {}) {
+    client.query.mockImplementation(async (sql) => {
+      if (/FROM subscriptions/.test(sql)) return { rows: [subscription] };
+      if (/usage_period_start = current_period_start/.test(sql)) {
+        return { rows: subscription.stale ? [{ ...subscription, sms_used: 0, minutes_used: 0 }] : [] };
+      }
+      return { rows: room ? [{ used: 80 }] : [] };
+    });
+  }
+
+  it('checks the limit and counts in one conditional UPDATE', async () => {
+    stored(SUBSCRIPTION);
+
+    const result = await consume(client, PLAN, 'sms');
+
+    const [sql, params] = writes(client)[1];
+    expect(sql).toMatch(/SET sms_used = sms_used \+ \$2\s+WHERE id = \$1 AND sms_used \+ \$2 <= \$3/);
+    expect(params).toEqual(['sub-1', 1, 100]);
+    expect(result).toEqual({ allowed: true, used: 80, limit: 100, warning: true });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/80\/100 sms/));
+  });
+
+  it('refuses without counting when the limit would be passed', async () => {
+    stored({ ...SUBSCRIPTION, sms_used: 100 }, { room: false });
+
+    expect(await consume(client, PLAN, 'sms')).toEqual({ allowed: false, used: 100, limit: 100, warning: true });
+  });
+
+  it('resets the counters first when a new billing period has started', async () => {
+    stored({ ...SUBSCRIPTION, stale: true });
+
+    await consume(client, PLAN, 'minutes', 2);
+
+    const [rollover, count] = writes(client);
+    expect(rollover[0]).toMatch(/SET minutes_used = 0,\s+sms_used = 0/);
+    expect(count[1]).toEqual(['sub-1', 2, 60]);
+  });
+
+  it('counts against the account when there is no subscription', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (/FROM subscriptions/.test(sql)) return { rows: [] };
+      if (/FROM users/.test(sql)) return { rows: [{ id: 'user-1', sms_used: 5 }] };
+      if (/UPDATE users\s+SET minutes_used = 0/.test(sql)) return { rows: [] };
+      return { rows: [{ used: 6 }] };
+    });
+
+    await consume(client, PLAN, 'sms');
+
+    expect(writes(client)[1][0]).toMatch(/UPDATE users/);
+  });
+});
+
+describe('release', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = {
+      query: jest.fn(async (sql) => ({ rows: /FROM subscriptions/.test(sql) ? [SUBSCRIPTION] : [] }))
+    };
+  });
+
+  it('gives usage back without going below zero', async () => {
+    await release(client, 'user-1', 'minutes', 3);
+
+    const [sql, params] = writes(client)[1];
+    expect(sql).toMatch(/SET minutes_used = GREATEST\(minutes_used - \$2, 0\)/);
+    expect(params).toEqual(['sub-1', 3]);
+  });
+});
+
+describe('getUsage', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    getUserPlan.mockResolvedValue(PLAN);
+  });
+
+  it('reads a rolled-over period as fresh counters without writing the rollover', async () => {
+    client = {
+      query: jest.fn(async (sql) => {
+        if (/FROM subscriptions/.test(sql)) return { rows: [{ ...SUBSCRIPTION, stale: true }] };
+        return { rows: [{ count: '2' }] };
+      })
+    };
+
+    const result = await getUsage('user-1', client);
+
+    expect(writes(client)).toHaveLength(0);
+    expect(result.usage.sms).toEqual({ used: 0, limit: 100, remaining: 100, percent: 0, warning: false });
+    expect(result.usage.phone_numbers.used).toBe(2);
+    expect(result.periodEnd).toEqual(SUBSCRIPTION.current_period_end);
+  });
+
+  it('summarizes the current counters against the plan', async () => {
+    client = { query: jest.fn(async () => ({ rows: [SUBSCRIPTION] })) };
+
+    const result = await getUsage('user-1', client);
+
+    expect(result.usage.sms).toEqual({ used: 79, limit: 100, remaining: 21, percent: 79, warning: false });
+    expect(result.usage.minutes.used).toBe(10);
+  });
+});
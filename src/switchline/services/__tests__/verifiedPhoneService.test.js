@@ -0,0 +1,121 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn(), withTransaction: jest.fn() }));
+jest.mock('../twilioClient', () => ({ getTwilioClient: jest.fn() }));
+
+const crypto = require('crypto');
+const db = require('../../../shared/db');
+const { getTwilioClient } = require('../twilioClient');
+const { requestVerification, confirmVerification } = require('../verifiedPhoneService');
+
+const PHONE = '+15550001111';
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+describe('requestVerification', () => {
+  let client;
+  let create;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.TWILIO_PHONE_NUMBER = '+14155550199';
+
+    client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'send-1' }] }) };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+    db.query.mockResolvedValue({ rows: [{ id: 'phone-1', phone_number: PHONE, verified_at: null }] });
+
+    create = jest.fn().mockResolvedValue({ sid: 'SM1' });
+    getTwilioClient.mockReturnValue({ messages: { create } });
+  });
+
+  it('locks the user, then the destination, before counting sends', async () => {
+    await requestVerification('user-1', PHONE);
+
+    const [userLock, phoneLock, insert] = client.query.mock.calls;
+    expect(userLock).toEqual([expect.stringMatching(/pg_advisory_xact_lock\(hashtext\('verification_sends:user:'/), ['user-1']]);
+    expect(phoneLock).toEqual([expect.stringMatching(/pg_advisory_xact_lock\(hashtext\('verification_sends:phone:'/), [PHONE]]);
+    expect(insert[0]).toMatch(/INSERT INTO verification_sends/);
+    expect(insert[1]).toEqual(['user-1', PHONE, 24, 10, 5, 60]);
+  });
+
+  it('texts a six-digit code and stores only its hash', async () => {
+    const result = await requestVerification('user-1', PHONE);
+
+    expect(result).toMatchObject({ success: true, phone: { id: 'phone-1' } });
+
+    const code = /code is (\d{6})\./.exec(create.mock.calls[0][0].body)[1];
+    expect(create.mock.calls[0][0].to).toBe(PHONE);
+    expect(db.query.mock.calls[0][1]).toContain(sha256(code));
+    expect(db.query.mock.calls[0][1]).not.toContain(code);
+  });
+
+  it('refuses without texting once a send limit is reached', async () => {
+    client.query.mockImplementation(async sql => ({ rows: /INSERT/.test(sql) ? [] : [{}] }));
+
+    const result = await requestVerification('user-1', PHONE);
+
+    expect(result).toMatchObject({ success: false, status: 429 });
+    expect(create).not.toHaveBeenCalled();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('confirmVerification', () => {
+  let client;
+
+  function storedPhone(phone) {
+    client.query.mockImplementation(async (sql) => {
+      if (/^SELECT/.test(sql)) return { rows: phone ? [phone] : [] };
+      return { rows: [{ id: 'phone-1', phone_number: PHONE, verified_at: new Date() }] };
+    });
+  }
+
+  const pending = {
+    id: 'phone-1',
+    verification_code_hash: sha256('123456'),
+    verification_expires_at: new Date(Date.now() + 60 * 1000),
+    verification_attempts: 0
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = { query: jest.fn() };
+    db.withTransaction.mockImplementation(async callback => callback(client));
+  });
+
+  it('verifies the phone with the right code', async () => {
+    storedPhone(pending);
+
+    const result = await confirmVerification('user-1', 'phone-1', '123456');
+
+    expect(result).toMatchObject({ success: true, phone: { id: 'phone-1' } });
+    expect(client.query.mock.calls[1][0]).toMatch(/SET verified_at = NOW\(\), verification_code_hash = NULL/);
+  });
+
+  it('counts a wrong code against the phone', async () => {
+    storedPhone(pending);
+
+    const result = await confirmVerification('user-1', 'phone-1', '654321');
+
+    expect(result).toMatchObject({ success: false, status: 400, error: 'Invalid verification code' });
+    expect(client.query.mock.calls[1][0]).toMatch(/verification_attempts = verification_attempts \+ 1/);
+  });
+
+  it('stops checking codes after too many wrong ones, even the right one', async () => {
+    storedPhone({ ...pending, verification_attempts: 5 });
+
+    const result = await confirmVerification('user-1', 'phone-1', '123456');
+
+    expect(result).toMatchObject({ success: false, status: 429 });
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses an expired code', async () => {
+    storedPhone({ ...pending, verification_expires_at: new Date(Date.now() - 1000) });
+
+    const result = await confirmVerification('user-1', 'phone-1', '123456');
+
+    expect(result).toMatchObject({ success: false, status: 400, error: 'Verification code expired. Request a new one.' });
+  });
+});
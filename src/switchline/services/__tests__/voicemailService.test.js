@@ -0,0 +1,113 @@
+jest.mock('../../../shared/db', () => ({ query: jest.fn() }));
+jest.mock('../twilioClient', () => ({ getTwilioClient: jest.fn() }));
+jest.mock('../mediaService', () => ({ storeTwilioMedia: jest.fn(), deleteMedia: jest.fn() }));
+jest.mock('../encryptionService', () => ({
+  ...jest.requireActual('../encryptionService'),
+  getDataKey: jest.fn()
+}));
+
+const crypto = require('crypto');
+const db = require('../../../shared/db');
+const { getTwilioClient } = require('../twilioClient');
+const mediaService = require('../mediaService');
+const encryptionService = require('../encryptionService');
+const { deleteTwilioRecordings, attachRecording, attachTranscription, setHeard } = require('../voicemailService');
+
+const DATA_KEY = { id: '9d1e7f3a-5b2c-4e8d-a6f1-0c3b5d7e9f11', key: crypto.randomBytes(32) };
+const CALL = { id: 'call-1', user_id: 'user-1', phone_number_id: 'number-1', recording_url: null, voicemail_transcription: null };
+
+describe('voicemail recordings', () => {
+  let twilio;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    encryptionService.getDataKey.mockResolvedValue(DATA_KEY);
+    twilio = {
+      recordings: jest.fn(() => ({ remove: jest.fn().mockResolvedValue(true) })),
+      transcriptions: jest.fn(() => ({ remove: jest.fn().mockResolvedValue(true) }))
+    };
+    getTwilioClient.mockReturnValue(twilio);
+  });
+
+  it('keeps our own copy of a new recording and leaves Twilio\'s until the transcription', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [CALL] })
+      .mockResolvedValueOnce({ rows: [{ ...CALL, recording_url: 'user-1/vm.mp3' }] });
+    mediaService.storeTwilioMedia.mockResolvedValue(['user-1/vm.mp3']);
+
+    const result = await attachRecording('CA1', { recordingSid: 'RE1', recordingUrl: 'https://api.twilio.com/RE1', recordingDuration: '42' });
+
+    expect(mediaService.storeTwilioMedia).toHaveBeenCalledWith('user-1', [
+      { url: 'https://api.twilio.com/RE1.mp3', contentType: 'audio/mpeg' }
+    ], DATA_KEY);
+    expect(db.query.mock.calls[1][1]).toEqual(['call-1', 'user-1/vm.mp3', 42, 'RE1']);
+    expect(result).toMatchObject({ isNew: true });
+    expect(twilio.recordings).not.toHaveBeenCalled();
+  });
+
+  it('fails rather than record a recording it could not download', async () => {
+    db.query.mockResolvedValueOnce({ rows: [CALL] });
+    mediaService.storeTwilioMedia.mockResolvedValue([]);
+
+    await expect(attachRecording('CA1', { recordingSid: 'RE1', recordingUrl: 'https://api.twilio.com/RE1' }))
+      .rejects.toThrow('Recording RE1 could not be downloaded');
+
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('replaces the copy from an earlier delivery of the callback', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ ...CALL, recording_url: 'user-1/old.mp3' }] })
+      .mockResolvedValueOnce({ rows: [{ ...CALL, recording_url: 'user-1/new.mp3' }] });
+    mediaService.storeTwilioMedia.mockResolvedValue(['user-1/new.mp3']);
+
+    const result = await attachRecording('CA1', { recordingSid: 'RE1', recordingUrl: 'https://api.twilio.com/RE1' });
+
+    expect(mediaService.deleteMedia).toHaveBeenCalledWith(['user-1/old.mp3']);
+    expect(result.isNew).toBe(false);
+  });
+
+  it('stores the transcription encrypted, then deletes Twilio\'s copies', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [CALL] })
+      .mockResolvedValueOnce({ rows: [{ id: 'call-1' }] })
+      .mockResolvedValueOnce({ rows: [{ twilio_recording_sid: 'RE1' }] })
+      .mockResolvedValue({ rows: [] });
+
+    await attachTranscription('CA1', { transcriptionSid: 'TR1', transcriptionText: 'Call me back about Friday' });
+
+    const stored = db.query.mock.calls[1][1][1];
+    expect(encryptionService.isEncryptedText(stored)).toBe(true);
+    expect(stored).not.toContain('Friday');
+    expect(twilio.transcriptions).toHaveBeenCalledWith('TR1');
+    expect(twilio.recordings).toHaveBeenCalledWith('RE1');
+  });
+
+  it('forgets recordings already gone at Twilio but keeps ones that failed to delete', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+    twilio.recordings.mockImplementation(sid => ({
+      remove: jest.fn().mockRejectedValue(Object.assign(new Error('failed'), { status: sid === 'RE1' ? 404 : 500 }))
+    }));
+
+    await deleteTwilioRecordings(['RE1', 'RE2']);
+
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][1]).toEqual(['RE1']);
+  });
+});
+
+describe('setHeard', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('only touches the user\'s own voicemails', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    expect(await setHeard('user-2', 'call-1', true)).toBeNull();
+    expect(db.query.mock.calls[0][0]).toMatch(/AND user_id = \$2/);
+    expect(db.query.mock.calls[0][1]).toEqual(['call-1', 'user-2', true]);
+  });
+});
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const db = require('../../shared/db');
+const { getUserPlan } = require('./planService');
+
+// What a key may be used for; routes name the scope they need
+const SCOPES = ['messages:read', 'sms:send', 'numbers:manage'];
+
+const KEY_PREFIX = 'sl_';
+// Shown in listings so users can tell their keys apart
+const DISPLAY_PREFIX_LENGTH = 11;
+const MAX_KEYS_PER_USER = 20;
+
+// Columns safe to return to the client (never the hash)
+const KEY_COLUMNS = `
+  id, name, key_prefix, scopes, daily_quota, quota_remaining, quota_resets_at,
+  last_used_at, created_at
+`;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, DISPLAY_PREFIX_LENGTH), hash: hashKey(key) };
+}
+
+// The API is a plan feature (Business). Returns the plan's daily request
+// quota, shared by all of the user's keys, or null when the user's plan has
+// no API access.
+async function planQuota(userId) {
+  const plan = await getUserPlan(userId);
+
+  if (!plan || !plan.features || !plan.features.api_access) {
+    return null;
+  }
+  return parseInt(plan.features.api_daily_quota) || 1000;
+}
+
+async function listKeys(userId) {
+  const result = await db.query(`
+    SELECT ${KEY_COLUMNS} FROM api_keys
+    WHERE user_id = $1 AND revoked_at IS NULL
+    ORDER BY created_at
+  `, [userId]);
+
+  return result.rows;
+}
+
+// Create a key. The plaintext key is returned only here (and on rotate).
+// dailyQuota defaults to, and may not exceed, the plan's quota; requests on
+// all keys together are also held to the plan's quota (see consumeQuota).
+async function createKey(userId, { name, scopes, dailyQuota }) {
+  const quota = await planQuota(userId);
+
+  if (quota === null) {
+    return { success: false, status: 403, error: 'API keys are available on the Business plan' };
+  }
+
+  if (dailyQuota !== undefined && dailyQuota > quota) {
+    return { success: false, status: 400, error: `dailyQuota can't exceed your plan's ${quota} requests per day` };
+  }
+
+  const { key, prefix, hash } = generateKey();
+
+  // The count and insert share a statement so concurrent creates can't pass the cap together
+  const result = await db.query(`
+    INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, daily_quota, quota_remaining)
+    SELECT $1, $2, $3, $4, $5, $6, $6
+    WHERE (SELECT COUNT(*) FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL) < $7
+    RETURNING ${KEY_COLUMNS}
+  `, [userId, name, prefix, hash, scopes, dailyQuota || quota, MAX_KEYS_PER_USER]);
+
+  if (result.rows.length === 0) {
+    return { success: false, status: 409, error: `You can have at most ${MAX_KEYS_PER_USER} API keys` };
+  }
+
+  return { success: true, key, apiKey: result.rows[0] };
+}
+
+// Update a key's name, scopes or quota
+async function updateKey(userId, keyId, { name, scopes, dailyQuota }) {
+  if (dailyQuota !== undefined) {
+    const quota = await planQuota(userId);
+
+    if (quota === null) {
+      return { success: false, status: 403, error: 'API keys are available on the Business plan' };
+    }
+    if (dailyQuota > quota) {
+      return { success: false, status: 400, error: `dailyQuota can't exceed your plan's ${quota} requests per day` };
+    }
+  }
+
+  // A lower quota takes effect straight away; a higher one at the next reset
+  const result = await db.query(`
+    UPDATE api_keys
+    SET name = COALESCE($3, name),
+        scopes = COALESCE($4, scopes),
+        daily_quota = COALESCE($5, daily_quota),
+        quota_remaining = LEAST(quota_remaining, COALESCE($5, daily_quota))
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    RETURNING ${KEY_COLUMNS}
+  `, [keyId, userId, name === undefined ? null : name, scopes || null, dailyQuota || null]);
+
+  if (result.rows.length === 0) {
+    return { success: false, status: 404, error: 'API key not found' };
+  }
+
+  return { success: true, apiKey: result.rows[0] };
+}
+
+// Replace a key's secret, keeping its name, scopes and quota. The old
+// secret stops working immediately.
+async function rotateKey(userId, keyId) {
+  const { key, prefix, hash } = generateKey();
+
+  const result = await db.query(`
+    UPDATE api_keys
+    SET key_prefix = $3, key_hash = $4
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    RETURNING ${KEY_COLUMNS}
+  `, [keyId, userId, prefix, hash]);
+
+  if (result.rows.length === 0) {
+    return { success: false, status: 404, error: 'API key not found' };
+  }
+
+  return { success: true, key, apiKey: result.rows[0] };
+}
+
+async function revokeKey(userId, keyId) {
+  const result = await db.query(`
+    UPDATE api_keys
+    SET revoked_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+  `, [keyId, userId]);
+
+  return result.rowCount > 0;
+}
+
+// The live key (with its owner's email and plan quota) for a presented
+// secret, or null. Keys stop working if the owner is no longer active or
+// loses API access.
+async function findActiveKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+  const result = await db.query(`
+    SELECT k.id, k.user_id, k.scopes, u.email
+    FROM api_keys k
+    JOIN users u ON u.id = k.user_id
+    WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND u.status = 'active'
+  `, [hashKey(key)]);
+
+  const apiKey = result.rows[0];
+  const quota = apiKey ? await planQuota(apiKey.user_id) : null;
+
+  if (quota === null) return null;
+
+  return { ...apiKey, plan_quota: quota };
+}
+
+// Spend one request from the key's daily quota and from the plan's daily
+// quota, which all of the user's keys share. Both start a new day once their
+// reset time has passed. The rows are locked first so concurrent requests
+// can't overspend either. Returns { allowed, limit, remaining, resetAt } for
+// whichever quota is tighter.
+async function consumeQuota(apiKey) {
+  return db.withTransaction(async (client) => {
+    const keyResult = await client.query(`
+      SELECT daily_quota AS quota_limit,
+             CASE WHEN quota_resets_at <= NOW() THEN daily_quota ELSE quota_remaining END AS remaining,
+             quota_resets_at AS resets_at
+      FROM api_keys
+      WHERE id = $1
+      FOR UPDATE
+    `, [apiKey.id]);
+
+    const userResult = await client.query(`
+      SELECT $2::int AS quota_limit,
+             CASE WHEN api_quota_resets_at IS NULL OR api_quota_resets_at <= NOW() THEN $2
+                  ELSE $2 - api_requests_used END AS remaining,
+             api_quota_resets_at AS resets_at
+      FROM users
+      WHERE id = $1
+      FOR UPDATE
+    `, [apiKey.user_id, apiKey.plan_quota]);
+
+    const exhausted = [keyResult.rows[0], userResult.rows[0]].find(quota => quota.remaining <= 0);
+
+    if (exhausted) {
+      return { allowed: false, limit: exhausted.quota_limit, remaining: 0, resetAt: exhausted.resets_at };
+    }
+
+    const keyUpdate = await client.query(`
+      UPDATE api_keys
+      SET quota_remaining = CASE
+            WHEN quota_resets_at <= NOW() THEN daily_quota - 1
+            ELSE quota_remaining - 1
+          END,
+          quota_resets_at = CASE
+            WHEN quota_resets_at <= NOW() THEN date_trunc('day', NOW()) + INTERVAL '1 day'
+            ELSE quota_resets_at
+          END,
+          last_used_at = NOW()
+      WHERE id = $1
+      RETURNING daily_quota AS quota_limit, quota_remaining AS remaining, quota_resets_at AS resets_at
+    `, [apiKey.id]);
+
+    const userUpdate = await client.query(`
+      UPDATE users
+      SET api_requests_used = CASE
+            WHEN api_quota_resets_at IS NULL OR api_quota_resets_at <= NOW() THEN 1
+            ELSE api_requests_used + 1
+          END,
+          api_quota_resets_at = CASE
+            WHEN api_quota_resets_at IS NULL OR api_quota_resets_at <= NOW()
+              THEN date_trunc('day', NOW()) + INTERVAL '1 day'
+            ELSE api_quota_resets_at
+          END
+      WHERE id = $1
+      RETURNING $2::int AS quota_limit, $2::int - api_requests_used AS remaining, api_quota_resets_at AS resets_at
+    `, [apiKey.user_id, apiKey.plan_quota]);
+
+    const tightest = [keyUpdate.rows[0], userUpdate.rows[0]]
+      .sort((a, b) => a.remaining - b.remaining)[0];
+
+    return { allowed: true, limit: tightest.quota_limit, remaining: tightest.remaining, resetAt: tightest.resets_at };
+  });
+}
+
+module.exports = {
+  SCOPES,
+  listKeys,
+  createKey,
+  updateKey,
+  rotateKey,
+  revokeKey,
+  findActiveKey,
+  consumeQuota
+};
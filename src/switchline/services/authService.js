@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('../../shared/db');
+const mailer = require('../../shared/mailer');
+const loginProtection = require('../../shared/loginProtection');
+const templates = require('./emailTemplates');
+
+const BCRYPT_ROUNDS = 12;
+
+// Placeholder password_hash on accounts the Stripe webhook creates at checkout
+const CHECKOUT_PASSWORD_HASH = 'webhook_user';
+
+// How long each kind of emailed link stays valid
+const TOKEN_TTL_HOURS = {
+  verify_email: 24,
+  claim_account: 24
+};
+
+// Where emailed links land, with the token as ?token=
+const TOKEN_PATHS = {
+  verify_email: '/verify-email',
+  claim_account: '/claim-account'
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Password hash plus the salt it was made with (the salt is also inside the hash)
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(BCRYPT_ROUNDS);
+  return { hash: await bcrypt.hash(password, salt), salt };
+}
+
+function isCheckoutAccount(user) {
+  return user.password_hash === CHECKOUT_PASSWORD_HASH;
+}
+
+// A real bcrypt hash nobody knows the password for. Logins with no usable
+// hash are compared against it so they take as long as any other.
+let dummyHash = null;
+
+function getDummyHash() {
+  if (!dummyHash) {
+    dummyHash = bcrypt.hash(crypto.randomBytes(32).toString('hex'), BCRYPT_ROUNDS).catch((error) => {
+      dummyHash = null;
+      throw error;
+    });
+  }
+  return dummyHash;
+}
+
+// User fields safe to return to the client
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    emailVerified: user.email_verified,
+    status: user.status,
+    timezone: user.timezone,
+    twoFactorEnabled: user.two_factor_enabled
+  };
+}
+
+async function findUserByEmail(email) {
+  const result = await db.query(
+    'SELECT * FROM users WHERE LOWER(email) = LOWER($1)',
+    [email]
+  );
+  return result.rows[0] || null;
+}
+
+async function findUserById(userId) {
+  const result = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+// A new single-use link token. Earlier unused tokens for the same purpose stop working.
+async function issueToken(userId, purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.withTransaction(async (client) => {
+    await client.query(
+      'DELETE FROM email_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+      [userId, purpose]
+    );
+    await client.query(`
+      INSERT INTO email_tokens (user_id, purpose, token_hash, expires_at)
+      VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
+    `, [userId, purpose, hashToken(token), TOKEN_TTL_HOURS[purpose]]);
+  });
+
+  return token;
+}
+
+// Mark a token used and return its user id, or null if it is unknown,
+// expired or already used. Runs inside the caller's transaction.
+async function consumeToken(client, token, purpose) {
+  const result = await client.query(`
+    UPDATE email_tokens
+    SET used_at = NOW()
+    WHERE token_hash = $1 AND purpose = $2
+      AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+  `, [hashToken(token), purpose]);
+
+  return result.rows[0] ? result.rows[0].user_id : null;
+}
+
+// The links carry login-equivalent tokens, so they're only logged when a
+// developer asks for it (LOG_EMAIL_LINKS=true), and never in production
+function shouldLogEmailLinks() {
+  return process.env.LOG_EMAIL_LINKS === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+// Email a link for a token. Without SMTP the email is skipped; set
+// LOG_EMAIL_LINKS=true to complete local signups from the log instead.
+async function sendTokenEmail(user, purpose, template) {
+  const token = await issueToken(user.id, purpose);
+  const baseUrl = (process.env.FRONTEND_URL || 'https://switchline.app').replace(/\/+$/, '');
+  const link = `${baseUrl}${TOKEN_PATHS[purpose]}?token=${token}`;
+
+  if (!mailer.isConfigured()) {
+    if (shouldLogEmailLinks()) {
+      console.log(`✉️ SMTP not configured; ${purpose} link for ${user.email}: ${link}`);
+    } else {
+      console.warn(`⚠️ SMTP not configured; ${purpose} email for ${user.email} not sent`);
+    }
+    return false;
+  }
+
+  await mailer.sendMail({
+    to: user.email,
+    ...template({ link, expiresInHours: TOKEN_TTL_HOURS[purpose] })
+  });
+  return true;
+}
+
+function sendVerificationEmail(user) {
+  return sendTokenEmail(user, 'verify_email', templates.verifyEmail);
+}
+
+function sendClaimEmail(user) {
+  return sendTokenEmail(user, 'claim_account', templates.claimAccount);
+}
+
+// Create an account awaiting email verification. An address already used
+// at checkout gets a claim email instead of a second account.
+async function createAccount({ email, password, firstName, lastName, timezone }) {
+  const existing = await findUserByEmail(email);
+
+  if (existing) {
+    if (isCheckoutAccount(existing)) {
+      await sendClaimEmail(existing);
+      return {
+        success: false,
+        status: 409,
+        error: 'This email already has a subscription. Check your inbox for a link to set your password.',
+        claimable: true
+      };
+    }
+
+    return { success: false, status: 409, error: 'Email already registered' };
+  }
+
+  const { hash, salt } = await hashPassword(password);
+
+  const result = await db.query(`
+    INSERT INTO users (email, password_hash, salt, first_name, last_name, timezone, status)
+    VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'UTC'), 'pending_verification')
+    ON CONFLICT (email) DO NOTHING
+    RETURNING *
+  `, [email, hash, salt, firstName || null, lastName || null, timezone || null]);
+
+  // Lost a race with another signup (or checkout) for the same address
+  if (result.rows.length === 0) {
+    return { success: false, status: 409, error: 'Email already registered' };
+  }
+
+  const user = result.rows[0];
+  const verificationSent = await sendVerificationEmail(user);
+
+  return { success: true, user, verificationSent };
+}
+
+function lockedResult(lockedUntil) {
+  return {
+    success: false,
+    status: 429,
+    error: 'Too many failed login attempts. Try again later.',
+    lockedUntil
+  };
+}
+
+// Refuse a login step while the account or IP is locked out
+async function checkLoginAllowed(userId, ip) {
+  const lock = await loginProtection.checkLocked('switchline', { userId, ip });
+  return lock.locked ? lockedResult(lock.lockedUntil) : null;
+}
+
+// Count a wrong password or 2FA code; the result to send back
+async function loginFailed(userId, ip, failure) {
+  const lock = await loginProtection.recordFailure('switchline', { userId, ip });
+  return lock.locked ? lockedResult(lock.lockedUntil) : failure;
+}
+
+// Check credentials. Accounts must have verified their email and not be
+// suspended or banned. Users with 2FA on still need to pass that step.
+// Repeated failures lock the account and the client's IP for a while.
+// Unknown emails and checkout accounts without a password get the same
+// answer, after the same bcrypt work, as a wrong password; checkout
+// customers set theirs through the claim flow.
+async function authenticate(email, password, ip) {
+  const user = await findUserByEmail(email);
+  const refused = await checkLoginAllowed(user ? user.id : null, ip);
+
+  if (refused) return refused;
+
+  const hasPassword = user && !isCheckoutAccount(user);
+  const validPassword = await bcrypt.compare(password, hasPassword ? user.password_hash : await getDummyHash());
+
+  if (!hasPassword || !validPassword) {
+    return loginFailed(user ? user.id : null, ip, { success: false, status: 401, error: 'Invalid email or password' });
+  }
+
+  if (user.status === 'pending_verification') {
+    return {
+      success: false,
+      status: 403,
+      error: 'Please verify your email before logging in',
+      verificationRequired: true
+    };
+  }
+
+  if (user.status !== 'active') {
+    return { success: false, status: 403, error: `Account ${user.status}` };
+  }
+
+  return { success: true, user };
+}
+
+// A completed login (after 2FA, if on) also clears the failure count
+async function recordLogin(userId) {
+  await db.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [userId]);
+  await loginProtection.recordSuccess('switchline', userId);
+}
+
+// Confirm an email address from a verification link
+async function verifyEmail(token) {
+  return db.withTransaction(async (client) => {
+    const userId = await consumeToken(client, token, 'verify_email');
+
+    if (!userId) {
+      return { success: false, status: 400, error: 'Verification link is invalid or has expired' };
+    }
+
+    // Don't reactivate a suspended or banned account
+    const result = await client.query(`
+      UPDATE users
+      SET email_verified = TRUE,
+          status = CASE WHEN status = 'pending_verification' THEN 'active' ELSE status END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [userId]);
+
+    return { success: true, user: result.rows[0] };
+  });
+}
+
+// Send another verification link. Always "succeeds" so the endpoint
+// doesn't reveal which addresses have accounts.
+async function resendVerification(email) {
+  const user = await findUserByEmail(email);
+
+  if (user && !user.email_verified && user.status === 'pending_verification') {
+    await sendVerificationEmail(user);
+  }
+}
+
+// Send a claim link to a checkout-created account; silent otherwise
+async function requestClaim(email) {
+  const user = await findUserByEmail(email);
+
+  if (user && isCheckoutAccount(user)) {
+    await sendClaimEmail(user);
+  }
+}
+
+// Set the first password on a checkout-created account. Following the
+// emailed link also proves the address, so it is marked verified.
+async function claimAccount(token, { password, firstName, lastName }) {
+  const { hash, salt } = await hashPassword(password);
+
+  return db.withTransaction(async (client) => {
+    const userId = await consumeToken(client, token, 'claim_account');
+
+    if (!userId) {
+      return { success: false, status: 400, error: 'Claim link is invalid or has expired' };
+    }
+
+    const result = await client.query(`
+      UPDATE users
+      SET password_hash = $2,
+          salt = $3,
+          first_name = COALESCE($4, first_name),
+          last_name = COALESCE($5, last_name),
+          email_verified = TRUE,
+          password_changed_at = NOW(),
+          last_login_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1 AND password_hash = $6
+      RETURNING *
+    `, [userId, hash, salt, firstName || null, lastName || null, CHECKOUT_PASSWORD_HASH]);
+
+    if (result.rows.length === 0) {
+      return { success: false, status: 409, error: 'Account has already been claimed' };
+    }
+
+    return { success: true, user: result.rows[0] };
+  });
+}
+
+module.exports = {
+  CHECKOUT_PASSWORD_HASH,
+  publicUser,
+  findUserById,
+  createAccount,
+  authenticate,
+  checkLoginAllowed,
+  loginFailed,
+  recordLogin,
+  verifyEmail,
+  resendVerification,
+  requestClaim,
+  claimAccount,
+  shouldLogEmailLinks
+};
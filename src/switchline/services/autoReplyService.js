@@ -0,0 +1,235 @@
+const db = require('../../shared/db');
+const { getUserPlan } = require('./planService');
+const { sendMessage } = require('./messageService');
+
+// Don't auto-reply to the same sender more often than this, so two
+// auto-responders can't keep answering each other
+const REPLY_COOLDOWN_MINUTES = 60;
+
+const RULE_FIELDS = [
+  'name',
+  'reply_body',
+  'keywords',
+  'days_of_week',
+  'start_time',
+  'end_time',
+  'timezone',
+  'first_time_only',
+  'priority',
+  'enabled'
+];
+
+// Auto-replies are a plan feature (Business)
+async function isAvailable(userId) {
+  const plan = await getUserPlan(userId);
+  return Boolean(plan && plan.features && plan.features.auto_reply);
+}
+
+// Local weekday (0 = Sunday) and "HH:MM" for a time zone
+function localTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    day: weekdays.indexOf(part('weekday')),
+    time: `${part('hour')}:${part('minute')}`
+  };
+}
+
+// Windows may wrap midnight (e.g. 18:00-09:00)
+function inSchedule(rule, date) {
+  const { day, time } = localTime(date, rule.timezone);
+
+  if (rule.days_of_week && rule.days_of_week.length > 0 && !rule.days_of_week.includes(day)) {
+    return false;
+  }
+
+  if (!rule.start_time || !rule.end_time) {
+    return true;
+  }
+
+  const start = rule.start_time.slice(0, 5);
+  const end = rule.end_time.slice(0, 5);
+
+  return start <= end
+    ? time >= start && time < end
+    : time >= start || time < end;
+}
+
+// Keywords match whole words, case-insensitively
+function matchesKeywords(rule, body) {
+  if (!rule.keywords || rule.keywords.length === 0) {
+    return true;
+  }
+
+  const words = (body || '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+  return rule.keywords.some(keyword => words.includes(keyword.toLowerCase()));
+}
+
+// True when this message is the first contact from its sender on the number
+async function isFirstContact(message) {
+  const result = await db.query(`
+    SELECT EXISTS (
+      SELECT 1 FROM messages
+      WHERE phone_number_id = $1 AND id != $2
+        AND (from_number = $3 OR to_number = $3)
+      UNION ALL
+      SELECT 1 FROM calls
+      WHERE phone_number_id = $1 AND (from_number = $3 OR to_number = $3)
+    ) AS seen
+  `, [message.phone_number_id, message.id, message.from_number]);
+
+  return !result.rows[0].seen;
+}
+
+async function repliedRecently(message) {
+  const result = await db.query(`
+    SELECT EXISTS (
+      SELECT 1 FROM messages
+      WHERE phone_number_id = $1 AND to_number = $2
+        AND auto_reply_rule_id IS NOT NULL
+        AND sent_at > NOW() - make_interval(mins => $3)
+    ) AS replied
+  `, [message.phone_number_id, message.from_number, REPLY_COOLDOWN_MINUTES]);
+
+  return result.rows[0].replied;
+}
+
+// Pick the first matching rule for an inbound message (highest priority
+// first) and send its reply. body is the message's plaintext.
+// Returns the sent message or null.
+async function handleInboundMessage(number, message, body) {
+  if (!number.auto_reply_enabled || message.quarantined) {
+    return null;
+  }
+
+  const rulesResult = await db.query(`
+    SELECT * FROM auto_reply_rules
+    WHERE phone_number_id = $1 AND enabled = TRUE
+    ORDER BY priority DESC, created_at
+  `, [number.id]);
+
+  if (rulesResult.rows.length === 0) {
+    return null;
+  }
+
+  if (!await isAvailable(number.user_id) || await repliedRecently(message)) {
+    return null;
+  }
+
+  const now = new Date();
+  let firstContact = null;
+
+  for (const rule of rulesResult.rows) {
+    if (!matchesKeywords(rule, body) || !inSchedule(rule, now)) {
+      continue;
+    }
+
+    if (rule.first_time_only) {
+      if (firstContact === null) {
+        firstContact = await isFirstContact(message);
+      }
+      if (!firstContact) continue;
+    }
+
+    const result = await sendMessage(number.user_id, {
+      from: number.phone_number,
+      to: message.from_number,
+      body: rule.reply_body,
+      autoReplyRuleId: rule.id
+    });
+
+    if (!result.success) {
+      console.warn(`⚠️ Auto-reply rule ${rule.id} not sent: ${result.error}`);
+      return null;
+    }
+
+    console.log(`🤖 Auto-reply sent by rule ${rule.id} to ${message.from_number}`);
+    return result.message;
+  }
+
+  return null;
+}
+
+async function listRules(numberId) {
+  const result = await db.query(`
+    SELECT * FROM auto_reply_rules
+    WHERE phone_number_id = $1
+    ORDER BY priority DESC, created_at
+  `, [numberId]);
+
+  return result.rows;
+}
+
+async function createRule(numberId, fields) {
+  const columns = RULE_FIELDS.filter(field => fields[field] !== undefined);
+  const values = columns.map(field => fields[field]);
+
+  const result = await db.query(`
+    INSERT INTO auto_reply_rules (phone_number_id, ${columns.join(', ')})
+    VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+    RETURNING *
+  `, [numberId, ...values]);
+
+  return result.rows[0];
+}
+
+async function updateRule(numberId, ruleId, fields) {
+  const columns = RULE_FIELDS.filter(field => fields[field] !== undefined);
+
+  if (columns.length === 0) {
+    const current = await db.query(
+      'SELECT * FROM auto_reply_rules WHERE id = $1 AND phone_number_id = $2',
+      [ruleId, numberId]
+    );
+    return current.rows[0] || null;
+  }
+
+  const result = await db.query(`
+    UPDATE auto_reply_rules
+    SET ${columns.map((field, i) => `${field} = $${i + 3}`).join(', ')}
+    WHERE id = $1 AND phone_number_id = $2
+    RETURNING *
+  `, [ruleId, numberId, ...columns.map(field => fields[field])]);
+
+  return result.rows[0] || null;
+}
+
+async function deleteRule(numberId, ruleId) {
+  const result = await db.query(
+    'DELETE FROM auto_reply_rules WHERE id = $1 AND phone_number_id = $2',
+    [ruleId, numberId]
+  );
+
+  return result.rowCount > 0;
+}
+
+// The per-number off switch
+async function setEnabled(numberId, enabled) {
+  const result = await db.query(`
+    UPDATE phone_numbers
+    SET auto_reply_enabled = $2
+    WHERE id = $1
+    RETURNING id, auto_reply_enabled
+  `, [numberId, enabled]);
+
+  return result.rows[0];
+}
+
+module.exports = {
+  isAvailable,
+  handleInboundMessage,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  setEnabled
+};
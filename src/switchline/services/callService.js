@@ -0,0 +1,272 @@
+const db = require('../../shared/db');
+const { getTwilioClient, webhookUrl, priceToCents } = require('./twilioClient');
+const { isVerified } = require('./verifiedPhoneService');
+const { getUserPlan } = require('./planService');
+const usageService = require('./usageService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Log an inbound call as soon as Twilio asks us how to handle it.
+// Twilio can retry the voice webhook, so a repeated CallSid is ignored.
+async function recordInboundCall(number, { from, to, twilioSid, spamScore = null }) {
+  const result = await db.query(`
+    INSERT INTO calls (
+      user_id,
+      phone_number_id,
+      from_number,
+      to_number,
+      direction,
+      twilio_sid,
+      status,
+      spam_score,
+      started_at
+    ) VALUES ($1, $2, $3, $4, 'inbound', $5, 'ringing', $6, NOW())
+    ON CONFLICT (twilio_sid) DO NOTHING
+    RETURNING *
+  `, [number.user_id, number.id, from, to, twilioSid, spamScore]);
+
+  return result.rows[0] || null;
+}
+
+// Minutes held against the plan when a bridged call starts. A call's length
+// isn't known until it ends, so the limit is only hard for this first
+// minute: concurrent calls can't all start on the last one, but a call that
+// runs long is counted in full when it ends (see applyCallStatus).
+const RESERVED_CALL_MINUTES = 1;
+
+// Click-to-call: ring the user's real phone first, then bridge to the
+// destination with the burner as caller ID (see /webhook/voice/bridge).
+async function startBridgedCall(userId, { from, to, callMe }) {
+  const numberResult = await db.query(
+    'SELECT * FROM phone_numbers WHERE phone_number = $1 AND user_id = $2',
+    [from, userId]
+  );
+  const number = numberResult.rows[0];
+
+  if (!number) {
+    return { success: false, status: 403, error: 'You can only call from your own numbers' };
+  }
+
+  if (number.status !== 'active') {
+    return { success: false, status: 403, error: `Number is ${number.status}` };
+  }
+
+  const realPhone = callMe || number.forwarding_number;
+
+  if (!realPhone) {
+    return { success: false, status: 400, error: 'Choose a verified phone to call you on (callMe)' };
+  }
+
+  if (!(await isVerified(userId, realPhone))) {
+    return { success: false, status: 400, error: 'The phone to call you on must be verified first' };
+  }
+
+  const call = await db.withTransaction(async (client) => {
+    // Lock the user row so concurrent calls can't overshoot the limit
+    const plan = await getUserPlan(userId, client, true);
+    const usage = plan
+      ? await usageService.consume(client, plan, 'minutes', RESERVED_CALL_MINUTES)
+      : { allowed: false };
+
+    if (!usage.allowed) return null;
+
+    const insertResult = await client.query(`
+      INSERT INTO calls (
+        user_id,
+        phone_number_id,
+        from_number,
+        to_number,
+        direction,
+        status,
+        reserved_minutes,
+        started_at
+      ) VALUES ($1, $2, $3, $4, 'outbound', 'queued', $5, NOW())
+      RETURNING *
+    `, [userId, number.id, number.phone_number, to, RESERVED_CALL_MINUTES]);
+
+    return insertResult.rows[0];
+  });
+
+  if (!call) {
+    return { success: false, status: 403, error: 'Call minutes limit reached for this billing period' };
+  }
+
+  try {
+    const parentCall = await getTwilioClient().calls.create({
+      from: number.phone_number,
+      to: realPhone,
+      url: webhookUrl(`/webhook/voice/bridge?callId=${call.id}`),
+      method: 'POST',
+      statusCallback: webhookUrl('/webhook/voice/status'),
+      statusCallbackEvent: ['answered', 'completed'],
+      statusCallbackMethod: 'POST'
+    });
+
+    const updated = await db.query(
+      'UPDATE calls SET twilio_parent_call_sid = $2 WHERE id = $1 RETURNING *',
+      [call.id, parentCall.sid]
+    );
+
+    return { success: true, call: updated.rows[0] };
+  } catch (error) {
+    await db.withTransaction(async (client) => {
+      await client.query(`
+        UPDATE calls SET status = 'failed', reserved_minutes = 0, ended_at = NOW() WHERE id = $1
+      `, [call.id]);
+      await usageService.release(client, userId, 'minutes', RESERVED_CALL_MINUTES);
+    });
+    throw error;
+  }
+}
+
+// The outbound call a bridge webhook belongs to; both ids must agree
+async function findBridgedCall(callId, parentCallSid) {
+  if (!UUID_REGEX.test(callId || '')) return null;
+
+  const result = await db.query(`
+    SELECT * FROM calls
+    WHERE id = $1 AND twilio_parent_call_sid = $2 AND direction = 'outbound'
+  `, [callId, parentCallSid]);
+
+  return result.rows[0] || null;
+}
+
+// Dial outcomes that aren't call_status values
+const DIAL_STATUS_MAP = {
+  answered: 'completed'
+};
+
+// Record how the bridged leg to the destination ended. Timing and billing
+// come from the parent leg's status callback (see applyCallStatus).
+async function completeBridgedCall(callId, { dialCallSid, dialCallStatus }) {
+  const status = DIAL_STATUS_MAP[dialCallStatus] || dialCallStatus;
+
+  const result = await db.query(`
+    UPDATE calls
+    SET twilio_sid = COALESCE(twilio_sid, $2),
+        status = $3
+    WHERE id = $1
+    RETURNING *
+  `, [callId, dialCallSid || null, status]);
+
+  return result.rows[0] || null;
+}
+
+// Record how the forwarded leg of an inbound call ended
+async function updateDialOutcome(twilioSid, dialCallStatus) {
+  const status = DIAL_STATUS_MAP[dialCallStatus] || dialCallStatus;
+
+  const result = await db.query(`
+    UPDATE calls
+    SET status = $2,
+        answered_at = CASE WHEN $2 = 'completed' THEN COALESCE(answered_at, started_at) ELSE answered_at END
+    WHERE twilio_sid = $1
+    RETURNING *
+  `, [twilioSid, status]);
+
+  return result.rows[0] || null;
+}
+
+// Twilio call states that aren't call_status values
+const CALL_STATUS_MAP = {
+  initiated: 'queued'
+};
+
+// States a status callback may still overwrite. Once a dial outcome such as
+// 'no-answer' is recorded, the parent call "completing" doesn't replace it.
+const OPEN_STATUSES = ['queued', 'ringing', 'in-progress'];
+
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+// Apply a voice status callback. Inbound calls match on twilio_sid; bridged
+// outbound calls report on the parent leg. The first final callback closes
+// the call and counts it towards the number's and the plan's usage, less
+// the minutes reserved when it started.
+async function applyCallStatus({ callSid, callStatus, callDuration }) {
+  const status = CALL_STATUS_MAP[callStatus] || callStatus;
+  const duration = parseInt(callDuration) || 0;
+
+  const call = await db.withTransaction(async (client) => {
+    const result = await client.query(`
+      SELECT * FROM calls
+      WHERE twilio_sid = $1 OR (twilio_parent_call_sid = $1 AND direction = 'outbound')
+      ORDER BY (twilio_sid = $1) DESC NULLS LAST
+      LIMIT 1
+      FOR UPDATE
+    `, [callSid]);
+    const current = result.rows[0];
+
+    if (!current) return null;
+
+    if (!FINAL_CALL_STATUSES.includes(status)) {
+      const updated = await client.query(`
+        UPDATE calls
+        SET status = CASE WHEN status::text = ANY($3) THEN $2::call_status ELSE status END,
+            answered_at = CASE WHEN $2 = 'in-progress' THEN COALESCE(answered_at, NOW()) ELSE answered_at END
+        WHERE id = $1
+        RETURNING *
+      `, [current.id, status, OPEN_STATUSES]);
+
+      return updated.rows[0];
+    }
+
+    const closed = await client.query(`
+      UPDATE calls
+      SET status = CASE WHEN status IS NULL OR status::text = ANY($3) THEN $2::call_status ELSE status END,
+          duration = $4,
+          answered_at = CASE
+            WHEN $4 > 0 THEN COALESCE(answered_at, GREATEST(started_at, NOW() - make_interval(secs => $4)))
+            ELSE answered_at
+          END,
+          ended_at = NOW()
+      WHERE id = $1 AND ended_at IS NULL
+      RETURNING *
+    `, [current.id, status, OPEN_STATUSES, duration]);
+
+    // Already closed by an earlier delivery of this callback
+    if (closed.rows.length === 0) return current;
+
+    await client.query(`
+      UPDATE phone_numbers
+      SET total_calls = total_calls + 1, last_used_at = NOW()
+      WHERE id = $1
+    `, [current.phone_number_id]);
+
+    // Plans bill started minutes
+    const extraMinutes = Math.ceil(duration / 60) - (current.reserved_minutes || 0);
+
+    if (extraMinutes > 0) {
+      await usageService.record(client, current.user_id, 'minutes', extraMinutes);
+    } else if (extraMinutes < 0) {
+      await usageService.release(client, current.user_id, 'minutes', -extraMinutes);
+    }
+
+    return closed.rows[0];
+  });
+
+  // Callbacks don't carry the price; fetch it once the call has ended
+  if (call && call.ended_at && call.price_cents === null) {
+    try {
+      const fetched = await getTwilioClient().calls(callSid).fetch();
+      const priceCents = priceToCents(fetched.price);
+
+      if (priceCents !== null) {
+        await db.query('UPDATE calls SET price_cents = $2 WHERE id = $1', [call.id, priceCents]);
+        call.price_cents = priceCents;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to fetch price for call ${callSid}:`, error);
+    }
+  }
+
+  return call;
+}
+
+module.exports = {
+  recordInboundCall,
+  applyCallStatus,
+  updateDialOutcome,
+  startBridgedCall,
+  findBridgedCall,
+  completeBridgedCall
+};
@@ -0,0 +1,113 @@
+const db = require('../../shared/db');
+
+// The other party of a message, seen from our number
+const PEER_SQL = `CASE WHEN m.direction = 'inbound' THEN m.from_number ELSE m.to_number END`;
+
+// One row per counterpart: the latest message plus total and unread counts.
+// Unread means inbound and newer than the thread's read marker. Quarantined
+// messages stay out of threads until released.
+async function listConversations(numberId, limit = 50) {
+  const result = await db.query(`
+    WITH thread AS (
+      SELECT m.*, ${PEER_SQL} AS peer
+      FROM messages m
+      WHERE m.phone_number_id = $1 AND NOT m.quarantined
+    ),
+    latest AS (
+      SELECT DISTINCT ON (peer) *
+      FROM thread
+      ORDER BY peer, sent_at DESC, id DESC
+    ),
+    counts AS (
+      SELECT
+        t.peer,
+        COUNT(*) AS message_count,
+        COUNT(*) FILTER (
+          WHERE t.direction = 'inbound' AND (r.last_read_at IS NULL OR t.sent_at > r.last_read_at)
+        ) AS unread_count
+      FROM thread t
+      LEFT JOIN conversation_reads r ON r.phone_number_id = $1 AND r.peer_number = t.peer
+      GROUP BY t.peer
+    )
+    SELECT
+      l.peer,
+      l.id AS last_message_id,
+      l.body AS last_message_body,
+      l.direction AS last_message_direction,
+      l.status AS last_message_status,
+      l.num_media AS last_message_num_media,
+      l.sent_at AS last_message_at,
+      c.message_count,
+      c.unread_count
+    FROM latest l
+    JOIN counts c ON c.peer = l.peer
+    ORDER BY l.sent_at DESC
+    LIMIT $2
+  `, [numberId, limit]);
+
+  return result.rows.map(row => ({
+    peer: row.peer,
+    lastMessage: {
+      id: row.last_message_id,
+      body: row.last_message_body,
+      direction: row.last_message_direction,
+      status: row.last_message_status,
+      numMedia: row.last_message_num_media,
+      sentAt: row.last_message_at
+    },
+    messageCount: parseInt(row.message_count),
+    unreadCount: parseInt(row.unread_count)
+  }));
+}
+
+// A page of one thread, newest first. The cursor is the id of the last message
+// of the previous page; (sent_at, id) keeps the order stable on equal timestamps.
+async function getConversationPage(numberId, peer, { before = null, limit = 50 }) {
+  const params = [numberId, peer, limit + 1];
+  let cursorClause = '';
+
+  if (before) {
+    params.push(before);
+    cursorClause = `
+      AND (m.sent_at, m.id) < (
+        SELECT c.sent_at, c.id FROM messages c WHERE c.id = $4 AND c.phone_number_id = $1
+      )`;
+  }
+
+  const result = await db.query(`
+    SELECT m.* FROM messages m
+    WHERE m.phone_number_id = $1
+      AND NOT m.quarantined
+      AND ${PEER_SQL} = $2
+      ${cursorClause}
+    ORDER BY m.sent_at DESC, m.id DESC
+    LIMIT $3
+  `, params);
+
+  const hasMore = result.rows.length > limit;
+  const messages = result.rows.slice(0, limit);
+
+  return {
+    messages,
+    nextCursor: hasMore ? messages[messages.length - 1].id : null
+  };
+}
+
+// Move the thread's read marker forward to now
+async function markConversationRead(numberId, peer) {
+  const result = await db.query(`
+    INSERT INTO conversation_reads (phone_number_id, peer_number, last_read_at)
+    VALUES ($1, $2, NOW())
+    ON CONFLICT (phone_number_id, peer_number)
+    DO UPDATE SET last_read_at = GREATEST(conversation_reads.last_read_at, EXCLUDED.last_read_at)
+    RETURNING last_read_at
+  `, [numberId, peer]);
+
+  return result.rows[0].last_read_at;
+}
+
+module.exports = {
+  listConversations,
+  getConversationPage,
+  markConversationRead
+};
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const db = require('../../shared/db');
+const mailer = require('../../shared/mailer');
+const templates = require('./emailTemplates');
+const { sendMessage } = require('./messageService');
+const { signMediaUrl } = require('./mediaService');
+const { decryptText } = require('./encryptionService');
+const { shouldLogEmailLinks } = require('./authService');
+
+// Links in forwarded emails outlive the app's usual 15 minutes
+const EMAIL_LINK_TTL = 7 * 24 * 60 * 60;
+
+const MAX_REPLY_LENGTH = 1600;
+
+// How long the link confirming a forwarding alias stays valid
+const CONFIRM_TTL_HOURS = 24;
+
+// Where the confirmation link lands, with the token as ?token=
+const CONFIRM_PATH = '/confirm-forwarding-email';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The number with the address its forwards go to: the alias once it has
+// been confirmed, else the account email. forward_to is null while an
+// alias awaits confirmation, which keeps forwarding off.
+async function findForwardingNumber(numberId) {
+  const result = await db.query(`
+    SELECT pn.*,
+      CASE
+        WHEN pn.email_forward_address IS NULL THEN u.email
+        WHEN pn.email_forward_verified_at IS NOT NULL THEN pn.email_forward_address
+      END AS forward_to
+    FROM phone_numbers pn
+    JOIN users u ON u.id = pn.user_id
+    WHERE pn.id = $1
+  `, [numberId]);
+
+  return result.rows[0] || null;
+}
+
+// Reply-To address for a thread, or null when inbound email isn't set up.
+// One random token per number and counterpart, reused across emails.
+async function replyAddress(numberId, peer) {
+  if (!process.env.REPLY_EMAIL_DOMAIN) return null;
+
+  const result = await db.query(`
+    INSERT INTO email_reply_threads (token, phone_number_id, peer_number)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (phone_number_id, peer_number) DO UPDATE SET last_used_at = NOW()
+    RETURNING token
+  `, [crypto.randomBytes(16).toString('hex'), numberId, peer]);
+
+  return `reply+${result.rows[0].token}@${process.env.REPLY_EMAIL_DOMAIN}`;
+}
+
+// Email an inbound message to the number's forwarding address.
+// body is the message's plaintext.
+async function forwardMessage(number, message, body) {
+  if (!number.email_forward_sms || message.quarantined || !mailer.isConfigured()) {
+    return false;
+  }
+
+  const target = await findForwardingNumber(number.id);
+
+  if (!target || !target.forward_to) {
+    return false;
+  }
+
+  const replyTo = await replyAddress(number.id, message.from_number);
+
+  const email = templates.forwardedSms({
+    from: message.from_number,
+    to: number.phone_number,
+    body,
+    receivedAt: message.sent_at,
+    mediaLinks: (message.media_urls || []).map(key => signMediaUrl(key, EMAIL_LINK_TTL)),
+    canReply: Boolean(replyTo)
+  });
+
+  await mailer.sendMail({ to: target.forward_to, replyTo: replyTo || undefined, ...email });
+  return true;
+}
+
+// Email a new voicemail to the number's forwarding address
+async function forwardVoicemail(call) {
+  if (!mailer.isConfigured()) return false;
+
+  const number = await findForwardingNumber(call.phone_number_id);
+
+  if (!number || !number.forward_to || !number.email_forward_voicemail || !call.recording_url) {
+    return false;
+  }
+
+  const email = templates.forwardedVoicemail({
+    from: call.from_number,
+    to: number.phone_number,
+    duration: call.recording_duration,
+    receivedAt: call.started_at,
+    transcription: await decryptText(call.voicemail_transcription),
+    playbackUrl: signMediaUrl(call.recording_url, EMAIL_LINK_TTL)
+  });
+
+  await mailer.sendMail({ to: number.forward_to, ...email });
+  return true;
+}
+
+// "Jane <jane@example.com>" -> "jane@example.com"
+function bareAddress(address) {
+  const match = /<([^>]+)>/.exec(address || '');
+  return (match ? match[1] : address || '').trim().toLowerCase();
+}
+
+// The new text of a reply, without the quoted original or a signature
+function extractReplyText(text) {
+  const lines = [];
+
+  for (const line of (text || '').replace(/\r\n/g, '\n').split('\n')) {
+    if (/^>/.test(line) || /^On .+wrote:\s*$/.test(line) || /^-- ?$/.test(line) ||
+        /^-+\s*Original Message\s*-+$/i.test(line)) {
+      break;
+    }
+    lines.push(line);
+  }
+
+  return lines.join('\n').trim();
+}
+
+// Send an emailed reply as an SMS to the thread's counterpart. Only the
+// address the thread was forwarded to may reply.
+async function handleReply({ recipient, sender, text }) {
+  const tokenMatch = /reply\+([0-9a-f]{32})@/i.exec(recipient || '');
+
+  if (!tokenMatch) {
+    return { success: false, status: 404, error: 'Unknown reply address' };
+  }
+
+  const threadResult = await db.query(
+    'SELECT * FROM email_reply_threads WHERE token = $1',
+    [tokenMatch[1].toLowerCase()]
+  );
+  const thread = threadResult.rows[0];
+  const number = thread ? await findForwardingNumber(thread.phone_number_id) : null;
+
+  if (!number) {
+    return { success: false, status: 404, error: 'Unknown reply address' };
+  }
+
+  if (!number.forward_to || bareAddress(sender) !== bareAddress(number.forward_to)) {
+    return { success: false, status: 403, error: 'Sender is not the forwarding address for this number' };
+  }
+
+  const body = extractReplyText(text);
+
+  if (!body) {
+    return { success: false, status: 400, error: 'Reply has no text' };
+  }
+
+  return sendMessage(number.user_id, {
+    from: number.phone_number,
+    to: thread.peer_number,
+    body: body.slice(0, MAX_REPLY_LENGTH)
+  });
+}
+
+// Email the link that confirms a forwarding alias. Without SMTP the email is
+// skipped; LOG_EMAIL_LINKS=true logs the link instead, as for signups.
+async function sendConfirmation(number, token) {
+  const baseUrl = (process.env.FRONTEND_URL || 'https://switchline.app').replace(/\/+$/, '');
+  const link = `${baseUrl}${CONFIRM_PATH}?token=${token}`;
+
+  if (!mailer.isConfigured()) {
+    if (shouldLogEmailLinks()) {
+      console.log(`✉️ SMTP not configured; forwarding confirmation link for ${number.email_forward_address}: ${link}`);
+    } else {
+      console.warn(`⚠️ SMTP not configured; forwarding confirmation for ${number.email_forward_address} not sent`);
+    }
+    return false;
+  }
+
+  await mailer.sendMail({
+    to: number.email_forward_address,
+    ...templates.confirmForwardingAddress({
+      link,
+      phoneNumber: number.phone_number,
+      expiresInHours: CONFIRM_TTL_HOURS
+    })
+  });
+  return true;
+}
+
+// Save a number's forwarding settings. A new alias gets nothing until its
+// owner follows the emailed link; the account's own verified email needs no
+// link. Saving an unconfirmed alias again sends a fresh link once the last
+// one has expired.
+async function updateSettings(userId, numberId, { sms, voicemail, address }) {
+  const alias = address ? address.trim() : null;
+  let token = null;
+
+  const number = await db.withTransaction(async (client) => {
+    const currentResult = await client.query(`
+      SELECT pn.*, u.email AS account_email, u.email_verified AS account_email_verified
+      FROM phone_numbers pn
+      JOIN users u ON u.id = pn.user_id
+      WHERE pn.id = $1 AND pn.user_id = $2
+      FOR UPDATE OF pn
+    `, [numberId, userId]);
+    const current = currentResult.rows[0];
+
+    if (!current) return null;
+
+    const unchanged = (alias || '').toLowerCase() === (current.email_forward_address || '').toLowerCase();
+    const linkExpired = !current.email_forward_token_expires_at ||
+      new Date(current.email_forward_token_expires_at) <= new Date();
+    let verification = 'keep';
+
+    if (!alias) {
+      verification = 'clear';
+    } else if (current.account_email_verified && alias.toLowerCase() === current.account_email.toLowerCase()) {
+      verification = 'verified';
+    } else if (!unchanged || (!current.email_forward_verified_at && linkExpired)) {
+      verification = 'pending';
+      token = crypto.randomBytes(32).toString('hex');
+    }
+
+    const result = await client.query(`
+      UPDATE phone_numbers
+      SET email_forward_sms = $3,
+          email_forward_voicemail = $4,
+          email_forward_address = $5,
+          email_forward_verified_at = CASE $6
+            WHEN 'keep' THEN email_forward_verified_at
+            WHEN 'verified' THEN COALESCE(email_forward_verified_at, NOW())
+          END,
+          email_forward_token_hash = CASE WHEN $6 = 'keep' THEN email_forward_token_hash ELSE $7 END,
+          email_forward_token_expires_at = CASE $6
+            WHEN 'keep' THEN email_forward_token_expires_at
+            WHEN 'pending' THEN NOW() + make_interval(hours => $8)
+          END
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [numberId, userId, sms, voicemail, alias, verification, token ? hashToken(token) : null, CONFIRM_TTL_HOURS]);
+
+    return result.rows[0];
+  });
+
+  if (!number) {
+    return { success: false, status: 404, error: 'Number not found' };
+  }
+
+  const confirmationSent = token ? await sendConfirmation(number, token) : false;
+
+  return { success: true, number, confirmationSent };
+}
+
+// Follow the link emailed to a forwarding alias; forwarding to it starts now
+async function confirmAddress(token) {
+  const result = await db.query(`
+    UPDATE phone_numbers
+    SET email_forward_verified_at = NOW(),
+        email_forward_token_hash = NULL,
+        email_forward_token_expires_at = NULL
+    WHERE email_forward_token_hash = $1 AND email_forward_token_expires_at > NOW()
+    RETURNING *
+  `, [hashToken(token)]);
+
+  if (result.rows.length === 0) {
+    return { success: false, status: 400, error: 'Confirmation link is invalid or has expired' };
+  }
+
+  return { success: true, number: result.rows[0] };
+}
+
+module.exports = {
+  forwardMessage,
+  forwardVoicemail,
+  handleReply,
+  updateSettings,
+  confirmAddress
+};
@@ -0,0 +1,196 @@
+// HTML and plain-text bodies for the emails Switchline sends
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Shared HTML frame so every email looks the same
+function layout(title, bodyHtml, footerText) {
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:-apple-system,Segoe UI,Roboto,sans-serif;color:#18181b;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <h2 style="margin:0 0 16px;font-size:18px;">${escapeHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="margin:24px 0 0;font-size:12px;color:#71717a;">${escapeHtml(footerText)}</p>
+  </div>
+</body>
+</html>`;
+}
+
+function linkList(links) {
+  if (links.length === 0) return '';
+
+  return `<ul style="padding-left:20px;">${links
+    .map((link, i) => `<li><a href="${escapeHtml(link)}">Attachment ${i + 1}</a></li>`)
+    .join('')}</ul>`;
+}
+
+function buttonLink(url, label) {
+  return `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 16px;background:#18181b;color:#ffffff;border-radius:6px;text-decoration:none;">${escapeHtml(label)}</a></p>`;
+}
+
+// An inbound SMS/MMS; replying to the email texts the sender back
+function forwardedSms({ from, to, body, receivedAt, mediaLinks = [], canReply }) {
+  const footer = canReply
+    ? `Reply to this email to text ${from} from ${to}. Attachment links expire after 7 days.`
+    : 'Attachment links expire after 7 days.';
+
+  const text = [
+    `New message from ${from} to your Switchline number ${to}`,
+    `Received: ${new Date(receivedAt).toUTCString()}`,
+    '',
+    body || '(no text)',
+    ...(mediaLinks.length > 0 ? ['', 'Attachments:', ...mediaLinks] : []),
+    '',
+    '--',
+    footer
+  ].join('\n');
+
+  const html = layout(
+    `New message from ${from}`,
+    `<p style="margin:0 0 8px;font-size:13px;color:#71717a;">To ${escapeHtml(to)} &middot; ${escapeHtml(new Date(receivedAt).toUTCString())}</p>
+    <p style="white-space:pre-wrap;font-size:15px;">${escapeHtml(body || '(no text)')}</p>
+    ${linkList(mediaLinks)}`,
+    footer
+  );
+
+  return { subject: `SMS from ${from}`, text, html };
+}
+
+// A new voicemail with a playback link
+function forwardedVoicemail({ from, to, duration, receivedAt, transcription, playbackUrl }) {
+  const footer = 'The playback link expires after 7 days; the voicemail stays in the app.';
+
+  const text = [
+    `New voicemail from ${from} on your Switchline number ${to}`,
+    `Received: ${new Date(receivedAt).toUTCString()}`,
+    `Length: ${duration || 0} seconds`,
+    '',
+    transcription ? `Transcription: ${transcription}` : 'No transcription yet.',
+    '',
+    `Listen: ${playbackUrl}`,
+    '',
+    '--',
+    footer
+  ].join('\n');
+
+  const html = layout(
+    `New voicemail from ${from}`,
+    `<p style="margin:0 0 8px;font-size:13px;color:#71717a;">To ${escapeHtml(to)} &middot; ${escapeHtml(new Date(receivedAt).toUTCString())} &middot; ${escapeHtml(duration || 0)}s</p>
+    <p style="white-space:pre-wrap;font-size:15px;">${escapeHtml(transcription || 'No transcription yet.')}</p>
+    ${buttonLink(playbackUrl, 'Listen')}`,
+    footer
+  );
+
+  return { subject: `Voicemail from ${from}`, text, html };
+}
+
+// Confirms the address given at signup
+function verifyEmail({ link, expiresInHours }) {
+  const footer = `The link expires after ${expiresInHours} hours. If you didn't sign up for Switchline, ignore this email.`;
+
+  const text = [
+    'Confirm your email address to finish setting up your Switchline account:',
+    '',
+    link,
+    '',
+    '--',
+    footer
+  ].join('\n');
+
+  const html = layout(
+    'Confirm your email',
+    `<p style="font-size:15px;">Confirm your email address to finish setting up your Switchline account.</p>
+    ${buttonLink(link, 'Confirm email')}`,
+    footer
+  );
+
+  return { subject: 'Confirm your Switchline email', text, html };
+}
+
+// Lets someone who subscribed at checkout set a password
+function claimAccount({ link, expiresInHours }) {
+  const footer = `The link expires after ${expiresInHours} hours. If you didn't ask for this, ignore this email.`;
+
+  const text = [
+    'Your Switchline subscription is ready. Set a password to sign in:',
+    '',
+    link,
+    '',
+    '--',
+    footer
+  ].join('\n');
+
+  const html = layout(
+    'Set up your Switchline login',
+    `<p style="font-size:15px;">Your Switchline subscription is ready. Set a password to sign in.</p>
+    ${buttonLink(link, 'Set password')}`,
+    footer
+  );
+
+  return { subject: 'Set your Switchline password', text, html };
+}
+
+// Confirms an address before texts and voicemails are forwarded to it
+function confirmForwardingAddress({ link, phoneNumber, expiresInHours }) {
+  const footer = `The link expires after ${expiresInHours} hours. If you didn't ask for this, ignore this email and nothing will be forwarded.`;
+
+  const text = [
+    `Confirm this address to receive texts and voicemails for the Switchline number ${phoneNumber}:`,
+    '',
+    link,
+    '',
+    '--',
+    footer
+  ].join('\n');
+
+  const html = layout(
+    'Confirm your forwarding address',
+    `<p style="font-size:15px;">Confirm this address to receive texts and voicemails for the Switchline number ${escapeHtml(phoneNumber)}.</p>
+    ${buttonLink(link, 'Confirm address')}`,
+    footer
+  );
+
+  return { subject: `Confirm email forwarding for ${phoneNumber}`, text, html };
+}
+
+// A temporary number is about to be burned
+function expiryWarning({ phoneNumber, expiresAt }) {
+  const when = new Date(expiresAt).toUTCString();
+  const footer = 'Messages, calls and voicemails on the number are deleted when it is burned.';
+
+  const text = [
+    `Your Switchline number ${phoneNumber} expires at ${when} and will be burned.`,
+    '',
+    'Extend it in the app to keep it.',
+    '',
+    '--',
+    footer
+  ].join('\n');
+
+  const html = layout(
+    `${phoneNumber} expires soon`,
+    `<p style="font-size:15px;">Your Switchline number ${escapeHtml(phoneNumber)} expires at ${escapeHtml(when)} and will be burned.</p>
+    <p style="font-size:15px;">Extend it in the app to keep it.</p>`,
+    footer
+  );
+
+  return { subject: `Your Switchline number ${phoneNumber} expires soon`, text, html };
+}
+
+module.exports = {
+  escapeHtml,
+  layout,
+  forwardedSms,
+  forwardedVoicemail,
+  verifyEmail,
+  claimAccount,
+  confirmForwardingAddress,
+  expiryWarning
+};
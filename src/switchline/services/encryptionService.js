@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const db = require('../../shared/db');
+const eventService = require('./eventService');
+
+// Envelope encryption. Each number has its own data key (plus one per user
+// for uploads not yet tied to a number), stored wrapped by the master key
+// from MASTER_ENCRYPTION_KEY. Deleting a data key makes everything encrypted
+// with it unreadable, including copies in backups (crypto-shredding).
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Encrypted text is "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>" (base64 parts)
+const TEXT_PREFIX = 'enc:v1:';
+
+// Encrypted files start with this marker, then the key id (16 bytes), iv and tag
+const FILE_MAGIC = Buffer.from('SLE1');
+
+// Unwrapped keys are cached briefly so every message doesn't hit the database.
+// Least recently used keys are dropped past the size limit.
+const KEY_CACHE_TTL_MS = 5 * 60 * 1000;
+const KEY_CACHE_MAX_ENTRIES = parseInt(process.env.KEY_CACHE_MAX_ENTRIES) || 1000;
+const keyCache = new Map();
+
+// Destroyed key ids are announced here so every instance drops its cached copy
+const KEY_DESTROYED_CHANNEL = 'switchline_keys_destroyed';
+
+let masterKey = null;
+
+// 32-byte master key, base64 or hex. Outside production a key derived from
+// JWT_SECRET keeps development servers working without extra setup.
+function getMasterKey() {
+  if (!masterKey) {
+    const configured = process.env.MASTER_ENCRYPTION_KEY;
+
+    if (configured) {
+      masterKey = /^[0-9a-f]{64}$/i.test(configured)
+        ? Buffer.from(configured, 'hex')
+        : Buffer.from(configured, 'base64');
+
+      if (masterKey.length !== 32) {
+        masterKey = null;
+        throw new Error('MASTER_ENCRYPTION_KEY must be 32 bytes (base64 or hex)');
+      }
+    } else if (process.env.NODE_ENV !== 'production' && process.env.JWT_SECRET) {
+      console.warn('⚠️ MASTER_ENCRYPTION_KEY not set; deriving a development key from JWT_SECRET');
+      masterKey = crypto.createHash('sha256').update(`switchline-master:${process.env.JWT_SECRET}`).digest();
+    } else {
+      throw new Error('MASTER_ENCRYPTION_KEY not configured');
+    }
+  }
+  return masterKey;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function wrapKey(key) {
+  const { iv, tag, ciphertext } = seal(getMasterKey(), key);
+  return [iv, tag, ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+function unwrapKey(wrapped) {
+  const [iv, tag, ciphertext] = wrapped.split(':').map(part => Buffer.from(part, 'base64'));
+  return open(getMasterKey(), { iv, tag, ciphertext });
+}
+
+function cacheKey(id, key) {
+  keyCache.delete(id);
+  keyCache.set(id, { key, expiresAt: Date.now() + KEY_CACHE_TTL_MS });
+
+  if (keyCache.size > KEY_CACHE_MAX_ENTRIES) {
+    keyCache.delete(keyCache.keys().next().value);
+  }
+}
+
+// Load a data key by id; null once it has been destroyed
+async function loadKey(keyId) {
+  const cached = keyCache.get(keyId);
+  keyCache.delete(keyId);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    // Re-insert so the Map stays in least-recently-used order
+    keyCache.set(keyId, cached);
+    return cached.key;
+  }
+
+  const result = await db.query('SELECT wrapped_key FROM data_keys WHERE id = $1', [keyId]);
+
+  if (result.rows.length === 0) return null;
+
+  const key = unwrapKey(result.rows[0].wrapped_key);
+  cacheKey(keyId, key);
+  return key;
+}
+
+// The data key for a number (or the user's own key when numberId is null),
+// created on first use. Returns { id, key }.
+async function getDataKey(userId, numberId = null) {
+  const existing = await db.query(`
+    SELECT id, wrapped_key FROM data_keys
+    WHERE user_id = $1 AND phone_number_id IS NOT DISTINCT FROM $2
+  `, [userId, numberId]);
+
+  if (existing.rows.length > 0) {
+    const { id, wrapped_key: wrapped } = existing.rows[0];
+    const key = await loadKey(id) || unwrapKey(wrapped);
+    return { id, key };
+  }
+
+  const key = crypto.randomBytes(32);
+
+  // Two requests can race to create the key; the loser uses the winner's
+  const inserted = await db.query(`
+    INSERT INTO data_keys (user_id, phone_number_id, wrapped_key)
+    VALUES ($1, $2, $3)
+    ON CONFLICT DO NOTHING
+    RETURNING id
+  `, [userId, numberId, wrapKey(key)]);
+
+  if (inserted.rows.length === 0) {
+    return getDataKey(userId, numberId);
+  }
+
+  cacheKey(inserted.rows[0].id, key);
+  return { id: inserted.rows[0].id, key };
+}
+
+function isEncryptedText(value) {
+  return typeof value === 'string' && value.startsWith(TEXT_PREFIX);
+}
+
+function encryptText(dataKey, plaintext) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const { iv, tag, ciphertext } = seal(dataKey.key, Buffer.from(String(plaintext), 'utf8'));
+  return `${TEXT_PREFIX}${dataKey.id}:${[iv, tag, ciphertext].map(part => part.toString('base64')).join(':')}`;
+}
+
+// Plaintext for a stored value. Values written before encryption pass
+// through; values whose key was destroyed come back as null.
+async function decryptText(value) {
+  if (!isEncryptedText(value)) return value;
+
+  const [keyId, iv, tag, ciphertext] = value.slice(TEXT_PREFIX.length).split(':');
+  const key = await loadKey(keyId);
+
+  if (!key) return null;
+
+  return open(key, {
+    iv: Buffer.from(iv, 'base64'),
+    tag: Buffer.from(tag, 'base64'),
+    ciphertext: Buffer.from(ciphertext, 'base64')
+  }).toString('utf8');
+}
+
+// Copy of a row with the named columns decrypted (for API responses)
+async function decryptFields(row, fields) {
+  if (!row) return row;
+
+  const copy = { ...row };
+  for (const field of fields) {
+    copy[field] = await decryptText(row[field]);
+  }
+  return copy;
+}
+
+function encryptBuffer(dataKey, buffer) {
+  const { iv, tag, ciphertext } = seal(dataKey.key, buffer);
+  const keyId = Buffer.from(dataKey.id.replace(/-/g, ''), 'hex');
+  return Buffer.concat([FILE_MAGIC, keyId, iv, tag, ciphertext]);
+}
+
+// File contents for a stored buffer; null if its key was destroyed
+async function decryptBuffer(buffer) {
+  if (!buffer.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC)) return buffer;
+
+  let offset = FILE_MAGIC.length;
+  const keyHex = buffer.subarray(offset, offset += 16).toString('hex');
+  const keyId = `${keyHex.slice(0, 8)}-${keyHex.slice(8, 12)}-${keyHex.slice(12, 16)}-${keyHex.slice(16, 20)}-${keyHex.slice(20)}`;
+  const iv = buffer.subarray(offset, offset += IV_LENGTH);
+  const tag = buffer.subarray(offset, offset += TAG_LENGTH);
+  const key = await loadKey(keyId);
+
+  if (!key) return null;
+
+  return open(key, { iv, tag, ciphertext: buffer.subarray(offset) });
+}
+
+// Keyed hash of a message body, so identical texts can be matched (spam
+// checks) without storing them in the clear
+function bodyHash(body) {
+  const hashKey = crypto.createHmac('sha256', getMasterKey()).update('body-hash').digest();
+  return crypto.createHmac('sha256', hashKey).update(body).digest('hex');
+}
+
+// Crypto-shred a number's data. Pass a transaction client to tie it to the
+// burn; other instances hear about it when the transaction commits.
+async function destroyNumberKeys(numberId, client = db) {
+  const result = await client.query(`
+    WITH destroyed AS (
+      DELETE FROM data_keys WHERE phone_number_id = $1 RETURNING id
+    )
+    SELECT id, pg_notify($2, id::text) FROM destroyed
+  `, [numberId, KEY_DESTROYED_CHANNEL]);
+  result.rows.forEach(row => keyCache.delete(row.id));
+  return result.rows.length;
+}
+
+// Drop cached keys destroyed on any instance. Until this is running, other
+// instances' burns only take effect here when the cached copy expires.
+async function startKeyCacheInvalidation() {
+  await eventService.listen(
+    KEY_DESTROYED_CHANNEL,
+    keyId => keyCache.delete(keyId),
+    () => keyCache.clear()
+  );
+}
+
+module.exports = {
+  getDataKey,
+  isEncryptedText,
+  encryptText,
+  decryptText,
+  decryptFields,
+  encryptBuffer,
+  decryptBuffer,
+  bodyHash,
+  destroyNumberKeys,
+  startKeyCacheInvalidation
+};
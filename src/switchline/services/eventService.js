@@ -0,0 +1,209 @@
+const db = require('../../shared/db');
+
+// Events are stored so clients can resume after a disconnect, and announced
+// with NOTIFY so every server instance can push them to its own streams
+const CHANNEL = 'switchline_events';
+
+// How long events stay available for resuming
+const EVENT_TTL_HOURS = 24;
+
+// Most events replayed to a client in one go
+const MAX_REPLAY = 500;
+
+const LISTENER_RETRY_MS = 5000;
+
+// userId -> Set of open streams on this instance
+const subscribers = new Map();
+// Other channels sharing the listener connection: channel -> { handler, resync }
+const channels = new Map();
+let listener = null;
+let listenerStarting = null;
+
+// Store an event for a user and wake up their streams on every instance.
+// Best effort: a failed publish is logged, never thrown into a webhook.
+async function publish(userId, type, data) {
+  try {
+    await db.query(`
+      WITH event AS (
+        INSERT INTO events (user_id, type, data)
+        VALUES ($1, $2, $3)
+        RETURNING id, user_id
+      )
+      SELECT pg_notify($4, json_build_object('id', id, 'userId', user_id)::text)
+      FROM event
+    `, [userId, type, data, CHANNEL]);
+  } catch (error) {
+    console.error(`❌ Failed to publish ${type} event for user ${userId}:`, error);
+  }
+}
+
+async function eventsSince(userId, lastEventId) {
+  const result = await db.query(`
+    SELECT id, type, data, created_at
+    FROM events
+    WHERE user_id = $1 AND id > $2
+      AND created_at > NOW() - make_interval(hours => $3)
+    ORDER BY id
+    LIMIT $4
+  `, [userId, lastEventId, EVENT_TTL_HOURS, MAX_REPLAY]);
+
+  return result.rows;
+}
+
+async function latestEventId(userId) {
+  const result = await db.query(
+    'SELECT COALESCE(MAX(id), 0) AS id FROM events WHERE user_id = $1',
+    [userId]
+  );
+
+  return result.rows[0].id;
+}
+
+// Send a stream everything after its last delivered event. Wake-ups that
+// arrive mid-flush are folded into one more pass so order is kept.
+async function flush(subscriber) {
+  if (subscriber.flushing) {
+    subscriber.pending = true;
+    return;
+  }
+
+  subscriber.flushing = true;
+
+  try {
+    do {
+      subscriber.pending = false;
+      const events = await eventsSince(subscriber.userId, subscriber.lastEventId);
+
+      for (const event of events) {
+        if (subscriber.closed) return;
+        await subscriber.send(event);
+        subscriber.lastEventId = event.id;
+      }
+
+      if (events.length === MAX_REPLAY) subscriber.pending = true;
+    } while (subscriber.pending && !subscriber.closed);
+  } catch (error) {
+    console.error(`❌ Failed to deliver events to user ${subscriber.userId}:`, error);
+  } finally {
+    subscriber.flushing = false;
+  }
+}
+
+function flushAll() {
+  for (const streams of subscribers.values()) {
+    streams.forEach(flush);
+  }
+}
+
+// One dedicated connection per instance LISTENs for new events. If it drops,
+// it reconnects and catches every open stream up from the table.
+async function startListener() {
+  const client = await db.pool.connect();
+
+  client.on('notification', (message) => {
+    if (message.channel !== CHANNEL) {
+      const registered = channels.get(message.channel);
+      if (registered) registered.handler(message.payload);
+      return;
+    }
+
+    try {
+      const { userId } = JSON.parse(message.payload);
+      (subscribers.get(userId) || []).forEach(flush);
+    } catch (error) {
+      console.error('❌ Bad event notification:', error);
+    }
+  });
+
+  client.on('error', (error) => {
+    console.error('❌ Event listener connection lost:', error);
+    listener = null;
+    client.release(error);
+
+    // Notifications sent while disconnected are lost; catch up from scratch
+    setTimeout(() => {
+      ensureListener().then(() => {
+        flushAll();
+        channels.forEach(({ resync }) => resync());
+      }).catch(retryError => {
+        console.error('❌ Event listener reconnect failed:', retryError);
+      });
+    }, LISTENER_RETRY_MS);
+  });
+
+  await client.query(`LISTEN ${CHANNEL}`);
+  for (const channel of channels.keys()) {
+    await client.query(`LISTEN ${channel}`);
+  }
+  listener = client;
+}
+
+async function ensureListener() {
+  if (listener) return;
+
+  if (!listenerStarting) {
+    listenerStarting = startListener().finally(() => {
+      listenerStarting = null;
+    });
+  }
+
+  await listenerStarting;
+}
+
+// Open a stream for a user. send(event) (which may be async) is called for each event in order,
+// starting after lastEventId (or from now). Returns an unsubscribe function.
+async function subscribe(userId, lastEventId, send) {
+  await ensureListener();
+
+  const subscriber = {
+    userId,
+    send,
+    lastEventId: lastEventId !== null ? lastEventId : await latestEventId(userId),
+    flushing: false,
+    pending: false,
+    closed: false
+  };
+
+  if (!subscribers.has(userId)) {
+    subscribers.set(userId, new Set());
+  }
+  subscribers.get(userId).add(subscriber);
+
+  // Replay anything missed since lastEventId
+  flush(subscriber);
+
+  return () => {
+    subscriber.closed = true;
+    const streams = subscribers.get(userId);
+    if (streams) {
+      streams.delete(subscriber);
+      if (streams.size === 0) subscribers.delete(userId);
+    }
+  };
+}
+
+// Call handler(payload) for every NOTIFY on channel, from any instance, over
+// the same connection as the event streams. resync() runs after a reconnect,
+// since anything sent while it was down was missed.
+async function listen(channel, handler, resync) {
+  channels.set(channel, { handler, resync });
+  await ensureListener();
+  await listener.query(`LISTEN ${channel}`);
+}
+
+// Drop events too old to resume from
+async function pruneEvents() {
+  const result = await db.query(
+    'DELETE FROM events WHERE created_at < NOW() - make_interval(hours => $1)',
+    [EVENT_TTL_HOURS]
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  listen,
+  pruneEvents
+};
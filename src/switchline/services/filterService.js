@@ -0,0 +1,173 @@
+const db = require('../../shared/db');
+const { bodyHash } = require('./encryptionService');
+
+const FILTER_MODES = ['open', 'contacts_only'];
+const BLOCKED_SMS_ACTIONS = ['drop', 'quarantine'];
+
+// Score at which a sender is treated as likely spam
+const SPAM_THRESHOLD = 50;
+
+// The filter entry that applies to a sender. Patterns are exact E.164 numbers
+// or prefixes ending in "*"; an allow entry beats a block entry.
+async function findMatchingFilter(numberId, sender) {
+  const result = await db.query(`
+    SELECT * FROM number_filters
+    WHERE phone_number_id = $1
+      AND (pattern = $2 OR (pattern LIKE '%*' AND $2 LIKE replace(pattern, '*', '%')))
+    ORDER BY (filter_type = 'allow') DESC, length(pattern) DESC
+    LIMIT 1
+  `, [numberId, sender]);
+
+  return result.rows[0] || null;
+}
+
+// 0-100 likelihood that a sender is spamming, from recent traffic:
+// - velocity: messages and calls to this number in the last 10 minutes
+// - spread: other numbers of ours the sender contacted in the last 24 hours
+// - repetition: the same text sent to several numbers in the last 24 hours
+//   (compared by body_hash; bodies are encrypted)
+// People the owner has messaged or called score 0.
+async function spamScore(number, sender, body = null) {
+  const result = await db.query(`
+    SELECT
+      EXISTS (
+        SELECT 1 FROM messages WHERE phone_number_id = $2 AND direction = 'outbound' AND to_number = $1
+        UNION ALL
+        SELECT 1 FROM calls WHERE phone_number_id = $2 AND direction = 'outbound' AND to_number = $1
+      ) AS known_contact,
+      (SELECT COUNT(*) FROM messages
+       WHERE from_number = $1 AND phone_number_id = $2 AND sent_at > NOW() - INTERVAL '10 minutes')
+      + (SELECT COUNT(*) FROM calls
+         WHERE from_number = $1 AND phone_number_id = $2 AND started_at > NOW() - INTERVAL '10 minutes')
+        AS recent_contacts,
+      (SELECT COUNT(DISTINCT phone_number_id) FROM (
+         SELECT phone_number_id FROM messages
+         WHERE from_number = $1 AND direction = 'inbound' AND sent_at > NOW() - INTERVAL '24 hours'
+         UNION
+         SELECT phone_number_id FROM calls
+         WHERE from_number = $1 AND direction = 'inbound' AND started_at > NOW() - INTERVAL '24 hours'
+       ) contacted WHERE phone_number_id != $2) AS other_numbers,
+      (SELECT COUNT(DISTINCT phone_number_id) FROM messages
+       WHERE $3::text IS NOT NULL
+         AND body_hash = $3::text AND direction = 'inbound' AND sent_at > NOW() - INTERVAL '24 hours'
+         AND phone_number_id != $2) AS same_body_numbers
+  `, [sender, number.id, body && body.length >= 20 ? bodyHash(body) : null]);
+
+  const stats = result.rows[0];
+
+  if (stats.known_contact) return 0;
+
+  const score =
+    Math.min(parseInt(stats.recent_contacts), 5) * 10 +
+    parseInt(stats.other_numbers) * 15 +
+    parseInt(stats.same_body_numbers) * 20;
+
+  return Math.min(score, 100);
+}
+
+// Decide what to do with an inbound message or call from sender.
+// Returns { action: 'allow' | 'block' | 'spam', reason, spamScore }.
+async function evaluateSender(number, sender, body = null) {
+  const filter = await findMatchingFilter(number.id, sender);
+
+  if (filter && filter.filter_type === 'allow') {
+    return { action: 'allow', reason: 'allowlist', spamScore: 0 };
+  }
+
+  if (filter && filter.filter_type === 'block') {
+    return { action: 'block', reason: 'blocklist', spamScore: null };
+  }
+
+  if (number.filter_mode === 'contacts_only') {
+    return { action: 'block', reason: 'contacts_only', spamScore: null };
+  }
+
+  const score = await spamScore(number, sender, body);
+
+  if (score >= SPAM_THRESHOLD) {
+    return { action: 'spam', reason: 'reputation', spamScore: score };
+  }
+
+  return { action: 'allow', reason: null, spamScore: score };
+}
+
+async function listFilters(numberId) {
+  const result = await db.query(`
+    SELECT id, pattern, filter_type, label, created_at
+    FROM number_filters
+    WHERE phone_number_id = $1
+    ORDER BY filter_type, pattern
+  `, [numberId]);
+
+  return result.rows;
+}
+
+// Add an entry, or change the type/label of an existing one for the same pattern
+async function upsertFilter(numberId, { pattern, filterType, label }) {
+  const result = await db.query(`
+    INSERT INTO number_filters (phone_number_id, pattern, filter_type, label)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (phone_number_id, pattern)
+    DO UPDATE SET filter_type = EXCLUDED.filter_type, label = EXCLUDED.label
+    RETURNING id, pattern, filter_type, label, created_at
+  `, [numberId, pattern, filterType, label || null]);
+
+  return result.rows[0];
+}
+
+async function removeFilter(numberId, filterId) {
+  const result = await db.query(
+    'DELETE FROM number_filters WHERE id = $1 AND phone_number_id = $2',
+    [filterId, numberId]
+  );
+
+  return result.rowCount > 0;
+}
+
+async function updateSettings(numberId, { mode, blockedSmsAction }) {
+  const result = await db.query(`
+    UPDATE phone_numbers
+    SET filter_mode = COALESCE($2, filter_mode),
+        blocked_sms_action = COALESCE($3, blocked_sms_action)
+    WHERE id = $1
+    RETURNING id, filter_mode, blocked_sms_action
+  `, [numberId, mode || null, blockedSmsAction || null]);
+
+  return result.rows[0];
+}
+
+async function listQuarantine(numberId, limit = 50) {
+  const result = await db.query(`
+    SELECT * FROM messages
+    WHERE phone_number_id = $1 AND quarantined = TRUE
+    ORDER BY sent_at DESC
+    LIMIT $2
+  `, [numberId, limit]);
+
+  return result.rows;
+}
+
+// Move a quarantined message into the normal inbox
+async function releaseMessage(numberId, messageId) {
+  const result = await db.query(`
+    UPDATE messages
+    SET quarantined = FALSE
+    WHERE id = $1 AND phone_number_id = $2 AND quarantined = TRUE
+    RETURNING *
+  `, [messageId, numberId]);
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  FILTER_MODES,
+  BLOCKED_SMS_ACTIONS,
+  SPAM_THRESHOLD,
+  evaluateSender,
+  listFilters,
+  upsertFilter,
+  removeFilter,
+  updateSettings,
+  listQuarantine,
+  releaseMessage
+};
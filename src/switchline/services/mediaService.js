@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { encryptBuffer, decryptBuffer } = require('./encryptionService');
+
+const MEDIA_ROOT = path.resolve(process.env.UPLOAD_PATH || path.join(__dirname, '../../../uploads'));
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+// Content types we accept, mapped to the extension files are stored with.
+// Matches what Twilio can deliver as MMS.
+const ALLOWED_CONTENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/amr': 'amr',
+  'audio/wav': 'wav',
+  'text/vcard': 'vcf',
+  'application/pdf': 'pdf'
+};
+
+const CONTENT_TYPES_BY_EXTENSION = Object.fromEntries(
+  Object.entries(ALLOWED_CONTENT_TYPES).map(([type, ext]) => [ext, type])
+);
+
+// Keys are "<userId>/<uuid>.<ext>" - the owner is part of the key
+const KEY_REGEX = /^[0-9a-f-]{36}\/[0-9a-f-]{36}\.[a-z0-9]{2,4}$/;
+
+function normalizeContentType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function isAllowedContentType(contentType) {
+  return Boolean(ALLOWED_CONTENT_TYPES[normalizeContentType(contentType)]);
+}
+
+function isValidKey(key) {
+  return typeof key === 'string' && KEY_REGEX.test(key);
+}
+
+function isOwnedBy(key, userId) {
+  return isValidKey(key) && key.startsWith(`${userId}/`);
+}
+
+function mediaPath(key) {
+  return path.join(MEDIA_ROOT, key);
+}
+
+function contentTypeForKey(key) {
+  return CONTENT_TYPES_BY_EXTENSION[path.extname(key).slice(1)] || 'application/octet-stream';
+}
+
+// Encrypt and write a file for a user and return its storage key.
+// dataKey comes from encryptionService.getDataKey.
+async function saveMedia(userId, buffer, contentType, dataKey) {
+  const type = normalizeContentType(contentType);
+
+  if (!ALLOWED_CONTENT_TYPES[type]) {
+    throw new Error(`Unsupported media type: ${type}`);
+  }
+
+  if (buffer.length === 0 || buffer.length > MAX_FILE_SIZE) {
+    throw new Error(`Media size ${buffer.length} outside allowed range`);
+  }
+
+  const key = `${userId}/${crypto.randomUUID()}.${ALLOWED_CONTENT_TYPES[type]}`;
+
+  await fs.mkdir(path.dirname(mediaPath(key)), { recursive: true });
+  await fs.writeFile(mediaPath(key), encryptBuffer(dataKey, buffer), { mode: 0o600 });
+
+  return key;
+}
+
+// Decrypted contents of a stored file; null if missing or its key was destroyed
+async function readMedia(key) {
+  if (!isValidKey(key)) return null;
+
+  try {
+    return await decryptBuffer(await fs.readFile(mediaPath(key)));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Fetch a Twilio media URL, or null if it is larger than MAX_FILE_SIZE.
+// The size is checked against Content-Length and again while reading, so an
+// oversized file is never held in memory.
+async function downloadTwilioMedia(url) {
+  const auth = Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+  const controller = new AbortController();
+  const response = await fetch(url, {
+    headers: { Authorization: `Basic ${auth}` },
+    signal: controller.signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Media download failed with status ${response.status}`);
+  }
+
+  if (parseInt(response.headers.get('content-length')) > MAX_FILE_SIZE) {
+    controller.abort();
+    return null;
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response.body) {
+    size += chunk.length;
+
+    // Leaving the loop cancels the rest of the download
+    if (size > MAX_FILE_SIZE) {
+      return null;
+    }
+
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+// Download inbound MMS media from Twilio into local storage. Attachments
+// that are unsupported, oversized or fail to download are skipped (and
+// logged) rather than failing the whole message.
+async function storeTwilioMedia(userId, media, dataKey) {
+  const keys = [];
+
+  for (const item of media) {
+    if (!isAllowedContentType(item.contentType)) {
+      console.warn(`⚠️ Skipping inbound media with type ${item.contentType}`);
+      continue;
+    }
+
+    try {
+      const buffer = await downloadTwilioMedia(item.url);
+
+      if (!buffer) {
+        console.warn(`⚠️ Skipping inbound media over ${MAX_FILE_SIZE} bytes: ${item.url}`);
+        continue;
+      }
+
+      keys.push(await saveMedia(userId, buffer, item.contentType, dataKey));
+    } catch (error) {
+      console.error(`❌ Skipping inbound media ${item.url}:`, error);
+    }
+  }
+
+  return keys;
+}
+
+// Remove stored files; missing files are fine
+async function deleteMedia(keys) {
+  for (const key of keys || []) {
+    if (!isValidKey(key)) continue;
+
+    try {
+      await fs.unlink(mediaPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Failed to delete media ${key}:`, error);
+      }
+    }
+  }
+}
+
+function mediaSecret() {
+  return process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+}
+
+function signature(key, expires) {
+  return crypto.createHmac('sha256', mediaSecret()).update(`${key}:${expires}`).digest('hex');
+}
+
+// Time-limited URL for a stored file; anyone holding it can fetch until it expires
+function signMediaUrl(key, ttlSeconds = 15 * 60) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const baseUrl = (process.env.BASE_URL || 'https://switchline.app').replace(/\/+$/, '');
+
+  return `${baseUrl}/api/media/files/${key}?expires=${expires}&signature=${signature(key, expires)}`;
+}
+
+function verifyMediaSignature(key, expires, providedSignature) {
+  const expiresAt = parseInt(expires);
+
+  if (!isValidKey(key) || !expiresAt || expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(signature(key, expiresAt));
+  const provided = Buffer.from(String(providedSignature || ''));
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  ALLOWED_CONTENT_TYPES,
+  isAllowedContentType,
+  isValidKey,
+  isOwnedBy,
+  mediaPath,
+  contentTypeForKey,
+  saveMedia,
+  readMedia,
+  storeTwilioMedia,
+  deleteMedia,
+  signMediaUrl,
+  verifyMediaSignature
+};
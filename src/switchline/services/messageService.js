@@ -0,0 +1,332 @@
+const db = require('../../shared/db');
+const { getTwilioClient, webhookUrl, priceToCents } = require('./twilioClient');
+const { getUserPlan } = require('./planService');
+const usageService = require('./usageService');
+const { signMediaUrl } = require('./mediaService');
+const { getDataKey, encryptText, bodyHash } = require('./encryptionService');
+
+// Pull the MediaUrlN parameters out of a Twilio messaging webhook
+function parseTwilioMedia(params) {
+  const numMedia = parseInt(params.NumMedia) || 0;
+  const media = [];
+
+  for (let i = 0; i < numMedia; i++) {
+    if (params[`MediaUrl${i}`]) {
+      media.push({
+        url: params[`MediaUrl${i}`],
+        contentType: params[`MediaContentType${i}`] || null
+      });
+    }
+  }
+
+  return media;
+}
+
+// Store an inbound message and bump the number's usage counters. The body
+// and any one-time code are encrypted with the number's data key.
+// Twilio retries webhooks, so a repeated MessageSid is ignored.
+// otp is { code, service, expiresAt } when a one-time code was detected.
+// dataKey is the number's key, if the caller already has it.
+async function recordInboundMessage(number, { from, to, body, twilioSid, accountSid, mediaUrls, quarantined = false, spamScore = null, otp = null, dataKey = null }) {
+  dataKey = dataKey || await getDataKey(number.user_id, number.id);
+
+  return db.withTransaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO messages (
+        user_id,
+        phone_number_id,
+        from_number,
+        to_number,
+        body,
+        direction,
+        message_type,
+        twilio_sid,
+        twilio_account_sid,
+        status,
+        media_urls,
+        num_media,
+        quarantined,
+        spam_score,
+        otp_code,
+        otp_service,
+        otp_expires_at,
+        body_hash,
+        sent_at
+      ) VALUES ($1, $2, $3, $4, $5, 'inbound', $6, $7, $8, 'received', $9, $10, $11, $12, $13, $14, $15, $16, NOW())
+      ON CONFLICT (twilio_sid) DO NOTHING
+      RETURNING *
+    `, [
+      number.user_id,
+      number.id,
+      from,
+      to,
+      encryptText(dataKey, body),
+      mediaUrls.length > 0 ? 'mms' : 'sms',
+      twilioSid,
+      accountSid,
+      mediaUrls.length > 0 ? mediaUrls : null,
+      mediaUrls.length,
+      quarantined,
+      spamScore,
+      otp ? encryptText(dataKey, otp.code) : null,
+      otp ? otp.service : null,
+      otp ? otp.expiresAt : null,
+      body ? bodyHash(body) : null
+    ]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await client.query(`
+      UPDATE phone_numbers
+      SET total_messages = total_messages + 1, last_used_at = NOW()
+      WHERE id = $1
+    `, [number.id]);
+
+    return result.rows[0];
+  });
+}
+
+// Whether an inbound message with this SID is already stored
+async function inboundExists(twilioSid) {
+  const result = await db.query('SELECT 1 FROM messages WHERE twilio_sid = $1', [twilioSid]);
+  return result.rows.length > 0;
+}
+
+// How long Twilio has to fetch outbound attachments
+const OUTBOUND_MEDIA_URL_TTL = 60 * 60;
+
+// Send an SMS (or MMS with stored media keys) from one of the user's own
+// active numbers, within the plan's SMS limit. autoReplyRuleId marks
+// messages sent by an auto-reply rule.
+//
+// The message is stored as queued (and counted) before Twilio is called, so
+// no transaction is held open across the request and a sent message always
+// has a row. A send Twilio refuses marks the row failed, gives back the
+// count and rethrows.
+async function sendMessage(userId, { from, to, body, mediaKeys = [], autoReplyRuleId = null }) {
+  const queued = await db.withTransaction(async (client) => {
+    // Lock the user row so concurrent sends can't overshoot the limit
+    const plan = await getUserPlan(userId, client, true);
+
+    if (!plan) {
+      return { success: false, status: 404, error: 'User not found' };
+    }
+
+    const numberResult = await client.query(
+      'SELECT * FROM phone_numbers WHERE phone_number = $1 AND user_id = $2',
+      [from, userId]
+    );
+    const number = numberResult.rows[0];
+
+    if (!number) {
+      return { success: false, status: 403, error: 'You can only send from your own numbers' };
+    }
+
+    if (number.status !== 'active') {
+      return { success: false, status: 403, error: `Number is ${number.status}` };
+    }
+
+    const usage = await usageService.consume(client, plan, 'sms');
+
+    if (!usage.allowed) {
+      return {
+        success: false,
+        status: 403,
+        error: `SMS limit reached (${plan.sms_limit}) for this billing period`
+      };
+    }
+
+    const dataKey = await getDataKey(userId, number.id);
+
+    const insertResult = await client.query(`
+      INSERT INTO messages (
+        user_id,
+        phone_number_id,
+        from_number,
+        to_number,
+        body,
+        direction,
+        message_type,
+        status,
+        media_urls,
+        num_media,
+        auto_reply_rule_id,
+        sent_at
+      ) VALUES ($1, $2, $3, $4, $5, 'outbound', $6, 'queued', $7, $8, $9, NOW())
+      RETURNING id
+    `, [
+      userId,
+      number.id,
+      from,
+      to,
+      body ? encryptText(dataKey, body) : null,
+      mediaKeys.length > 0 ? 'mms' : 'sms',
+      mediaKeys.length > 0 ? mediaKeys : null,
+      mediaKeys.length,
+      autoReplyRuleId
+    ]);
+
+    await client.query(`
+      UPDATE phone_numbers
+      SET total_messages = total_messages + 1, last_used_at = NOW()
+      WHERE id = $1
+    `, [number.id]);
+
+    return { success: true, messageId: insertResult.rows[0].id, usage };
+  });
+
+  if (!queued.success) return queued;
+
+  const { messageId, usage } = queued;
+  let sent;
+
+  try {
+    sent = await getTwilioClient().messages.create({
+      from,
+      to,
+      body: body || undefined,
+      mediaUrl: mediaKeys.length > 0 ? mediaKeys.map(key => signMediaUrl(key, OUTBOUND_MEDIA_URL_TTL)) : undefined,
+      // The row has no SID until create() returns; the id finds it before that
+      statusCallback: webhookUrl(`/webhook/sms/status?messageId=${messageId}`)
+    });
+  } catch (error) {
+    await db.withTransaction(async (client) => {
+      await client.query(`
+        UPDATE messages
+        SET status = 'failed', error_code = $2, error_message = $3
+        WHERE id = $1
+      `, [messageId, Number.isInteger(error.code) ? error.code : null, error.message]);
+
+      await usageService.release(client, userId, 'sms');
+    });
+    throw error;
+  }
+
+  // A status callback may already have moved the message on; keep its state
+  const updated = await db.query(`
+    UPDATE messages
+    SET twilio_sid = $2,
+        twilio_account_sid = $3,
+        status = CASE WHEN status = 'queued' THEN $4 ELSE status END,
+        error_code = COALESCE(error_code, $5),
+        error_message = COALESCE(error_message, $6),
+        price_cents = COALESCE(price_cents, $7)
+    WHERE id = $1
+    RETURNING *
+  `, [
+    messageId,
+    sent.sid,
+    sent.accountSid,
+    sent.status,
+    sent.errorCode,
+    sent.errorMessage,
+    priceToCents(sent.price)
+  ]);
+
+  return {
+    success: true,
+    message: updated.rows[0],
+    smsUsed: usage.used,
+    smsLimit: usage.limit,
+    usageWarning: usage.warning
+  };
+}
+
+// Delivery states in the order Twilio moves through them. Callbacks can arrive
+// out of order, so a message never moves back to an earlier state, and once
+// it reaches a final state (FINAL_STATUSES) it stays there.
+const STATUS_RANK = {
+  accepted: 0,
+  scheduled: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  delivered: 4,
+  undelivered: 4,
+  failed: 4
+};
+
+const FINAL_STATUSES = ['delivered', 'undelivered', 'failed'];
+
+// Readable reasons for the delivery errors users actually run into
+const TWILIO_ERROR_MESSAGES = {
+  21610: 'Recipient has opted out of messages from this number',
+  21614: 'Destination is not a valid mobile number',
+  30003: 'Destination phone is unreachable',
+  30004: 'Message blocked by the recipient or their carrier',
+  30005: 'Destination number is unknown or no longer exists',
+  30006: 'Destination is a landline or unreachable carrier',
+  30007: 'Message filtered by the carrier as spam',
+  30008: 'Delivery failed for an unknown reason',
+  30034: 'Message blocked: sending number is not registered for A2P messaging'
+};
+
+// Apply a Twilio status callback to the stored outbound message. Messages
+// are found by the id in the callback URL, since a callback can beat the SID
+// being stored; older messages' callbacks carry only the SID.
+async function applyStatusCallback({ messageId, twilioSid, status, errorCode }) {
+  const message = await db.withTransaction(async (client) => {
+    const result = messageId
+      ? await client.query('SELECT * FROM messages WHERE id = $1 FOR UPDATE', [messageId])
+      : await client.query('SELECT * FROM messages WHERE twilio_sid = $1 FOR UPDATE', [twilioSid]);
+    const current = result.rows[0];
+
+    if (!current) return null;
+
+    const newRank = STATUS_RANK[status];
+    const currentRank = STATUS_RANK[current.status];
+
+    if (newRank === undefined || FINAL_STATUSES.includes(current.status) ||
+        (currentRank !== undefined && newRank < currentRank)) {
+      return current;
+    }
+
+    const code = errorCode ? parseInt(errorCode) : null;
+
+    const updated = await client.query(`
+      UPDATE messages
+      SET status = $2,
+          twilio_sid = COALESCE(twilio_sid, $5),
+          error_code = COALESCE($3, error_code),
+          error_message = COALESCE($4, error_message),
+          delivered_at = CASE WHEN $2 = 'delivered' THEN COALESCE(delivered_at, NOW()) ELSE delivered_at END
+      WHERE id = $1
+      RETURNING *
+    `, [
+      current.id,
+      status,
+      code,
+      code ? (TWILIO_ERROR_MESSAGES[code] || `Delivery failed (error ${code})`) : null,
+      twilioSid
+    ]);
+
+    return updated.rows[0];
+  });
+
+  // Callbacks don't carry the price; Twilio has it once the message is final
+  if (message && FINAL_STATUSES.includes(message.status) && message.price_cents === null) {
+    try {
+      const fetched = await getTwilioClient().messages(twilioSid).fetch();
+      const priceCents = priceToCents(fetched.price);
+
+      if (priceCents !== null) {
+        await db.query('UPDATE messages SET price_cents = $2 WHERE id = $1', [message.id, priceCents]);
+        message.price_cents = priceCents;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to fetch price for message ${twilioSid}:`, error);
+    }
+  }
+
+  return message;
+}
+
+module.exports = {
+  parseTwilioMedia,
+  recordInboundMessage,
+  inboundExists,
+  sendMessage,
+  applyStatusCallback
+};
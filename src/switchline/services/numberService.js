@@ -0,0 +1,427 @@
+const db = require('../../shared/db');
+const { getTwilioClient, webhookUrl } = require('./twilioClient');
+const { getUserPlan } = require('./planService');
+const usageService = require('./usageService');
+const mediaService = require('./mediaService');
+const voicemailService = require('./voicemailService');
+const { isVerified } = require('./verifiedPhoneService');
+const { destroyNumberKeys } = require('./encryptionService');
+
+// Search Twilio's inventory of purchasable local numbers
+async function searchAvailableNumbers({ country = 'US', areaCode, contains, limit = 20 }) {
+  const params = {
+    smsEnabled: true,
+    voiceEnabled: true,
+    limit
+  };
+
+  if (areaCode) params.areaCode = parseInt(areaCode);
+  if (contains) params.contains = contains;
+
+  const numbers = await getTwilioClient()
+    .availablePhoneNumbers(country)
+    .local.list(params);
+
+  return numbers.map(n => ({
+    phoneNumber: n.phoneNumber,
+    formattedNumber: n.friendlyName,
+    locality: n.locality,
+    region: n.region,
+    postalCode: n.postalCode,
+    country: n.isoCountry,
+    capabilities: n.capabilities
+  }));
+}
+
+// Lifetimes offered for temporary numbers, as Postgres intervals
+const EXPIRY_DURATIONS = {
+  '24h': '24 hours',
+  '7d': '7 days',
+  '30d': '30 days'
+};
+
+// Area codes only have a fixed position in NANP (+1) numbers
+function areaCodeFor(phoneNumber) {
+  return phoneNumber.startsWith('+1') ? phoneNumber.slice(2, 5) : null;
+}
+
+// Buy a number at Twilio and assign it to the user, enforcing the plan limit.
+// A duration key from EXPIRY_DURATIONS makes it a temporary number.
+//
+// The slot is counted and committed before Twilio is called, so no
+// transaction or user lock is held across the purchase. A purchase Twilio
+// refuses gives the slot back; a number we then fail to record is released
+// at Twilio and the slot given back too.
+async function purchaseNumber(userId, phoneNumber, country = 'US', duration = null) {
+  const reserved = await db.withTransaction(async (client) => {
+    // Lock the user row so two concurrent purchases can't both pass the limit check
+    const plan = await getUserPlan(userId, client, true);
+
+    if (!plan) {
+      return { success: false, status: 404, error: 'User not found' };
+    }
+
+    const usage = await usageService.consume(client, plan, 'phone_numbers');
+
+    if (!usage.allowed) {
+      return {
+        success: false,
+        status: 403,
+        error: `Phone number limit reached (${plan.phone_numbers_limit}) for your plan`
+      };
+    }
+
+    return { success: true, usage };
+  });
+
+  if (!reserved.success) return reserved;
+
+  const releaseSlot = () => db.withTransaction(
+    client => usageService.release(client, userId, 'phone_numbers')
+  ).catch(releaseError => console.error('❌ Failed to give back number slot:', releaseError));
+
+  let purchased;
+
+  try {
+    purchased = await getTwilioClient().incomingPhoneNumbers.create({
+      phoneNumber,
+      smsUrl: webhookUrl('/webhook/sms'),
+      smsMethod: 'POST',
+      voiceUrl: webhookUrl('/webhook/voice'),
+      voiceMethod: 'POST',
+      statusCallback: webhookUrl('/webhook/voice/status'),
+      statusCallbackMethod: 'POST'
+    });
+  } catch (error) {
+    await releaseSlot();
+    throw error;
+  }
+
+  try {
+    const number = await db.withTransaction(async (client) => {
+      // A number we burned earlier can be handed back to us by Twilio
+      await client.query(
+        `DELETE FROM phone_numbers WHERE phone_number = $1 AND status = 'burned'`,
+        [purchased.phoneNumber]
+      );
+
+      const insertResult = await client.query(`
+        INSERT INTO phone_numbers (
+          user_id,
+          phone_number,
+          formatted_number,
+          country_code,
+          area_code,
+          twilio_sid,
+          twilio_account_sid,
+          status,
+          voice_url,
+          sms_url,
+          purchased_at,
+          expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'active', $8, $9, NOW(), NOW() + $10::interval)
+        RETURNING *
+      `, [
+        userId,
+        purchased.phoneNumber,
+        purchased.friendlyName,
+        country,
+        areaCodeFor(purchased.phoneNumber),
+        purchased.sid,
+        purchased.accountSid,
+        purchased.voiceUrl,
+        purchased.smsUrl,
+        duration ? EXPIRY_DURATIONS[duration] : null
+      ]);
+
+      await client.query(`
+        UPDATE users
+        SET active_phone_number_id = COALESCE(active_phone_number_id, $1)
+        WHERE id = $2
+      `, [insertResult.rows[0].id, userId]);
+
+      return insertResult.rows[0];
+    });
+
+    return { success: true, number, usage: reserved.usage };
+  } catch (error) {
+    // Don't keep paying for a number we failed to record
+    await getTwilioClient().incomingPhoneNumbers(purchased.sid).remove()
+      .catch(releaseError => console.error('❌ Failed to release orphaned number:', releaseError));
+    await releaseSlot();
+    throw error;
+  }
+}
+
+// Placeholder written over counterpart numbers when history is anonymized
+const REDACTED = 'redacted';
+
+// Remove or anonymize everything recorded on a number. Returns the media and
+// voicemail keys that were detached, and the recordings still waiting at
+// Twilio, so they can be removed after commit.
+async function wipeNumberData(client, numberId, dataHandling) {
+  const mediaResult = await client.query(`
+    SELECT unnest(media_urls) AS key FROM messages
+    WHERE phone_number_id = $1 AND media_urls IS NOT NULL
+    UNION ALL
+    SELECT recording_url AS key FROM calls
+    WHERE phone_number_id = $1 AND recording_url IS NOT NULL
+  `, [numberId]);
+  const mediaKeys = mediaResult.rows.map(row => row.key);
+
+  const recordingResult = await client.query(`
+    SELECT twilio_recording_sid FROM calls
+    WHERE phone_number_id = $1 AND twilio_recording_sid IS NOT NULL
+  `, [numberId]);
+  const twilioRecordingSids = recordingResult.rows.map(row => row.twilio_recording_sid);
+
+  if (dataHandling === 'anonymize') {
+    const messages = await client.query(`
+      UPDATE messages
+      SET from_number = $2, to_number = $2, body = '', media_urls = NULL, num_media = 0,
+          otp_code = NULL, otp_service = NULL, otp_expires_at = NULL
+      WHERE phone_number_id = $1
+    `, [numberId, REDACTED]);
+
+    const calls = await client.query(`
+      UPDATE calls
+      SET from_number = $2, to_number = $2, recording_url = NULL, recording_duration = NULL,
+          voicemail_transcription = NULL
+      WHERE phone_number_id = $1
+    `, [numberId, REDACTED]);
+
+    return { messages: messages.rowCount, calls: calls.rowCount, mediaKeys, twilioRecordingSids };
+  }
+
+  const messages = await client.query('DELETE FROM messages WHERE phone_number_id = $1', [numberId]);
+  const calls = await client.query('DELETE FROM calls WHERE phone_number_id = $1', [numberId]);
+
+  return { messages: messages.rowCount, calls: calls.rowCount, mediaKeys, twilioRecordingSids };
+}
+
+// Burn a number: wipe its history, mark it burned and release it at Twilio.
+// The Twilio release runs last so a provider failure rolls everything back.
+async function burnNumber(userId, numberId, dataHandling = 'delete') {
+  const result = await db.withTransaction(async (client) => {
+    const numberResult = await client.query(
+      'SELECT * FROM phone_numbers WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [numberId, userId]
+    );
+
+    if (numberResult.rows.length === 0) {
+      return { success: false, status: 404, error: 'Number not found' };
+    }
+
+    const number = numberResult.rows[0];
+
+    if (number.status === 'burned') {
+      return { success: false, status: 409, error: 'Number already burned' };
+    }
+
+    const wiped = await wipeNumberData(client, number.id, dataHandling);
+
+    // Before the status change, so a period rollover here still counts this number
+    await usageService.release(client, userId, 'phone_numbers');
+
+    // Crypto-shred: anything left encrypted with the number's key (backups,
+    // anonymized rows) can no longer be read
+    await destroyNumberKeys(number.id, client);
+
+    const burnedResult = await client.query(`
+      UPDATE phone_numbers
+      SET status = 'burned', burned_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [number.id]);
+
+    await client.query(`
+      UPDATE users
+      SET active_phone_number_id = NULL
+      WHERE id = $1 AND active_phone_number_id = $2
+    `, [userId, number.id]);
+
+    if (number.twilio_sid) {
+      try {
+        await getTwilioClient().incomingPhoneNumbers(number.twilio_sid).remove();
+      } catch (error) {
+        // Already released at Twilio - nothing left to pay for
+        if (error.status !== 404) throw error;
+      }
+    }
+
+    return { success: true, number: burnedResult.rows[0], wiped };
+  });
+
+  if (result.success) {
+    await mediaService.deleteMedia(result.wiped.mediaKeys);
+    await voicemailService.deleteTwilioRecordings(result.wiped.twilioRecordingSids);
+  }
+
+  return result;
+}
+
+// Push back the expiry of a temporary number that hasn't lapsed yet
+async function extendNumber(userId, numberId, duration) {
+  const result = await db.query(`
+    UPDATE phone_numbers
+    SET expires_at = expires_at + $3::interval, expiry_warning_sent_at = NULL
+    WHERE id = $1 AND user_id = $2
+      AND status = 'active'
+      AND expires_at IS NOT NULL
+      AND expires_at > NOW()
+    RETURNING *
+  `, [numberId, userId, EXPIRY_DURATIONS[duration]]);
+
+  if (result.rows.length > 0) {
+    return { success: true, number: result.rows[0] };
+  }
+
+  const number = await getUserNumber(userId, numberId);
+
+  if (!number) {
+    return { success: false, status: 404, error: 'Number not found' };
+  }
+
+  if (!number.expires_at) {
+    return { success: false, status: 400, error: 'Number does not expire' };
+  }
+
+  return { success: false, status: 409, error: 'Number has already expired' };
+}
+
+// Claim active numbers entering their warning window so each owner is warned once.
+// The window is a tenth of the number's lifetime, capped at 24 hours.
+async function claimExpiryWarnings(limit = 50) {
+  const result = await db.query(`
+    UPDATE phone_numbers p
+    SET expiry_warning_sent_at = NOW()
+    FROM users u
+    WHERE u.id = p.user_id AND p.id IN (
+      SELECT id FROM phone_numbers
+      WHERE status = 'active'
+        AND expires_at IS NOT NULL
+        AND expiry_warning_sent_at IS NULL
+        AND expires_at > NOW()
+        AND expires_at - LEAST(INTERVAL '24 hours', (expires_at - purchased_at) / 10) <= NOW()
+      ORDER BY expires_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING p.*, u.email AS owner_email
+  `, [limit]);
+
+  return result.rows;
+}
+
+// Give back a claimed warning that couldn't be sent, so the next sweep retries it
+async function releaseExpiryWarning(numberId) {
+  await db.query(
+    'UPDATE phone_numbers SET expiry_warning_sent_at = NULL WHERE id = $1',
+    [numberId]
+  );
+}
+
+// Numbers whose expiry has passed and still need burning
+async function findExpiredNumbers(limit = 50) {
+  const result = await db.query(`
+    SELECT id, user_id, phone_number FROM phone_numbers
+    WHERE status != 'burned'
+      AND expires_at IS NOT NULL
+      AND expires_at <= NOW()
+    ORDER BY expires_at ASC
+    LIMIT $1
+  `, [limit]);
+
+  return result.rows;
+}
+
+// List a user's numbers, newest first
+async function listUserNumbers(userId) {
+  const result = await db.query(`
+    SELECT * FROM phone_numbers
+    WHERE user_id = $1
+    ORDER BY purchased_at DESC
+  `, [userId]);
+
+  return result.rows;
+}
+
+// Get one number, only if the user owns it
+async function getUserNumber(userId, numberId) {
+  const result = await db.query(
+    'SELECT * FROM phone_numbers WHERE id = $1 AND user_id = $2',
+    [numberId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Find the number a webhook is addressed to
+async function findNumberByPhone(phoneNumber) {
+  const result = await db.query(
+    'SELECT * FROM phone_numbers WHERE phone_number = $1',
+    [phoneNumber]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Turn call forwarding on or off. The target must be one of the user's verified phones.
+async function updateForwarding(userId, numberId, { enabled, forwardTo }) {
+  const number = await getUserNumber(userId, numberId);
+
+  if (!number) {
+    return { success: false, status: 404, error: 'Number not found' };
+  }
+
+  const target = forwardTo === undefined ? number.forwarding_number : forwardTo;
+
+  if (enabled && !target) {
+    return { success: false, status: 400, error: 'A forwarding number is required' };
+  }
+
+  if (target && target !== number.forwarding_number && !(await isVerified(userId, target))) {
+    return { success: false, status: 400, error: 'Forwarding number must be verified first' };
+  }
+
+  const result = await db.query(`
+    UPDATE phone_numbers
+    SET forwarding_enabled = $2, forwarding_number = $3
+    WHERE id = $1
+    RETURNING *
+  `, [number.id, Boolean(enabled), target || null]);
+
+  return { success: true, number: result.rows[0] };
+}
+
+// Configure voicemail for calls that aren't forwarded or go unanswered
+async function updateVoicemail(userId, numberId, { enabled, greeting }) {
+  const result = await db.query(`
+    UPDATE phone_numbers
+    SET voicemail_enabled = $3, voicemail_greeting = $4
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [numberId, userId, Boolean(enabled), greeting || null]);
+
+  if (result.rows.length === 0) {
+    return { success: false, status: 404, error: 'Number not found' };
+  }
+
+  return { success: true, number: result.rows[0] };
+}
+
+module.exports = {
+  EXPIRY_DURATIONS,
+  searchAvailableNumbers,
+  purchaseNumber,
+  burnNumber,
+  extendNumber,
+  claimExpiryWarnings,
+  releaseExpiryWarning,
+  findExpiredNumbers,
+  listUserNumbers,
+  getUserNumber,
+  findNumberByPhone,
+  updateForwarding,
+  updateVoicemail
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const db = require('../../shared/db');
+
+// How long a detected code is shown before it counts as expired
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+
+// Code formats, tried in order; the first capture group is the code.
+// Extra patterns can be added with OTP_PATTERNS_FILE (see loadPatterns).
+const DEFAULT_CODE_PATTERNS = [
+  // G-123456 (Google)
+  /\bG-(\d{6})\b/,
+  // 123456 is your code / 123456 est votre code
+  /\b(\d{4,8}|\d{3}[- ]\d{3})\s+(?:is|est|ist|es|é)\s+(?:your|votre|ihr|tu|seu|o seu)\b/i,
+  // Your code is 123456 / verification code: 123-456 / OTP 1234
+  /\b(?:code|otp|pin|passcode|password|one[- ]time\s+password|codigo|código)\b[^\d\n]{0,25}?(\d{4,8}|\d{3}[- ]\d{3})\b/i,
+  // Use 123456 to verify / enter 1234
+  /\b(?:use|enter)\s+(\d{4,8})\b/i,
+  // Alphanumeric: code: AB12CD (must contain a digit)
+  /\b(?:code|otp)\b\s*(?:is|:)\s*((?=[A-Z]*\d)[A-Z0-9]{5,8})\b/
+];
+
+// Where the sending service's name usually sits
+const SERVICE_PATTERNS = [
+  // [Service] ... or <#> Service: ...
+  /^\s*(?:<#>\s*)?\[([^\]\n]{2,40})\]/,
+  // Service: Your code is ...
+  /^\s*(?:<#>\s*)?([A-Z][\w&.' -]{1,30}?):\s/,
+  // Your Service verification code / code for Service / use this to sign in to Service
+  /\b[Yy]our\s+([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,2})\s+(?:verification|login|log-in|security|sign[- ]?in|confirmation|access)?\s*(?:code|account)\b/,
+  /\b(?:for|to|on|at)\s+([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,2})\b[^.\n]{0,20}?\b(?:code|account)\b/,
+  /\bcode\s+(?:for|to)\s+([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,2})/
+];
+
+const KNOWN_PREFIXES = { 'G-': 'Google' };
+
+// Words the service patterns can catch that aren't services
+const NOT_SERVICES = new Set(['your', 'the', 'this', 'a', 'an', 'use', 'verification', 'security', 'login', 'code', 'do', 'don\'t', 'never']);
+
+// OTP_PATTERNS_FILE points at a JSON array of { "pattern": "...", "flags": "i" };
+// these are tried before the defaults
+function loadPatterns() {
+  const file = process.env.OTP_PATTERNS_FILE;
+
+  if (!file) return DEFAULT_CODE_PATTERNS;
+
+  try {
+    const extra = JSON.parse(fs.readFileSync(file, 'utf8'))
+      .map(({ pattern, flags }) => new RegExp(pattern, flags || ''));
+    return [...extra, ...DEFAULT_CODE_PATTERNS];
+  } catch (error) {
+    console.error(`❌ Failed to load OTP patterns from ${file}:`, error);
+    return DEFAULT_CODE_PATTERNS;
+  }
+}
+
+const CODE_PATTERNS = loadPatterns();
+
+// "Your WhatsApp code" -> "WhatsApp"
+function cleanServiceName(name) {
+  return name
+    .replace(/^your\s+/i, '')
+    .replace(/\s+(?:verification|login|security|sign[- ]?in|confirmation|access)?\s*code(?:\s+is)?$/i, '')
+    .trim();
+}
+
+function detectService(body) {
+  for (const [prefix, service] of Object.entries(KNOWN_PREFIXES)) {
+    if (new RegExp(`\\b${prefix}\\d`).test(body)) return service;
+  }
+
+  for (const pattern of SERVICE_PATTERNS) {
+    const match = pattern.exec(body);
+    const name = match && cleanServiceName(match[1]);
+
+    if (name && !NOT_SERVICES.has(name.toLowerCase())) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
+// Find a one-time code in a message. Returns { code, service } or null.
+function detectCode(body) {
+  if (!body) return null;
+
+  for (const pattern of CODE_PATTERNS) {
+    const match = pattern.exec(body);
+
+    if (match && match[1]) {
+      return {
+        code: match[1].replace(/[- ]/g, ''),
+        service: detectService(body)
+      };
+    }
+  }
+
+  return null;
+}
+
+// Structured OTP fields for a new inbound message
+function otpFields(body) {
+  const detected = detectCode(body);
+
+  if (!detected) return null;
+
+  return {
+    code: detected.code,
+    service: detected.service,
+    expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+  };
+}
+
+// Codes on a number that haven't expired yet, newest first
+async function listActiveCodes(numberId) {
+  const result = await db.query(`
+    SELECT id, from_number, otp_code, otp_service, sent_at, otp_expires_at
+    FROM messages
+    WHERE phone_number_id = $1
+      AND otp_code IS NOT NULL
+      AND otp_expires_at > NOW()
+      AND NOT quarantined
+    ORDER BY sent_at DESC
+  `, [numberId]);
+
+  return result.rows;
+}
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  detectCode,
+  otpFields,
+  listActiveCodes
+};
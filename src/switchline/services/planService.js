@@ -0,0 +1,37 @@
+const db = require('../../shared/db');
+
+// Get the limits that apply to a user. Plan limits win over the per-user
+// defaults on the users row, which cover accounts without a subscription.
+// period_start is the start of the current billing period (calendar month
+// without a subscription). Pass a transaction client and lock=true to
+// serialize concurrent purchases and sends.
+async function getUserPlan(userId, client = db, lock = false) {
+  const result = await client.query(`
+    SELECT
+      u.id AS user_id,
+      u.status,
+      sp.id AS plan_id,
+      sp.name AS plan_name,
+      COALESCE(sp.phone_numbers_limit, u.phone_numbers_limit) AS phone_numbers_limit,
+      COALESCE(sp.minutes_limit, u.minutes_limit) AS minutes_limit,
+      COALESCE(sp.sms_limit, u.sms_limit) AS sms_limit,
+      COALESCE(sp.features, '{}'::jsonb) AS features,
+      COALESCE(
+        (SELECT s.current_period_start FROM subscriptions s
+         WHERE s.user_id = u.id AND s.status IN ('active', 'trialing')
+         ORDER BY s.current_period_start DESC NULLS LAST
+         LIMIT 1),
+        date_trunc('month', NOW())
+      ) AS period_start
+    FROM users u
+    LEFT JOIN subscription_plans sp ON sp.id = u.subscription_plan_id
+    WHERE u.id = $1
+    ${lock ? 'FOR UPDATE OF u' : ''}
+  `, [userId]);
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  getUserPlan
+};
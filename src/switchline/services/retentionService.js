@@ -0,0 +1,111 @@
+const db = require('../../shared/db');
+
+const MIN_RETENTION_DAYS = 1;
+const MAX_RETENTION_DAYS = 3650;
+
+async function getRetention(userId) {
+  const result = await db.query(
+    'SELECT data_retention_days, auto_delete_messages FROM users WHERE id = $1',
+    [userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function updateRetention(userId, { days, autoDeleteMessages }) {
+  const result = await db.query(`
+    UPDATE users
+    SET data_retention_days = COALESCE($2, data_retention_days),
+        auto_delete_messages = COALESCE($3, auto_delete_messages)
+    WHERE id = $1
+    RETURNING data_retention_days, auto_delete_messages
+  `, [userId, days === undefined ? null : days, autoDeleteMessages === undefined ? null : autoDeleteMessages]);
+
+  return result.rows[0] || null;
+}
+
+// Delete one batch of call logs (and their voicemail recordings) older than
+// their owner's retention window. SKIP LOCKED keeps the purge out of the way
+// of live calls and of another instance purging at the same time.
+// Returns the deleted rows' user ids and recording keys.
+async function purgeCallBatch(batchSize) {
+  const result = await db.query(`
+    DELETE FROM calls
+    WHERE id IN (
+      SELECT c.id FROM calls c
+      JOIN users u ON u.id = c.user_id
+      WHERE u.data_retention_days IS NOT NULL
+        AND c.started_at < NOW() - make_interval(days => u.data_retention_days)
+      LIMIT $1
+      FOR UPDATE OF c SKIP LOCKED
+    )
+    RETURNING user_id, recording_url
+  `, [batchSize]);
+
+  return result.rows;
+}
+
+// Same for messages and their attachments, for users who turned on
+// auto_delete_messages
+async function purgeMessageBatch(batchSize) {
+  const result = await db.query(`
+    DELETE FROM messages
+    WHERE id IN (
+      SELECT m.id FROM messages m
+      JOIN users u ON u.id = m.user_id
+      WHERE u.auto_delete_messages = TRUE
+        AND u.data_retention_days IS NOT NULL
+        AND m.sent_at < NOW() - make_interval(days => u.data_retention_days)
+      LIMIT $1
+      FOR UPDATE OF m SKIP LOCKED
+    )
+    RETURNING user_id, media_urls
+  `, [batchSize]);
+
+  return result.rows;
+}
+
+async function startPurgeReport() {
+  const result = await db.query(`
+    INSERT INTO purge_reports (status, started_at)
+    VALUES ('running', NOW())
+    RETURNING id
+  `);
+
+  return result.rows[0].id;
+}
+
+async function finishPurgeReport(reportId, { status, usersAffected, messagesDeleted, callsDeleted, filesDeleted, error }) {
+  await db.query(`
+    UPDATE purge_reports
+    SET status = $2,
+        users_affected = $3,
+        messages_deleted = $4,
+        calls_deleted = $5,
+        files_deleted = $6,
+        error = $7,
+        finished_at = NOW()
+    WHERE id = $1
+  `, [reportId, status, usersAffected, messagesDeleted, callsDeleted, filesDeleted, error || null]);
+}
+
+// Note cleanup that failed after the purge itself finished; the report's
+// status still describes the purge
+async function recordHousekeepingError(reportId, error) {
+  await db.query(
+    'UPDATE purge_reports SET housekeeping_error = $2 WHERE id = $1',
+    [reportId, error]
+  );
+}
+
+module.exports = {
+  MIN_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  getRetention,
+  updateRetention,
+  purgeCallBatch,
+  purgeMessageBatch,
+  startPurgeReport,
+  finishPurgeReport,
+  recordHousekeepingError
+};
@@ -0,0 +1,33 @@
+const twilio = require('twilio');
+
+let client = null;
+
+// Lazily create the Twilio client so the server can boot without credentials
+function getTwilioClient() {
+  if (!client) {
+    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+      throw new Error('Twilio credentials not configured');
+    }
+    client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return client;
+}
+
+// Public URL Twilio should call back on (e.g. /webhook/sms)
+function webhookUrl(path) {
+  const baseUrl = (process.env.BASE_URL || 'https://switchline.app').replace(/\/+$/, '');
+  return `${baseUrl}${path}`;
+}
+
+// Twilio reports prices as negative decimal strings in dollars ("-0.00790")
+function priceToCents(price) {
+  if (price === null || price === undefined || price === '') return null;
+  const amount = parseFloat(price);
+  return isNaN(amount) ? null : Math.round(Math.abs(amount) * 100);
+}
+
+module.exports = {
+  getTwilioClient,
+  webhookUrl,
+  priceToCents
+};
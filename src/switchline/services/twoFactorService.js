@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
+const db = require('../../shared/db');
+const { checkLoginAllowed, loginFailed } = require('./authService');
+const { getDataKey, encryptText, decryptText } = require('./encryptionService');
+
+// RFC 6238 TOTP as used by authenticator apps: SHA-1, 6 digits, 30 s steps
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next step too, for clock drift
+const TOTP_WINDOW = 1;
+const ISSUER = 'Switchline';
+
+const BACKUP_CODE_COUNT = 10;
+// No 0/O or 1/I/L, so codes survive being written down
+const BACKUP_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const BACKUP_CODE_LENGTH = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// The code for one time step (RFC 4226 HOTP)
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// The time step a code matched, or null. Steps at or before lastCounter
+// were already used and are refused, so a code can't be replayed.
+function matchTotp(secret, code, lastCounter) {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (let counter = current - TOTP_WINDOW; counter <= current + TOTP_WINDOW; counter++) {
+    if (lastCounter !== null && counter <= lastCounter) continue;
+
+    const expected = hotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+function otpauthUrl(email, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// Codes are stored as SHA-256 hashes; they're random enough that a slow hash isn't needed
+function hashBackupCode(code) {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+}
+
+// Accept lower case and the dash the codes are shown with
+function normalizeBackupCode(code) {
+  return String(code).toUpperCase().replace(/[\s-]/g, '');
+}
+
+function generateBackupCodes() {
+  return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const chars = Array.from(
+      { length: BACKUP_CODE_LENGTH },
+      () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)]
+    ).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+}
+
+async function getUser(userId) {
+  const result = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+// The TOTP secret is stored encrypted with the user's data key; null if
+// there is none or the key was destroyed
+function userSecret(user) {
+  return decryptText(user.two_factor_secret);
+}
+
+// Start enrollment: store a new secret (not yet enabled) and return what the
+// authenticator app needs. The QR code is a PNG data URL of the otpauth URL.
+async function beginSetup(userId) {
+  const user = await getUser(userId);
+
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+
+  if (user.two_factor_enabled) {
+    return { success: false, status: 409, error: 'Two-factor authentication is already enabled' };
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  const dataKey = await getDataKey(userId);
+
+  await db.query(`
+    UPDATE users
+    SET two_factor_secret = $2, two_factor_last_counter = NULL, updated_at = NOW()
+    WHERE id = $1
+  `, [userId, encryptText(dataKey, secret)]);
+
+  const url = otpauthUrl(user.email, secret);
+
+  return {
+    success: true,
+    secret,
+    otpauthUrl: url,
+    qrCode: await QRCode.toDataURL(url)
+  };
+}
+
+// Finish enrollment with a code from the app. Returns the backup codes,
+// which are only ever shown this once.
+async function confirmSetup(userId, code) {
+  const user = await getUser(userId);
+
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+
+  if (user.two_factor_enabled) {
+    return { success: false, status: 409, error: 'Two-factor authentication is already enabled' };
+  }
+
+  const secret = await userSecret(user);
+
+  if (!secret) {
+    return { success: false, status: 400, error: 'Start two-factor setup first' };
+  }
+
+  const counter = matchTotp(secret, code, null);
+
+  if (counter === null) {
+    return { success: false, status: 400, error: 'Invalid code' };
+  }
+
+  const backupCodes = generateBackupCodes();
+
+  // The secret check stops a second setup request racing this one
+  const result = await db.query(`
+    UPDATE users
+    SET two_factor_enabled = TRUE,
+        two_factor_last_counter = $3,
+        backup_codes = $4,
+        updated_at = NOW()
+    WHERE id = $1 AND two_factor_secret = $2 AND NOT two_factor_enabled
+  `, [userId, user.two_factor_secret, counter, backupCodes.map(hashBackupCode)]);
+
+  if (result.rowCount === 0) {
+    return { success: false, status: 409, error: 'Two-factor setup changed; start again' };
+  }
+
+  return { success: true, backupCodes };
+}
+
+// Check a TOTP code or a backup code for a user with 2FA on. Each is good
+// once: a TOTP step can't be reused and a backup code is removed when used.
+async function verifyCode(user, { code, backupCode }) {
+  if (!user.two_factor_enabled || !user.two_factor_secret) {
+    return false;
+  }
+
+  if (backupCode) {
+    const result = await db.query(`
+      UPDATE users
+      SET backup_codes = array_remove(backup_codes, $2)
+      WHERE id = $1 AND $2 = ANY(backup_codes)
+    `, [user.id, hashBackupCode(backupCode)]);
+
+    return result.rowCount > 0;
+  }
+
+  const secret = await userSecret(user);
+
+  if (!secret) return false;
+
+  const counter = matchTotp(secret, String(code || ''), user.two_factor_last_counter);
+
+  if (counter === null) return false;
+
+  // Conditional so two requests with the same code can't both pass
+  const result = await db.query(`
+    UPDATE users
+    SET two_factor_last_counter = $2
+    WHERE id = $1 AND (two_factor_last_counter IS NULL OR two_factor_last_counter < $2)
+  `, [user.id, counter]);
+
+  return result.rowCount > 0;
+}
+
+// Sensitive changes need the password and a current code. Wrong guesses
+// count toward the same lockout as failed logins.
+async function verifyPasswordAndCode(userId, { password, code, backupCode }, ip) {
+  const user = await getUser(userId);
+
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+
+  if (!user.two_factor_enabled) {
+    return { success: false, status: 400, error: 'Two-factor authentication is not enabled' };
+  }
+
+  const refused = await checkLoginAllowed(userId, ip);
+  if (refused) return refused;
+
+  if (typeof password !== 'string' || !await bcrypt.compare(password, user.password_hash)) {
+    return loginFailed(userId, ip, { success: false, status: 401, error: 'Incorrect password' });
+  }
+
+  if (!await verifyCode(user, { code, backupCode })) {
+    return loginFailed(userId, ip, { success: false, status: 401, error: 'Invalid code' });
+  }
+
+  return { success: true, user };
+}
+
+async function disable(userId, credentials, ip) {
+  const check = await verifyPasswordAndCode(userId, credentials, ip);
+
+  if (!check.success) return check;
+
+  await db.query(`
+    UPDATE users
+    SET two_factor_enabled = FALSE,
+        two_factor_secret = NULL,
+        two_factor_last_counter = NULL,
+        backup_codes = NULL,
+        updated_at = NOW()
+    WHERE id = $1
+  `, [userId]);
+
+  return { success: true };
+}
+
+// Replace all backup codes, e.g. when the user has used most of them
+async function regenerateBackupCodes(userId, credentials, ip) {
+  const check = await verifyPasswordAndCode(userId, credentials, ip);
+
+  if (!check.success) return check;
+
+  const backupCodes = generateBackupCodes();
+
+  await db.query(
+    'UPDATE users SET backup_codes = $2, updated_at = NOW() WHERE id = $1',
+    [userId, backupCodes.map(hashBackupCode)]
+  );
+
+  return { success: true, backupCodes };
+}
+
+module.exports = {
+  beginSetup,
+  confirmSetup,
+  verifyCode,
+  disable,
+  regenerateBackupCodes
+};
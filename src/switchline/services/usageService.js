@@ -0,0 +1,238 @@
+const db = require('../../shared/db');
+const { getUserPlan } = require('./planService');
+
+// Metered resources: the usage counter and the plan limit for each
+const METRICS = {
+  minutes: { column: 'minutes_used', limit: 'minutes_limit' },
+  sms: { column: 'sms_used', limit: 'sms_limit' },
+  phone_numbers: { column: 'phone_numbers_used', limit: 'phone_numbers_limit' }
+};
+
+// Share of a limit at which usage is flagged as getting close
+const WARNING_THRESHOLD = 0.8;
+
+// Active phone numbers, for recounting the running total at a rollover
+const ACTIVE_NUMBERS_SQL = `
+  SELECT COUNT(*) FROM phone_numbers WHERE user_id = $2 AND status != 'burned'
+`;
+
+// The user's current subscription, with stale set when Stripe has moved
+// current_period_start on since the counters were last reset
+async function findSubscription(client, userId) {
+  const result = await client.query(`
+    SELECT *, usage_period_start IS DISTINCT FROM current_period_start AS stale
+    FROM subscriptions
+    WHERE user_id = $1 AND status IN ('active', 'trialing')
+    ORDER BY current_period_start DESC NULLS LAST
+    LIMIT 1
+  `, [userId]);
+
+  return result.rows[0] || null;
+}
+
+// The user's current subscription. Counters are reset the first time it's
+// touched after Stripe moves current_period_start into a new period; the
+// phone number count is a running total, so it's recounted instead.
+async function currentSubscription(client, userId) {
+  const subscription = await findSubscription(client, userId);
+
+  if (!subscription) return null;
+
+  const rolled = await client.query(`
+    UPDATE subscriptions
+    SET minutes_used = 0,
+        sms_used = 0,
+        phone_numbers_used = (${ACTIVE_NUMBERS_SQL}),
+        usage_period_start = current_period_start
+    WHERE id = $1 AND usage_period_start IS DISTINCT FROM current_period_start
+    RETURNING *
+  `, [subscription.id, userId]);
+
+  return rolled.rows[0] || subscription;
+}
+
+// Accounts without a subscription keep their counters on the users row,
+// reset each calendar month. Counting from messages and calls instead would
+// let a user undo their usage by burning a number and deleting its history.
+async function accountCounters(client, userId) {
+  const rolled = await client.query(`
+    UPDATE users
+    SET minutes_used = 0,
+        sms_used = 0,
+        phone_numbers_used = (${ACTIVE_NUMBERS_SQL}),
+        usage_period_start = date_trunc('month', NOW())
+    WHERE id = $1 AND usage_period_start IS DISTINCT FROM date_trunc('month', NOW())
+    RETURNING id, minutes_used, sms_used, phone_numbers_used
+  `, [userId, userId]);
+
+  if (rolled.rows.length > 0) return rolled.rows[0];
+
+  const result = await client.query(
+    'SELECT id, minutes_used, sms_used, phone_numbers_used FROM users WHERE id = $1',
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+// The row holding the user's counters for this period: { table, counters,
+// subscription }, where subscription is null for accounts without one
+async function currentCounters(client, userId) {
+  const subscription = await currentSubscription(client, userId);
+
+  if (subscription) {
+    return { table: 'subscriptions', counters: subscription, subscription };
+  }
+
+  const counters = await accountCounters(client, userId);
+  return counters ? { table: 'users', counters, subscription: null } : null;
+}
+
+// What currentCounters would return, without writing a rollover: a period
+// that has moved on reads as fresh counters. For reads that change nothing.
+async function peekCounters(client, userId) {
+  const subscription = await findSubscription(client, userId);
+  let counters = subscription;
+
+  if (!subscription) {
+    const result = await client.query(`
+      SELECT id, minutes_used, sms_used, phone_numbers_used,
+        usage_period_start IS DISTINCT FROM date_trunc('month', NOW()) AS stale
+      FROM users
+      WHERE id = $1
+    `, [userId]);
+    counters = result.rows[0];
+  }
+
+  if (!counters) return null;
+
+  if (counters.stale) {
+    const active = await client.query(
+      `SELECT COUNT(*) FROM phone_numbers WHERE user_id = $1 AND status != 'burned'`,
+      [userId]
+    );
+    counters = { ...counters, minutes_used: 0, sms_used: 0, phone_numbers_used: parseInt(active.rows[0].count) };
+  }
+
+  return { counters, subscription };
+}
+
+function summarize(used, limit) {
+  return {
+    used,
+    limit,
+    remaining: Math.max(limit - used, 0),
+    percent: limit > 0 ? Math.round((used / limit) * 100) : 100,
+    warning: used >= limit * WARNING_THRESHOLD
+  };
+}
+
+function warnIfCrossed(userId, metric, before, after, limit) {
+  if (before < limit * WARNING_THRESHOLD && after >= limit * WARNING_THRESHOLD) {
+    console.warn(`⚠️ User ${userId} has used ${after}/${limit} ${metric} this period`);
+  }
+}
+
+// Usage for the current period against the plan's limits. Read-only; a
+// pending rollover is applied by the next consume, record or release.
+async function getUsage(userId, client = db) {
+  const plan = await getUserPlan(userId, client);
+
+  if (!plan) return null;
+
+  const current = await peekCounters(client, userId);
+
+  if (!current) return null;
+
+  const { counters, subscription } = current;
+
+  const usage = {};
+  for (const [metric, { column, limit }] of Object.entries(METRICS)) {
+    usage[metric] = summarize(counters[column], plan[limit]);
+  }
+
+  return {
+    plan: { id: plan.plan_id, name: plan.plan_name },
+    periodStart: plan.period_start,
+    periodEnd: subscription ? subscription.current_period_end : null,
+    usage
+  };
+}
+
+// Count amount of a metric against the plan, refusing if it would go over the
+// limit. Call inside the transaction that does the billable work, after
+// getUserPlan(userId, client, true), so a rollback also undoes the count.
+// Returns { allowed, used, limit, warning }.
+async function consume(client, plan, metric, amount = 1) {
+  const { column, limit: limitKey } = METRICS[metric];
+  const limit = plan[limitKey];
+  const { table, counters } = await currentCounters(client, plan.user_id);
+
+  // Check and increment in one statement so concurrent requests can't overshoot
+  const result = await client.query(`
+    UPDATE ${table}
+    SET ${column} = ${column} + $2
+    WHERE id = $1 AND ${column} + $2 <= $3
+    RETURNING ${column} AS used
+  `, [counters.id, amount, limit]);
+
+  if (result.rows.length === 0) {
+    return { allowed: false, used: counters[column], limit, warning: true };
+  }
+
+  const used = result.rows[0].used;
+  warnIfCrossed(plan.user_id, metric, used - amount, used, limit);
+  return { allowed: true, used, limit, warning: used >= limit * WARNING_THRESHOLD };
+}
+
+// Count usage that has already happened (e.g. a finished call). Never refused;
+// the limit is enforced before the next billable action instead.
+async function record(client, userId, metric, amount) {
+  const { column } = METRICS[metric];
+  const current = amount > 0 ? await currentCounters(client, userId) : null;
+
+  if (!current) return;
+
+  const result = await client.query(`
+    UPDATE ${current.table}
+    SET ${column} = ${column} + $2
+    WHERE id = $1
+    RETURNING ${column} AS used
+  `, [current.counters.id, amount]);
+
+  const used = result.rows[0].used;
+  const plan = await getUserPlan(userId, client);
+
+  if (plan) {
+    warnIfCrossed(userId, metric, used - amount, used, plan[METRICS[metric].limit]);
+  }
+}
+
+// Give back a running-total metric (a released phone number) or a count
+// for work that didn't happen (an SMS Twilio refused)
+async function release(client, userId, metric, amount = 1) {
+  const { column } = METRICS[metric];
+  const current = await currentCounters(client, userId);
+
+  if (!current) return;
+
+  await client.query(`
+    UPDATE ${current.table}
+    SET ${column} = GREATEST(${column} - $2, 0)
+    WHERE id = $1
+  `, [current.counters.id, amount]);
+}
+
+// Whether the user has any of a metric left this period
+async function hasRemaining(userId, metric) {
+  const current = await getUsage(userId);
+  return Boolean(current) && current.usage[metric].remaining > 0;
+}
+
+module.exports = {
+  WARNING_THRESHOLD,
+  getUsage,
+  consume,
+  record,
+  release,
+  hasRemaining
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const db = require('../../shared/db');
+const { getTwilioClient } = require('./twilioClient');
+
+const CODE_TTL_MINUTES = 10;
+// Wrong codes allowed per phone; the count survives resends and clears after a quiet day
+const MAX_ATTEMPTS = 5;
+const ATTEMPT_RESET_HOURS = 24;
+
+// Texting codes costs money and can be abused to pump SMS to premium
+// numbers, so sends are limited per user and per destination (across users)
+const RESEND_COOLDOWN_SECONDS = 60;
+const SEND_WINDOW_HOURS = 24;
+const MAX_SENDS_PER_USER = 10;
+const MAX_SENDS_PER_DESTINATION = 5;
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Record a send if it's within the limits. Returns false when it isn't.
+// The counts aren't locked by the INSERT, so transaction-scoped advisory
+// locks on the user and the destination (always taken in that order)
+// make concurrent requests for either wait their turn.
+async function claimSend(userId, phoneNumber) {
+  return db.withTransaction(async (client) => {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('verification_sends:user:' || $1))`, [userId]);
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('verification_sends:phone:' || $1))`, [phoneNumber]);
+
+    const result = await client.query(`
+      INSERT INTO verification_sends (user_id, phone_number)
+      SELECT $1, $2
+      WHERE (
+          SELECT COUNT(*) FROM verification_sends
+          WHERE user_id = $1 AND sent_at > NOW() - make_interval(hours => $3)
+        ) < $4
+        AND (
+          SELECT COUNT(*) FROM verification_sends
+          WHERE phone_number = $2 AND sent_at > NOW() - make_interval(hours => $3)
+        ) < $5
+        AND NOT EXISTS (
+          SELECT 1 FROM verification_sends
+          WHERE phone_number = $2 AND sent_at > NOW() - make_interval(secs => $6)
+        )
+      RETURNING id
+    `, [userId, phoneNumber, SEND_WINDOW_HOURS, MAX_SENDS_PER_USER, MAX_SENDS_PER_DESTINATION, RESEND_COOLDOWN_SECONDS]);
+
+    return result.rows.length > 0;
+  });
+}
+
+// Start (or restart) verification of a user's real phone by texting it a code.
+// Returns { success, phone } or a failure with status and error.
+async function requestVerification(userId, phoneNumber) {
+  if (!process.env.TWILIO_PHONE_NUMBER) {
+    throw new Error('TWILIO_PHONE_NUMBER not configured');
+  }
+
+  if (!await claimSend(userId, phoneNumber)) {
+    return { success: false, status: 429, error: 'Too many verification codes sent. Try again later.' };
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  // A new code doesn't buy new guesses at it
+  const result = await db.query(`
+    INSERT INTO verified_phones (
+      user_id, phone_number, verification_code_hash, verification_expires_at, verification_attempts
+    ) VALUES ($1, $2, $3, NOW() + make_interval(mins => $4), 0)
+    ON CONFLICT (user_id, phone_number) DO UPDATE SET
+      verification_code_hash = EXCLUDED.verification_code_hash,
+      verification_expires_at = EXCLUDED.verification_expires_at,
+      verification_attempts = CASE
+        WHEN verified_phones.updated_at < NOW() - make_interval(hours => $5) THEN 0
+        ELSE verified_phones.verification_attempts
+      END
+    RETURNING id, phone_number, verified_at
+  `, [userId, phoneNumber, hashCode(code), CODE_TTL_MINUTES, ATTEMPT_RESET_HOURS]);
+
+  await getTwilioClient().messages.create({
+    from: process.env.TWILIO_PHONE_NUMBER,
+    to: phoneNumber,
+    body: `Your Switchline verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`
+  });
+
+  return { success: true, phone: result.rows[0] };
+}
+
+// Check a code; the phone becomes usable for forwarding and calling once verified
+async function confirmVerification(userId, phoneId, code) {
+  return db.withTransaction(async (client) => {
+    const result = await client.query(
+      'SELECT * FROM verified_phones WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [phoneId, userId]
+    );
+    const phone = result.rows[0];
+
+    if (!phone) {
+      return { success: false, status: 404, error: 'Phone not found' };
+    }
+
+    if (!phone.verification_code_hash || new Date(phone.verification_expires_at) < new Date()) {
+      return { success: false, status: 400, error: 'Verification code expired. Request a new one.' };
+    }
+
+    if (phone.verification_attempts >= MAX_ATTEMPTS) {
+      return { success: false, status: 429, error: 'Too many attempts. Try again tomorrow.' };
+    }
+
+    const expected = Buffer.from(phone.verification_code_hash);
+    const provided = Buffer.from(hashCode(String(code)));
+
+    if (!crypto.timingSafeEqual(expected, provided)) {
+      await client.query(
+        'UPDATE verified_phones SET verification_attempts = verification_attempts + 1 WHERE id = $1',
+        [phone.id]
+      );
+      return { success: false, status: 400, error: 'Invalid verification code' };
+    }
+
+    const updated = await client.query(`
+      UPDATE verified_phones
+      SET verified_at = NOW(), verification_code_hash = NULL, verification_expires_at = NULL,
+          verification_attempts = 0
+      WHERE id = $1
+      RETURNING id, phone_number, verified_at
+    `, [phone.id]);
+
+    return { success: true, phone: updated.rows[0] };
+  });
+}
+
+async function listPhones(userId) {
+  const result = await db.query(`
+    SELECT id, phone_number, verified_at, created_at
+    FROM verified_phones
+    WHERE user_id = $1
+    ORDER BY created_at ASC
+  `, [userId]);
+
+  return result.rows;
+}
+
+async function isVerified(userId, phoneNumber) {
+  const result = await db.query(`
+    SELECT 1 FROM verified_phones
+    WHERE user_id = $1 AND phone_number = $2 AND verified_at IS NOT NULL
+  `, [userId, phoneNumber]);
+
+  return result.rows.length > 0;
+}
+
+// Removing a phone also switches off forwarding that pointed at it
+async function removePhone(userId, phoneId) {
+  return db.withTransaction(async (client) => {
+    const result = await client.query(
+      'DELETE FROM verified_phones WHERE id = $1 AND user_id = $2 RETURNING phone_number',
+      [phoneId, userId]
+    );
+
+    if (result.rows.length === 0) return false;
+
+    await client.query(`
+      UPDATE phone_numbers
+      SET forwarding_enabled = FALSE, forwarding_number = NULL
+      WHERE user_id = $1 AND forwarding_number = $2
+    `, [userId, result.rows[0].phone_number]);
+
+    return true;
+  });
+}
+
+// Drop send records older than any limit looks back
+async function pruneVerificationSends() {
+  const result = await db.query(
+    'DELETE FROM verification_sends WHERE sent_at < NOW() - make_interval(hours => $1)',
+    [SEND_WINDOW_HOURS]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  requestVerification,
+  confirmVerification,
+  listPhones,
+  isVerified,
+  removePhone,
+  pruneVerificationSends
+};
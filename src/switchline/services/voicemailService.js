@@ -0,0 +1,194 @@
+const db = require('../../shared/db');
+const { getTwilioClient } = require('./twilioClient');
+const mediaService = require('./mediaService');
+const { getDataKey, encryptText } = require('./encryptionService');
+
+// Voicemails are inbound calls that left a recording
+const VOICEMAIL_COLUMNS = `
+  c.id,
+  c.phone_number_id,
+  c.from_number,
+  c.to_number,
+  c.status,
+  c.started_at,
+  c.recording_url,
+  c.recording_duration,
+  c.voicemail_transcription,
+  c.voicemail_heard_at
+`;
+
+// Twilio deletes a transcription along with its recording, so a recording
+// is kept there until the transcription arrives, or at most this long
+const TRANSCRIPTION_WAIT_MINUTES = 60;
+
+// Delete recordings at Twilio and forget their SIDs. One that fails stays
+// recorded on its call, so deleteStaleRecordings retries it.
+async function deleteTwilioRecordings(recordingSids) {
+  for (const recordingSid of recordingSids) {
+    try {
+      await getTwilioClient().recordings(recordingSid).remove();
+    } catch (error) {
+      // Already gone at Twilio - nothing left to delete
+      if (error.status !== 404) {
+        console.error(`❌ Failed to delete recording ${recordingSid} at Twilio:`, error);
+        continue;
+      }
+    }
+
+    await db.query(
+      'UPDATE calls SET twilio_recording_sid = NULL WHERE twilio_recording_sid = $1',
+      [recordingSid]
+    );
+  }
+}
+
+// Copy a finished recording into our storage. Twilio's copy is deleted once
+// the transcription has arrived (see attachTranscription).
+// Returns the call and whether this was its first recording.
+async function attachRecording(callSid, { recordingSid, recordingUrl, recordingDuration }) {
+  const callResult = await db.query('SELECT * FROM calls WHERE twilio_sid = $1', [callSid]);
+  const call = callResult.rows[0];
+
+  if (!call) return null;
+
+  const dataKey = await getDataKey(call.user_id, call.phone_number_id);
+  const [key] = await mediaService.storeTwilioMedia(call.user_id, [
+    { url: `${recordingUrl}.mp3`, contentType: 'audio/mpeg' }
+  ], dataKey);
+
+  // Twilio's copy is still there; fail so nothing deletes it
+  if (!key) {
+    throw new Error(`Recording ${recordingSid} could not be downloaded`);
+  }
+
+  const result = await db.query(`
+    UPDATE calls
+    SET recording_url = $2, recording_duration = $3,
+        twilio_recording_sid = $4, twilio_recording_stored_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [call.id, key, parseInt(recordingDuration) || 0, recordingSid]);
+
+  // Replace an earlier copy if Twilio delivered the callback twice
+  if (call.recording_url && call.recording_url !== key) {
+    await mediaService.deleteMedia([call.recording_url]);
+  }
+
+  // The transcription can beat the recording callback
+  if (call.voicemail_transcription) {
+    await deleteTwilioRecordings([recordingSid]);
+  }
+
+  return { call: result.rows[0], isNew: !call.recording_url };
+}
+
+// Delete the call's recording at Twilio once its transcription is settled
+async function releaseRecording(callSid) {
+  const result = await db.query(
+    'SELECT twilio_recording_sid FROM calls WHERE twilio_sid = $1 AND twilio_recording_sid IS NOT NULL',
+    [callSid]
+  );
+
+  await deleteTwilioRecordings(result.rows.map(row => row.twilio_recording_sid));
+}
+
+// Store a voicemail transcription (encrypted) and delete Twilio's copies of
+// it and of the recording
+async function attachTranscription(callSid, { transcriptionSid, transcriptionText }) {
+  const callResult = await db.query('SELECT user_id, phone_number_id FROM calls WHERE twilio_sid = $1', [callSid]);
+  const call = callResult.rows[0];
+  let updated = null;
+
+  if (call) {
+    const dataKey = await getDataKey(call.user_id, call.phone_number_id);
+
+    const result = await db.query(`
+      UPDATE calls
+      SET voicemail_transcription = $2
+      WHERE twilio_sid = $1
+      RETURNING *
+    `, [callSid, encryptText(dataKey, transcriptionText)]);
+    updated = result.rows[0];
+  }
+
+  if (transcriptionSid) {
+    try {
+      await getTwilioClient().transcriptions(transcriptionSid).remove();
+    } catch (error) {
+      console.error(`❌ Failed to delete transcription ${transcriptionSid} at Twilio:`, error);
+    }
+  }
+
+  await releaseRecording(callSid);
+
+  return updated;
+}
+
+// Delete recordings still at Twilio whose transcription never came.
+// Returns how many were waiting.
+async function deleteStaleRecordings() {
+  const result = await db.query(`
+    SELECT twilio_recording_sid FROM calls
+    WHERE twilio_recording_sid IS NOT NULL
+      AND twilio_recording_stored_at < NOW() - make_interval(mins => ${TRANSCRIPTION_WAIT_MINUTES})
+  `);
+
+  await deleteTwilioRecordings(result.rows.map(row => row.twilio_recording_sid));
+  return result.rows.length;
+}
+
+// List a user's voicemails, newest first
+async function listVoicemails(userId, { numberId = null, unheardOnly = false, limit = 50 }) {
+  const result = await db.query(`
+    SELECT ${VOICEMAIL_COLUMNS}
+    FROM calls c
+    WHERE c.user_id = $1
+      AND c.direction = 'inbound'
+      AND c.recording_url IS NOT NULL
+      AND ($2::uuid IS NULL OR c.phone_number_id = $2)
+      AND (NOT $3 OR c.voicemail_heard_at IS NULL)
+    ORDER BY c.started_at DESC
+    LIMIT $4
+  `, [userId, numberId, unheardOnly, limit]);
+
+  return result.rows;
+}
+
+async function getVoicemail(userId, voicemailId) {
+  const result = await db.query(`
+    SELECT ${VOICEMAIL_COLUMNS}
+    FROM calls c
+    WHERE c.id = $1
+      AND c.user_id = $2
+      AND c.direction = 'inbound'
+      AND c.recording_url IS NOT NULL
+  `, [voicemailId, userId]);
+
+  return result.rows[0] || null;
+}
+
+// Set or clear the heard flag
+async function setHeard(userId, voicemailId, heard) {
+  const result = await db.query(`
+    UPDATE calls
+    SET voicemail_heard_at = CASE WHEN $3 THEN COALESCE(voicemail_heard_at, NOW()) ELSE NULL END
+    WHERE id = $1
+      AND user_id = $2
+      AND direction = 'inbound'
+      AND recording_url IS NOT NULL
+    RETURNING id, voicemail_heard_at
+  `, [voicemailId, userId, heard]);
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  deleteTwilioRecordings,
+  attachRecording,
+  releaseRecording,
+  attachTranscription,
+  deleteStaleRecordings,
+  listVoicemails,
+  getVoicemail,
+  setHeard
+};